@@ -1,11 +1,199 @@
 // Service worker for Lethain Article Tracker
-// Minimal service worker to enable console access for debugging
+// Runs schema and storage backend migrations on install/update, serves IndexedDB storage
+// to content scripts, runs every context's storage operations and backup imports, mirrors read state to chrome.storage.sync, ingests site feeds, runs the
+// sitemap backfill and enables console access for debugging
 
-// Keep service worker alive
+importScripts(
+  '../shared/config.js',
+  '../shared/utils/logger.js',
+  '../shared/utils/date-parser.js',
+  '../shared/sites/site-adapters.js',
+  '../shared/sites/lethain.js',
+  '../shared/utils/url-utils.js',
+  '../shared/utils/article-utils.js',
+  '../shared/utils/series-utils.js',
+  '../shared/utils/page-filter.js',
+  '../shared/utils/storage-adapters.js',
+  '../shared/utils/storage.js',
+  '../shared/utils/migrations.js',
+  '../shared/utils/validators.js',
+  '../shared/utils/backup-import.js',
+  '../shared/utils/sync-storage.js',
+  '../shared/utils/fetch-utils.js',
+  '../shared/utils/feed-parser.js',
+  '../shared/utils/backfill.js'
+);
+
+// Local article changes waiting to be pushed to chrome.storage.sync
+let pendingSyncChanges = {};
+let syncPushTimeout = null;
+
+/**
+ * Reconcile local and synced read state, logging failures
+ * @returns {Promise<void>}
+ */
+async function reconcileSync() {
+  try {
+    await SyncStorage.reconcile();
+  } catch (error) {
+    Logger.error('Error reconciling sync state:', error);
+  }
+}
+
+/**
+ * Queue local article changes and push them after CONFIG.sync.pushDebounce
+ * Keeps the first previousStatus and latest status per article so transitions aren't lost
+ * @param {Object} changes - Article changes by URL (see getArticleChanges)
+ * @returns {void}
+ */
+function queueSyncPush(changes) {
+  let queued = false;
+
+  for (const url in changes) {
+    const pending = pendingSyncChanges[url];
+    pendingSyncChanges[url] = {
+      previousStatus: pending ? pending.previousStatus : changes[url].previousStatus,
+      status: changes[url].status
+    };
+    queued = true;
+  }
+
+  if (!queued) return;
+
+  if (syncPushTimeout != null) {
+    clearTimeout(syncPushTimeout);
+  }
+
+  syncPushTimeout = setTimeout(() => {
+    const batch = pendingSyncChanges;
+    pendingSyncChanges = {};
+    syncPushTimeout = null;
+
+    // Newly discovered articles may already have read state from another device
+    let hasNewArticles = false;
+    for (const key in batch) {
+      if (batch[key].previousStatus === null && batch[key].status !== null) {
+        hasNewArticles = true;
+        break;
+      }
+    }
+
+    SyncStorage.pushLocalChanges(batch)
+      .then(() => hasNewArticles ? SyncStorage.applyRemoteState() : 0)
+      .catch((error) => {
+        Logger.error('Error pushing read state to sync:', error);
+      });
+  }, CONFIG.sync.pushDebounce);
+}
+
+/**
+ * Fetch the feed of every site adapter that declares one and add new articles to storage
+ * A failing site is logged and skipped so the others are still ingested
+ * @returns {Promise<Object<string, {found: number, added: number}|{error: string}>>} Result per site id
+ */
+async function ingestSiteFeeds() {
+  const results = {};
+  const adapters = getSiteAdapters();
+
+  for (let i = 0; i < adapters.length; i++) {
+    const adapter = adapters[i];
+    if (!adapter.feedUrl) continue;
+
+    try {
+      const { found, added } = await ingestFeed(await fetchText(adapter.feedUrl), adapter.baseUrl);
+      results[adapter.id] = { found, added };
+      Logger.info(`Feed ${adapter.feedUrl}: ${added} new of ${found} entries`);
+    } catch (error) {
+      results[adapter.id] = { error: error.message };
+      Logger.error(`Error ingesting feed ${adapter.feedUrl}:`, error);
+    }
+  }
+
+  return results;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local') {
+    queueSyncPush(getArticleChanges(changes, areaName));
+    return;
+  }
+
+  if (areaName === 'sync') {
+    for (const key in changes) {
+      if (key.startsWith(CONFIG.sync.keyPrefix)) {
+        SyncStorage.applyRemoteState().catch((error) => {
+          Logger.error('Error applying synced read state:', error);
+        });
+        return;
+      }
+    }
+  }
+});
+
+// Content scripts can't open the extension's IndexedDB, so they call the adapter here
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'storageAdapter') {
+    handleStorageAdapterMessage(request).then(sendResponse);
+    return true;
+  }
+
+  // Read-modify-write operations from every context run here, one at a time
+  if (request.action === 'storageOperation') {
+    handleStorageOperationMessage(request).then(sendResponse);
+    return true;
+  }
+
+  if (request.action === 'importData') {
+    importBackupData(request.importData)
+      .then((result) => sendResponse({ result }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'ingestFeeds') {
+    ingestSiteFeeds().then((result) => sendResponse({ result }));
+    return true;
+  }
+
+  // The popup starts the backfill here so it keeps running after the popup closes
+  if (request.action === 'startBackfill') {
+    Backfill.start(request.site || getDefaultSiteAdapter().id, request.sitemapXml || null)
+      .then((result) => sendResponse({ result }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'cancelBackfill') {
+    Backfill.cancel()
+      .then(() => sendResponse({ result: null }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+});
+
+// Upgrade stored article records and move them to the preferred backend whenever the extension is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
-  console.log('[Lethain Tracker] Service worker installed');
+  Logger.info('Service worker installed');
+  Migrations.run()
+    .then(() => Migrations.migrateBackend())
+    .then(() => Migrations.migratePageFilter())
+    // Canonicalization rules or built-in aliases may have changed with the update
+    .then(() => Storage.repairDuplicateArticles())
+    // Detection rules may have changed with the update too
+    .then(() => Storage.refreshSeries())
+    .catch((error) => {
+      Logger.error('Error running storage migrations:', error);
+    })
+    .then(reconcileSync)
+    .then(() => CONFIG.feeds.ingestOnStartup ? ingestSiteFeeds() : null);
 });
 
-// Log when service worker starts
-console.log('[Lethain Tracker] Service worker active');
+chrome.runtime.onStartup.addListener(() => {
+  reconcileSync().then(() => CONFIG.feeds.ingestOnStartup ? ingestSiteFeeds() : null);
+});
+
+// A backfill interrupted by the worker stopping continues whenever the worker starts again
+Backfill.resume();
 
+// Log when service worker starts
+Logger.info('Service worker active');
@@ -23,7 +23,7 @@ function setResourceManager(rm) {
  * - Cache is stored as object with normalized URLs as keys for O(1) lookup
  * 
  * @returns {Promise<Object>} Articles cache object with structure: { [normalizedUrl]: article }
- * @throws {Error} If Storage.getAllArticles fails
+ * @throws {Error} If Storage.getSiteArticles fails
  */
 async function getArticlesCache() {
   const now = Date.now();
@@ -31,8 +31,8 @@ async function getArticlesCache() {
   // Check if cache exists and is still valid (not expired)
   if (!articlesCache || (now - cacheTimestamp) > CONFIG.cache.ttl) {
     try {
-      // Reload cache from storage
-      const articles = await Storage.getAllArticles(false);
+      // Reload cache from storage (only the current site's records)
+      const articles = await Storage.getSiteArticles(getActiveSiteAdapter().id, false);
       articlesCache = {};
       
       // Build cache object with normalized URLs as keys
@@ -67,6 +67,14 @@ function getArticleFromCache(url) {
   return articlesCache[normalizeUrl(url)] || null;
 }
 
+/**
+ * Get every cached article (e.g. to count a series' read members)
+ * @returns {Array<Object>} Cached articles (empty until the cache is loaded)
+ */
+function getCachedArticles() {
+  return articlesCache ? Object.values(articlesCache) : [];
+}
+
 /**
  * Update a single article in cache (incremental update)
  * @param {string} url - Article URL (should be normalized)
@@ -83,6 +91,57 @@ function updateCacheArticle(url, article) {
   }
 }
 
+/**
+ * Update several articles in cache at once (after a batch write)
+ * @param {Array<Object>} articles - Article objects with normalized URLs
+ * @returns {void}
+ */
+function updateCacheArticles(articles) {
+  if (!articlesCache) return;
+  for (let i = 0; i < articles.length; i++) {
+    if (articles[i] && articles[i].url) {
+      articlesCache[articles[i].url] = articles[i];
+    }
+  }
+}
+
+/**
+ * Watch article records changed anywhere (other tabs, popup, service worker sync)
+ * 
+ * Change notices only name the changed articles (see getArticleChanges), so their
+ * current records are read from storage, patched into the cache with updateCacheArticle
+ * and then passed to the callback; the cache stays consistent without waiting for the TTL.
+ * Changes made by this tab are reported too; renderers should be idempotent.
+ * 
+ * @param {Function} onArticlesChanged - Called with (changedArticles, changes) where changedArticles
+ *                                       is a Map of normalized URL to article (null when removed)
+ * @param {ResourceManager} rm - Resource manager instance (removes the listener on cleanup)
+ * @returns {void}
+ */
+function watchArticleChanges(onArticlesChanged, rm) {
+  rm.trackStorageListener((changes, areaName) => {
+    const urls = Object.keys(getArticleChanges(changes, areaName));
+    if (urls.length === 0) return;
+    
+    // The page may be cleaned up (pagehide) before the records arrive
+    const signal = rm.getAbortSignal();
+    Storage.getArticles(urls).then((articles) => {
+      if (signal.aborted) return;
+      
+      const changedArticles = new Map();
+      for (let i = 0; i < urls.length; i++) {
+        const article = articles[urls[i]] || null;
+        updateCacheArticle(urls[i], article);
+        changedArticles.set(urls[i], article);
+      }
+      
+      onArticlesChanged(changedArticles, changes);
+    }).catch((error) => {
+      Logger.warn('Error reading changed articles:', error);
+    });
+  });
+}
+
 /**
  * Invalidate articles cache with debounce
  * 
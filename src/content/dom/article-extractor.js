@@ -5,8 +5,11 @@ let cachedArticleElements = null;
 let cachedArticleElementsTimestamp = 0;
 const ARTICLE_ELEMENTS_CACHE_TTL = 1000; // 1 second cache
 
+// Lookup tier of the last uncached lookup (see ARTICLE_LOOKUP_TIERS)
+let lastArticleLookupTier = ARTICLE_LOOKUP_TIERS.none;
+
 /**
- * Find article elements in the DOM
+ * Find article elements in the DOM (through the active site adapter)
  * @param {boolean} [useCache=true] - Whether to use cached result
  * @returns {NodeList|Array} Article elements
  */
@@ -18,22 +21,12 @@ function findArticleElements(useCache = true) {
     return cachedArticleElements;
   }
   
-  // Try primary selector first
-  let articleElements = document.querySelectorAll(CONFIG.selectors.article);
-  
-  // Fallback: if not found, try other common patterns
-  if (articleElements.length === 0) {
-    // Try without specific classes, looking for paragraphs with link and time
-    const allParagraphs = document.querySelectorAll('p');
-    const filtered = [];
-    for (let i = 0; i < allParagraphs.length; i++) {
-      const p = allParagraphs[i];
-      if (p.querySelector(CONFIG.selectors.linkFallback) && p.querySelector(CONFIG.selectors.time)) {
-        filtered.push(p);
-      }
-    }
-    articleElements = filtered;
-  }
+  const siteAdapter = getActiveSiteAdapter();
+  const lookup = siteAdapter
+    ? siteAdapter.locateArticleElements(document)
+    : { elements: [], tier: ARTICLE_LOOKUP_TIERS.none };
+  const articleElements = lookup.elements;
+  lastArticleLookupTier = lookup.tier;
   
   // Cache result
   cachedArticleElements = articleElements;
@@ -42,6 +35,14 @@ function findArticleElements(useCache = true) {
   return articleElements;
 }
 
+/**
+ * Get how the current article list was found
+ * @returns {string} Lookup tier of the last findArticleElements lookup (see ARTICLE_LOOKUP_TIERS)
+ */
+function getArticleLookupTier() {
+  return lastArticleLookupTier;
+}
+
 /**
  * Invalidate article elements cache
  * @returns {void}
@@ -51,24 +52,14 @@ function invalidateArticleElementsCache() {
   cachedArticleElementsTimestamp = 0;
 }
 
-/**
- * Query selector with fallback
- * @param {Element} element - Element to search in
- * @param {string} primary - Primary selector
- * @param {string} fallback - Fallback selector
- * @returns {Element|null} Found element or null
- */
-function querySelectorWithFallback(element, primary, fallback) {
-  return element.querySelector(primary) || element.querySelector(fallback);
-}
-
 /**
  * Extract link from article element
  * @param {Element} articleElement - Article element
  * @returns {Element|null} Link element
  */
 function extractLink(articleElement) {
-  return querySelectorWithFallback(articleElement, CONFIG.selectors.link, CONFIG.selectors.linkFallback);
+  const siteAdapter = getActiveSiteAdapter();
+  return siteAdapter ? siteAdapter.extractLink(articleElement) : null;
 }
 
 /**
@@ -77,26 +68,30 @@ function extractLink(articleElement) {
  * @returns {Element|null} Time element
  */
 function extractTime(articleElement) {
-  return querySelectorWithFallback(articleElement, CONFIG.selectors.time, CONFIG.selectors.timeFallback);
+  const siteAdapter = getActiveSiteAdapter();
+  return siteAdapter ? siteAdapter.extractTime(articleElement) : null;
 }
 
 /**
  * Extract date from text using regex fallback
  * @param {string} text - Text to search
- * @returns {string|null} Date string or null
+ * @returns {string|null} Date text as written on the page (any format known to findDate) or null
  */
 function extractDateFromText(text) {
-  const dateMatch = text.match(/(\w+\s+\d{1,2},\s+\d{4})/);
-  return dateMatch ? dateMatch[1] : null;
+  const found = findDate(text);
+  return found ? found.text : null;
 }
 
 /**
- * Extract article data from a single article element
+ * Extract article data from a single article element (through the active site adapter)
  * @param {Element} articleElement - Article element
  * @returns {Object|null} Article object or null
  */
 function extractArticleFromElement(articleElement) {
-  const link = extractLink(articleElement);
+  const siteAdapter = getActiveSiteAdapter();
+  if (!siteAdapter) return null;
+
+  const link = siteAdapter.extractLink(articleElement);
   if (!link) return null;
 
   const url = link.href || link.getAttribute('href');
@@ -106,7 +101,7 @@ function extractArticleFromElement(articleElement) {
   
   if (!validateUrl(url)) return null;
 
-  const time = extractTime(articleElement);
+  const time = siteAdapter.extractTime(articleElement);
   
   let datetime = null;
   let dateText = null;
@@ -123,8 +118,8 @@ function extractArticleFromElement(articleElement) {
   return {
     url: url,
     title: title,
-    publishedDate: datetime || dateText || '',
-    dateText: dateText || ''
+    publishedDate: parseLethainDate(datetime) || parseLethainDate(dateText),
+    dateText: dateText || datetime || ''
   };
 }
 
@@ -145,13 +140,99 @@ function extractArticles() {
     }
   }
   
+  const tier = getArticleLookupTier();
   if (articles.length === 0) {
     Logger.warn('No articles found. The site HTML may have changed.');
+  } else if (tier !== ARTICLE_LOOKUP_TIERS.primary) {
+    Logger.warn(`selectors.article no longer matches; ${articles.length} articles found by the ${tier} lookup`);
   }
   
   return articles;
 }
 
+/**
+ * Extract the article list with draft selectors, without applying them to the page
+ * Used by the options page tester; the stored overrides are restored before returning
+ * @param {Object<string, string>} selectors - Draft overrides (CONFIG.sites.editableSelectors)
+ * @returns {{articles: Array<Object>, found: number, tier: string}} Extracted articles, entries found and lookup tier
+ * @throws {Error} If a selector is invalid
+ */
+function previewArticleExtraction(selectors) {
+  const stored = {};
+  const adapters = getSiteAdapters();
+  for (let i = 0; i < adapters.length; i++) {
+    stored[adapters[i].id] = getSiteSelectorOverrides(adapters[i].id);
+  }
+
+  setSiteSelectorOverrides({ ...stored, [getActiveSiteAdapter().id]: selectors });
+  invalidateArticleElementsCache();
+  try {
+    const articles = extractArticles();
+    return { articles: articles, found: findArticleElements().length, tier: getArticleLookupTier() };
+  } finally {
+    setSiteSelectorOverrides(stored);
+    invalidateArticleElementsCache();
+  }
+}
+
+/**
+ * Collect the distinct link texts of the elements matching a selector
+ * @param {string} selector - Link selector
+ * @returns {Array<Element>} First link of each distinct text, in page order
+ */
+function findDistinctLinks(selector) {
+  const elements = document.querySelectorAll(selector);
+  const links = [];
+  const seen = new Set();
+  for (let i = 0; i < elements.length; i++) {
+    const text = elements[i].textContent.replace(/\s+/g, ' ').trim();
+    if (text && !seen.has(text)) {
+      seen.add(text);
+      links.push(elements[i]);
+    }
+  }
+  return links;
+}
+
+/**
+ * Read word count, reading time, categories and series of the post page being viewed
+ * Categories and series come from the adapter's postCategories / postSeries link selectors;
+ * the series part is taken from the title or the text around the series link
+ * @param {HTMLElement} content - Post content element (adapter postContent)
+ * @param {HTMLElement|null} titleElement - Post title element (adapter postTitle)
+ * @returns {Object} Metadata, see normalizeArticleMetadata
+ */
+function extractPostPageMetadata(content, titleElement) {
+  const { postCategories, postSeries } = getActiveSiteAdapter().selectors;
+  const words = (content.innerText || content.textContent || '').match(/\S+/g);
+
+  const categories = [];
+  if (postCategories) {
+    const links = findDistinctLinks(postCategories);
+    for (let i = 0; i < links.length; i++) {
+      categories.push(links[i].textContent.replace(/\s+/g, ' ').trim());
+    }
+  }
+
+  let series = null;
+  const seriesLink = postSeries ? findDistinctLinks(postSeries)[0] : null;
+  if (seriesLink) {
+    const title = titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    const label = seriesLink.parentElement ? seriesLink.parentElement.textContent.replace(/\s+/g, ' ').trim() : '';
+    series = {
+      name: seriesLink.textContent.replace(/\s+/g, ' ').trim(),
+      part: parseSeriesTitle(title)?.part || parseSeriesTitle(label)?.part || null
+    };
+  }
+
+  return normalizeArticleMetadata({
+    wordCount: words ? words.length : 0,
+    categories: categories,
+    series: series,
+    extractedAt: getCurrentDateISO()
+  });
+}
+
 /**
  * Check if current page is the main page (with article list)
  * @returns {boolean} True if main page
@@ -161,3 +242,16 @@ function isMainPage() {
   return articleElements.length > 0;
 }
 
+
+/**
+ * Check if current page is an individual article page (a post, not the list)
+ * @returns {boolean} True if article page
+ */
+function isArticlePage() {
+  if (isMainPage() || window.location.pathname === '/') {
+    return false;
+  }
+  const siteAdapter = getActiveSiteAdapter();
+  return Boolean(siteAdapter && siteAdapter.selectors.postContent) &&
+         document.querySelector(siteAdapter.selectors.postContent) !== null;
+}
@@ -0,0 +1,291 @@
+// Reading progress tracking on individual article pages
+// Records scroll depth as article.progress and auto-marks the post as read
+
+/**
+ * Calculate how much of the post content has been scrolled past the bottom of the viewport
+ * @param {HTMLElement} content - Post content element
+ * @returns {number} Progress percentage (0-100)
+ */
+function calculateScrollProgress(content) {
+  const rect = content.getBoundingClientRect();
+  if (rect.height <= 0) return 0;
+
+  const viewed = window.innerHeight - rect.top;
+  return normalizeProgress((viewed / rect.height) * 100);
+}
+
+/**
+ * Create a timer that only counts time while the page is visible
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ * @returns {{getElapsed: Function}} Timer with getElapsed() returning visible milliseconds
+ */
+function createActiveTimer(resourceManager) {
+  let elapsed = 0;
+  let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      visibleSince = Date.now();
+    } else if (visibleSince != null) {
+      elapsed += Date.now() - visibleSince;
+      visibleSince = null;
+    }
+  }, { signal: resourceManager.getAbortSignal() });
+
+  return {
+    getElapsed() {
+      return elapsed + (visibleSince != null ? Date.now() - visibleSince : 0);
+    }
+  };
+}
+
+/**
+ * Check whether freshly read post metadata differs from the stored one
+ * extractedAt is ignored, so revisiting an unchanged post doesn't write
+ * @param {Object|null} stored - Stored article.metadata
+ * @param {Object} extracted - Metadata read from the page
+ * @returns {boolean} True if the stored metadata is missing or outdated
+ */
+function hasMetadataChanged(stored, extracted) {
+  if (!stored) return true;
+  return JSON.stringify({ ...stored, extractedAt: null }) !== JSON.stringify({ ...extracted, extractedAt: null });
+}
+
+/**
+ * Navigate to the closest unread article in the given direction
+ * Reads the stored list fresh so changes made in other tabs are respected
+ * @param {string} url - Current article URL
+ * @param {string} direction - 'previous' or 'next'
+ * @param {Function} flushProgress - Saves pending reading progress (returns a promise)
+ * @returns {Promise<void>}
+ */
+async function navigateToAdjacentUnread(url, direction, flushProgress) {
+  try {
+    const articles = await Storage.getSiteArticles(getActiveSiteAdapter().id);
+    const target = findAdjacentUnreadArticles(articles, url)[direction];
+    if (target) {
+      // Progress of the last CONFIG.progress.saveDebounce would be lost with the page
+      await flushProgress();
+      window.location.href = target.url;
+    }
+  } catch (error) {
+    Logger.warn('Error finding adjacent unread article:', error);
+  }
+}
+
+/**
+ * Initialize article page mode
+ *
+ * - Stores the post's word count, reading time, categories and series (article.metadata)
+ *   when they are new or changed; reading status and progress are left as they are
+ * - Tracks the furthest scroll depth and persists it with Storage.setProgress (debounced)
+ * - Moves an unread article to in progress after CONFIG.progress.startThreshold
+ * - Marks the article read through Storage.markAsRead once CONFIG.progress.readThreshold
+ *   is reached and the page has been visible for CONFIG.progress.minActiveTime
+ * - Shows a floating widget with status, progress, a read/unread toggle and
+ *   previous/next unread navigation among the site's articles (in publishedDate order)
+ *
+ * Safe to call again after resourceManager.cleanup(): the widget and every listener are rebuilt
+ *
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ * @returns {Promise<void>}
+ */
+async function initArticlePageTracking(resourceManager) {
+  const siteAdapter = getActiveSiteAdapter();
+  const content = document.querySelector(siteAdapter.selectors.postContent);
+  if (!content) return;
+
+  const url = window.location.href;
+  if (!validateUrl(url)) return;
+
+  // The post title and content stand in for the list link and article element
+  const titleElement = siteAdapter.selectors.postTitle ? document.querySelector(siteAdapter.selectors.postTitle) : null;
+  const signal = resourceManager.getAbortSignal();
+
+  await getArticlesCache();
+  const article = getArticleFromCache(url);
+  let maxProgress = normalizeProgress(article && article.progress);
+  let status = getArticleStatus(article);
+  let savedProgress = maxProgress;
+  let saveTimeout = null;
+  let readTimeout = null;
+  // Cleared when the user sets the status by hand; progress is still recorded
+  let autoStatus = true;
+
+  // Replaces the widget of an earlier run (back/forward cache restore)
+  removeArticleWidget();
+  const widget = createArticleWidget(createProgressIndicator(maxProgress));
+  const indicator = widget.container.querySelector('.lethain-progress');
+  updateArticleWidgetStatus(widget, article);
+  updateArticleWidgetNavigation(widget, null, null);
+  document.body.appendChild(widget.container);
+
+  // Serialize writes so a progress save never overwrites a concurrent status change
+  let pendingWrite = Promise.resolve();
+  let pendingWriteCount = 0;
+  const enqueueWrite = (write) => {
+    pendingWriteCount++;
+    pendingWrite = pendingWrite.then(async () => {
+      const saved = await write();
+      if (saved) {
+        updateCacheArticle(url, saved);
+        updateArticleWidgetStatus(widget, saved);
+      }
+    }).catch((error) => {
+      Logger.warn('Error saving reading progress:', error);
+      invalidateCache();
+    }).finally(() => {
+      pendingWriteCount--;
+    });
+    return pendingWrite;
+  };
+
+  const metadata = extractPostPageMetadata(content, titleElement);
+  if (hasMetadataChanged(article && article.metadata, metadata)) {
+    // A post first seen here also gets its title; status, progress, tags and notes are untouched
+    const title = titleElement ? titleElement.textContent.trim() : '';
+    enqueueWrite(() => Storage.saveArticle(article ? { url, metadata } : { url, title, metadata }));
+  }
+
+  const timer = createActiveTimer(resourceManager);
+
+  // Resolves once every queued write (including this save) has finished
+  const saveProgress = () => {
+    if (saveTimeout != null) {
+      resourceManager.clearTimeout(saveTimeout);
+      saveTimeout = null;
+    }
+    if (maxProgress <= savedProgress) return pendingWrite;
+
+    const progress = maxProgress;
+    savedProgress = progress;
+    return enqueueWrite(() => Storage.setProgress(url, progress, titleElement, content));
+  };
+
+  const checkThresholds = () => {
+    if (!autoStatus) return;
+
+    if (status === CONFIG.statuses.unread && maxProgress >= CONFIG.progress.startThreshold) {
+      status = CONFIG.statuses.inProgress;
+      enqueueWrite(() => Storage.setStatus(url, CONFIG.statuses.inProgress, titleElement, content));
+    }
+
+    if (!CONFIG.progress.autoMarkRead || status === CONFIG.statuses.read ||
+        maxProgress < CONFIG.progress.readThreshold) {
+      return;
+    }
+
+    const remaining = CONFIG.progress.minActiveTime - timer.getElapsed();
+    if (remaining <= 0) {
+      // Persist final progress before the status change so both land in order
+      saveProgress();
+      status = CONFIG.statuses.read;
+      enqueueWrite(() => Storage.markAsRead(url, titleElement, content));
+    } else if (readTimeout == null) {
+      // Re-check once enough time may have passed (hidden time doesn't count, so re-check reschedules)
+      readTimeout = resourceManager.trackTimeout(() => {
+        readTimeout = null;
+        checkThresholds();
+      }, remaining);
+    }
+  };
+
+  const handleScroll = () => {
+    const progress = calculateScrollProgress(content);
+    if (progress <= maxProgress) return;
+
+    maxProgress = progress;
+    updateProgressIndicator(indicator, maxProgress);
+
+    if (saveTimeout != null) {
+      resourceManager.clearTimeout(saveTimeout);
+    }
+    saveTimeout = resourceManager.trackTimeout(saveProgress, CONFIG.progress.saveDebounce);
+
+    checkThresholds();
+  };
+
+  attachArticleWidgetListeners(widget, {
+    onToggle() {
+      // Manual choice wins: no automatic status changes for the rest of this visit
+      autoStatus = false;
+      if (status === CONFIG.statuses.read) {
+        status = CONFIG.statuses.unread;
+        enqueueWrite(() => Storage.markAsUnread(url, titleElement, content));
+      } else {
+        status = CONFIG.statuses.read;
+        enqueueWrite(() => Storage.markAsRead(url, titleElement, content));
+      }
+      if (readTimeout != null) {
+        resourceManager.clearTimeout(readTimeout);
+        readTimeout = null;
+      }
+    },
+    onPrevious() {
+      navigateToAdjacentUnread(url, 'previous', saveProgress);
+    },
+    onNext() {
+      navigateToAdjacentUnread(url, 'next', saveProgress);
+    }
+  }, resourceManager);
+
+  const refreshNavigation = () => {
+    Storage.getSiteArticles(siteAdapter.id).then((articles) => {
+      const { previous, next } = findAdjacentUnreadArticles(articles, url);
+      updateArticleWidgetNavigation(widget, previous, next);
+    }).catch((error) => {
+      Logger.warn('Error loading article list for navigation:', error);
+    });
+  };
+  refreshNavigation();
+
+  // Follow changes made in other tabs, the popup or sync
+  const normalizedUrl = normalizeUrl(url);
+  let navigationTimeout = null;
+  watchArticleChanges((changedArticles) => {
+    if (changedArticles.has(normalizedUrl)) {
+      const changed = changedArticles.get(normalizedUrl);
+      updateArticleWidgetStatus(widget, changed);
+
+      // While own writes are queued, the event may describe an older state of this tab
+      if (pendingWriteCount === 0 && getArticleStatus(changed) !== status) {
+        status = getArticleStatus(changed);
+        // Status set elsewhere counts as a manual choice
+        autoStatus = false;
+      }
+
+      const progress = normalizeProgress(changed && changed.progress);
+      if (progress > maxProgress) {
+        maxProgress = progress;
+        savedProgress = progress;
+        updateProgressIndicator(indicator, maxProgress);
+      }
+    }
+
+    if (changedArticles.size > 1 || !changedArticles.has(normalizedUrl)) {
+      if (navigationTimeout != null) {
+        resourceManager.clearTimeout(navigationTimeout);
+      }
+      navigationTimeout = resourceManager.trackTimeout(() => {
+        navigationTimeout = null;
+        refreshNavigation();
+      }, CONFIG.timeouts.filterDebounce);
+    }
+  }, resourceManager);
+
+  window.addEventListener('scroll', handleScroll, { passive: true, signal });
+
+  // Flush pending progress when the tab is hidden
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      saveProgress();
+    }
+  }, { signal });
+
+  // Leaving the page runs cleanup on beforeunload/pagehide, before the tab is hidden:
+  // flush there, while the debounce timeout and listeners still exist
+  resourceManager.trackCleanupHook(saveProgress);
+
+  // Short posts may already be fully visible without scrolling
+  handleScroll();
+}
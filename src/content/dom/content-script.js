@@ -1,19 +1,39 @@
-// Content script that extracts articles from the lethain.com page
+// Content script that extracts articles from pages of tracked sites
 // Executes when the page loads
 
 (function() {
   'use strict';
 
-  if (!isLethainDomain()) {
+  if (!getActiveSiteAdapter()) {
     return;
   }
 
+  /**
+   * Record how well the article list was extracted (see ExtractionHealth)
+   * @param {Array<Object>} articles - Articles extracted from the page
+   * @returns {Promise<void>}
+   */
+  async function recordHealth(articles) {
+    try {
+      await ExtractionHealth.recordVisit({
+        site: getActiveSiteAdapter().id,
+        pageUrl: normalizeUrl(window.location.href),
+        tier: getArticleLookupTier(),
+        found: findArticleElements().length,
+        articles: articles
+      });
+    } catch (error) {
+      Logger.warn('Error recording extraction health:', error);
+    }
+  }
+
   /**
    * Automatically sync articles
    * @returns {Promise<void>}
    */
   async function autoSync() {
     const articles = extractArticles();
+    await recordHealth(articles);
     if (articles.length > 0) {
       try {
         await Storage.syncArticles(articles);
@@ -25,6 +45,7 @@
 
   /**
    * Try to sync articles if on main page
+   * A list page without any list is recorded as an extraction health failure
    * @returns {Promise<void>}
    */
   async function trySync() {
@@ -34,13 +55,24 @@
         invalidateArticleElementsCache();
       }
       await autoSync();
+    } else if (getActiveSiteAdapter().isListUrl(window.location.href)) {
+      await recordHealth([]);
     }
   }
 
+  // request.selectors (optional): draft selector overrides to test, see previewArticleExtraction
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'extractArticles') {
-      const articles = extractArticles();
-      sendResponse({ articles: articles });
+      try {
+        if (request.selectors) {
+          sendResponse(previewArticleExtraction(request.selectors));
+        } else {
+          const articles = extractArticles();
+          sendResponse({ articles: articles, found: findArticleElements().length, tier: getArticleLookupTier() });
+        }
+      } catch (error) {
+        sendResponse({ error: error.message });
+      }
       return true;
     }
   });
@@ -50,7 +82,9 @@
   onDOMReady(() => {
     syncTimeout = setTimeout(() => {
       syncTimeout = null;
-      trySync().catch((error) => {
+      loadSelectorOverrides().catch((error) => {
+        Logger.warn('Error loading selector overrides:', error);
+      }).then(trySync).catch((error) => {
         Logger.warn('Error in trySync:', error);
       });
     }, CONFIG.timeouts.sync);
@@ -6,6 +6,7 @@
  * @returns {boolean} True if new articles detected
  */
 function hasNewArticles(mutations) {
+  const articleSelector = getActiveSiteAdapter().selectors.article;
   for (let i = 0; i < mutations.length; i++) {
     const mutation = mutations[i];
     const addedNodes = mutation.addedNodes;
@@ -13,7 +14,7 @@ function hasNewArticles(mutations) {
     for (let j = 0; j < addedNodes.length; j++) {
       const node = addedNodes[j];
       if (node.nodeType === 1) { // Element node
-        if (node.matches(CONFIG.selectors.article) || node.querySelector(CONFIG.selectors.article)) {
+        if (node.matches(articleSelector) || node.querySelector(articleSelector)) {
           return true;
         }
       }
@@ -25,10 +26,14 @@ function hasNewArticles(mutations) {
 /**
  * Handle filter control positioning after mutations
  * @param {Object} pageState - PageState instance
+ * @param {ResourceManager} resourceManager - Resource manager instance
  * @param {Function} setPageFilter - Function to set page filter
+ * @param {Function} setTagFilter - Function to set selected tags
+ * @param {Function} setSeriesFilter - Function to set the selected series
+ * @param {Function} setSearchQuery - Function to set the title search query
  * @returns {void}
  */
-function handleFilterControlPosition(pageState, setPageFilter) {
+function handleFilterControlPosition(pageState, resourceManager, setPageFilter, setTagFilter, setSeriesFilter, setSearchQuery) {
   const filterControl = document.getElementById(CONFIG.selectors.filterControl.substring(1));
   // Use cached findArticleElements to avoid repeated querySelector
   const articleElements = findArticleElements();
@@ -36,13 +41,13 @@ function handleFilterControlPosition(pageState, setPageFilter) {
   
   if (!filterControl && firstArticle) {
     // Create filter control if it doesn't exist
-    createFilterControl(pageState.getFilter(), setPageFilter);
+    createFilterControl(pageState.getFilter(), setPageFilter, pageState.getTagFilter(), setTagFilter, pageState.getSeriesFilter(), setSeriesFilter, pageState.getSearchQuery(), setSearchQuery, resourceManager);
   } else if (filterControl && firstArticle) {
     // Reposition filter control if needed
     const articleContainer = findArticleContainer();
     if (articleContainer && !articleContainer.contains(filterControl)) {
       filterControl.remove();
-      createFilterControl(pageState.getFilter(), setPageFilter);
+      createFilterControl(pageState.getFilter(), setPageFilter, pageState.getTagFilter(), setTagFilter, pageState.getSeriesFilter(), setSeriesFilter, pageState.getSearchQuery(), setSearchQuery, resourceManager);
     }
   }
 }
@@ -53,9 +58,12 @@ function handleFilterControlPosition(pageState, setPageFilter) {
  * @param {ResourceManager} resourceManager - Resource manager instance
  * @param {Function} injectTrackingUI - Function to inject tracking UI
  * @param {Function} setPageFilter - Function to set page filter
+ * @param {Function} setTagFilter - Function to set selected tags
+ * @param {Function} setSeriesFilter - Function to set the selected series
+ * @param {Function} setSearchQuery - Function to set the title search query
  * @returns {MutationObserver} Configured mutation observer
  */
-function createMutationObserver(pageState, resourceManager, injectTrackingUI, setPageFilter) {
+function createMutationObserver(pageState, resourceManager, injectTrackingUI, setPageFilter, setTagFilter, setSeriesFilter, setSearchQuery) {
   let mutationTimeout = null;
   let filterTimeout = null;
   
@@ -81,8 +89,8 @@ function createMutationObserver(pageState, resourceManager, injectTrackingUI, se
       
       // Handle filter control and apply filter after delay
       filterTimeout = resourceManager.trackTimeout(() => {
-        handleFilterControlPosition(pageState, setPageFilter);
-        applyFilter(pageState.getFilter(), getArticlesCache).catch((error) => {
+        handleFilterControlPosition(pageState, resourceManager, setPageFilter, setTagFilter, setSeriesFilter, setSearchQuery);
+        applyFilter(pageState.getFilter(), getArticlesCache, pageState.getTagFilter(), pageState.getSeriesFilter(), pageState.getSearchQuery()).catch((error) => {
           Logger.warn('Error applying filter:', error);
         });
         filterTimeout = null;
@@ -101,8 +109,9 @@ function createMutationObserver(pageState, resourceManager, injectTrackingUI, se
  * @returns {void}
  */
 function startObserving(observer) {
-  const articleSection = document.querySelector(CONFIG.selectors.articleSection) || 
-                          document.querySelector(CONFIG.selectors.articleSectionFallback);
+  const { articleSection: sectionSelector, articleSectionFallback } = getActiveSiteAdapter().selectors;
+  const articleSection = (sectionSelector && document.querySelector(sectionSelector)) ||
+                          (articleSectionFallback && document.querySelector(articleSectionFallback));
   
   const targetNode = articleSection || document.body;
   // Optimize: Only use subtree if absolutely necessary (when target is body)
@@ -1,10 +1,10 @@
-// Script that injects the tracking interface directly into the lethain.com page
+// Script that injects the tracking interface directly into pages of tracked sites
 // Main orchestrator for page injection functionality
 
 (function() {
   'use strict';
 
-  if (!isLethainDomain()) {
+  if (!getActiveSiteAdapter()) {
     return;
   }
 
@@ -51,24 +51,159 @@
           
           // Re-inject UI with fresh data
           injectTrackingUIWrapper();
-          applyFilter(pageState.getFilter(), getArticlesCache).catch((error) => {
+          // The storage, keyboard and hash listeners were removed by cleanup on pagehide
+          watchArticleChanges(handleArticleChanges, resourceManager);
+          watchFilterPresets(resourceManager);
+          attachKeyboardNavigation(resourceManager, setPageFilter, applyCurrentFilter);
+          window.addEventListener('hashchange', handleHashChange, { signal: resourceManager.getAbortSignal() });
+          applyCurrentFilter().catch((error) => {
             Logger.warn('Error applying filter after page restore:', error);
           });
         }, CONFIG.timeouts.init);
+      } else if (window.__lethainTrackerInitialized && isArticlePage()) {
+        // Cleanup on pagehide stopped progress tracking and detached the widget's listeners
+        // and change subscription; tracking starts over with a new widget
+        resourceManager.trackTimeout(() => {
+          initArticlePageTracking(resourceManager).catch((error) => {
+            Logger.error('Error restoring article page tracking:', error);
+          });
+        }, CONFIG.timeouts.init);
       }
     }
   }
 
   window.addEventListener('pageshow', handlePageShow);
 
+  /**
+   * Apply the current filters
+   * @returns {Promise<void>}
+   */
+  async function applyCurrentFilter() {
+    await applyFilter(pageState.getFilter(), getArticlesCache, pageState.getTagFilter(), pageState.getSeriesFilter(), pageState.getSearchQuery());
+  }
+
+  /**
+   * Reflect a filter change made on the page in the URL hash, the preset buttons and the list
+   * @returns {Promise<void>}
+   */
+  async function applyFilterChange() {
+    writeFilterHash(pageState.getView());
+    renderFilterPresets();
+    await applyCurrentFilter();
+  }
+
   /**
    * Set page filter wrapper
-   * @param {string} filter - Filter value
+   * @param {Object} changes - Page filter fields to change (e.g. { status: CONFIG.filters.unread })
+   * @returns {Promise<void>}
+   */
+  async function setPageFilter(changes) {
+    await pageState.updateFilter(changes);
+    await applyFilterChange();
+  }
+
+  /**
+   * Set tag filter wrapper
+   * @param {Array<string>} tags - Selected tags
+   * @returns {Promise<void>}
+   */
+  async function setTagFilter(tags) {
+    await pageState.setTagFilter(tags);
+    await applyFilterChange();
+  }
+
+  /**
+   * Set series filter wrapper
+   * @param {string} seriesId - Selected series id ('' for all articles)
+   * @returns {Promise<void>}
+   */
+  async function setSeriesFilter(seriesId) {
+    await pageState.setSeriesFilter(seriesId);
+    await applyFilterChange();
+  }
+
+  /**
+   * Set title search query wrapper
+   * @param {string} query - Search query
    * @returns {Promise<void>}
    */
-  async function setPageFilter(filter) {
-    await pageState.setFilter(filter);
-    await applyFilter(pageState.getFilter(), getArticlesCache);
+  async function setSearchQuery(query) {
+    await pageState.setSearchQuery(query);
+    await applyFilterChange();
+  }
+
+  /**
+   * Create filter control wrapper
+   * @returns {void}
+   */
+  function createFilterControlWrapper() {
+    createFilterControl(pageState.getFilter(), setPageFilter, pageState.getTagFilter(), setTagFilter, pageState.getSeriesFilter(), setSeriesFilter, pageState.getSearchQuery(), setSearchQuery, resourceManager);
+  }
+
+  /**
+   * Replace every filter with a filter view (a preset or a filter link)
+   * @param {Object} view - Filter view
+   * @param {boolean} [linked=false] - True for a filter link, which is not saved (see PageState.applyLinkedView)
+   * @returns {Promise<void>}
+   */
+  async function applyFilterView(view, linked = false) {
+    if (linked) {
+      pageState.applyLinkedView(view);
+    } else {
+      await pageState.setView(view);
+    }
+
+    // The controls still show the previous view
+    const filterControl = document.getElementById(CONFIG.selectors.filterControl.substring(1));
+    if (filterControl) {
+      filterControl.remove();
+      createFilterControlWrapper();
+    }
+    await applyFilterChange();
+  }
+
+  /**
+   * Apply a filter link entered while the page is open
+   * @returns {void}
+   */
+  function handleHashChange() {
+    const view = parseFilterHash(window.location.hash);
+    if (!view || isSameFilterView(view, pageState.getView())) {
+      return;
+    }
+    applyFilterView(view, true).catch((error) => {
+      Logger.warn('Error applying filter link:', error);
+    });
+  }
+
+  let liveFilterTimeout = null;
+
+  /**
+   * Apply changes made in other tabs, the popup or sync to this page
+   * @param {Map<string, Object|null>} changedArticles - Normalized URL -> article (null when removed)
+   * @param {Object} changes - Raw chrome.storage.onChanged changes
+   * @returns {void}
+   */
+  function handleArticleChanges(changedArticles, changes) {
+    refreshTrackers(changedArticles);
+
+    if (changes[CONFIG.storage.tagIndexKey]) {
+      refreshTagFilterOptions().catch((error) => {
+        Logger.warn('Error refreshing tag filter:', error);
+      });
+    }
+
+    // Membership or read counts of a series changed
+    for (const article of changedArticles.values()) {
+      if (article && article.series) {
+        refreshSeriesFilterOptions().catch((error) => {
+          Logger.warn('Error refreshing series filter:', error);
+        });
+        break;
+      }
+    }
+
+    liveFilterTimeout = scheduleFilterApplication(applyCurrentFilter, resourceManager, liveFilterTimeout);
   }
 
   /**
@@ -90,31 +225,53 @@
     // Start periodic cleanup to prevent memory leaks
     resourceManager.startPeriodicCleanup();
 
+    // Keep trackers and filter in sync with changes from other tabs
+    watchArticleChanges(handleArticleChanges, resourceManager);
+
+    // j/k/x/o/1/2/3/? on the article list
+    attachKeyboardNavigation(resourceManager, setPageFilter, applyCurrentFilter);
+    initBulkActions(applyCurrentFilter);
+
+    // Saved views and filter links
+    initFilterPresets(() => pageState.getView(), applyFilterView).catch((error) => {
+      Logger.warn('Error loading filter presets:', error);
+    });
+    watchFilterPresets(resourceManager);
+    window.addEventListener('hashchange', handleHashChange, { signal: resourceManager.getAbortSignal() });
+
     // Initial UI injection with delay
     resourceManager.trackTimeout(() => {
       injectTrackingUIWrapper();
-      createFilterControl(pageState.getFilter(), setPageFilter);
-      applyFilter(pageState.getFilter(), getArticlesCache).catch((error) => {
+      createFilterControlWrapper();
+      applyCurrentFilter().catch((error) => {
         Logger.warn('Error applying initial filter:', error);
       });
     }, CONFIG.timeouts.init);
 
     // Setup mutation observer
-    const observer = createMutationObserver(pageState, resourceManager, injectTrackingUIWrapper, setPageFilter);
+    const observer = createMutationObserver(pageState, resourceManager, injectTrackingUIWrapper, setPageFilter, setTagFilter, setSeriesFilter, setSearchQuery);
     resourceManager.trackObserver(observer);
     startObserving(observer);
   }
 
   /**
-   * Check and initialize if on main page
+   * Check and initialize if on main page or on an article page
    * @returns {void}
    */
   function checkAndInit() {
-    if (!isMainPage()) {
+    if (window.__lethainTrackerInitialized) {
       return;
     }
 
-    if (window.__lethainTrackerInitialized) {
+    if (isArticlePage()) {
+      window.__lethainTrackerInitialized = true;
+      initArticlePageTracking(resourceManager).catch((error) => {
+        Logger.error('Error initializing article page tracking:', error);
+      });
+      return;
+    }
+
+    if (!isMainPage()) {
       return;
     }
     window.__lethainTrackerInitialized = true;
@@ -125,6 +282,11 @@
   }
 
   onDOMReady(() => {
-    resourceManager.trackTimeout(checkAndInit, CONFIG.timeouts.initSecondary);
+    resourceManager.trackTimeout(() => {
+      // User selector overrides decide which list the page has
+      loadSelectorOverrides().catch((error) => {
+        Logger.warn('Error loading selector overrides:', error);
+      }).then(checkAndInit);
+    }, CONFIG.timeouts.initSecondary);
   });
 })();
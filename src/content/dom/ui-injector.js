@@ -25,7 +25,7 @@ function injectTrackingUI(pageState, resourceManager) {
     if (!url || !validateUrl(url)) continue;
     
     const pageStorage = createPageStorage(link, articleElement);
-    const applyFilterFn = () => applyFilter(pageState.getFilter(), getArticlesCache);
+    const applyFilterFn = () => applyFilter(pageState.getFilter(), getArticlesCache, pageState.getTagFilter(), pageState.getSeriesFilter(), pageState.getSearchQuery());
     createTrackingUI(articleElement, url, pageStorage, getArticlesCache, invalidateCache, applyFilterFn, resourceManager);
   }
   
@@ -50,6 +50,16 @@ function createPageStorage(link, articleElement) {
       return Storage.getArticle(url);
     },
     
+    /**
+     * Set article reading status
+     * @param {string} url - Article URL
+     * @param {string} status - Reading status (CONFIG.statuses value)
+     * @returns {Promise<Object|null>} Updated article or null
+     */
+    async setStatus(url, status) {
+      return Storage.setStatus(url, status, link, articleElement);
+    },
+    
     /**
      * Mark article as read
      * @param {string} url - Article URL
@@ -66,6 +76,54 @@ function createPageStorage(link, articleElement) {
      */
     async markAsUnread(url) {
       return Storage.markAsUnread(url, link, articleElement);
+    },
+    
+    /**
+     * Get article read history
+     * @param {string} url - Article URL
+     * @returns {Promise<Array<Object>>} History events (oldest first)
+     */
+    async getHistory(url) {
+      return Storage.getHistory(url);
+    },
+    
+    /**
+     * Undo the most recent read state change
+     * @param {string} url - Article URL
+     * @returns {Promise<Object|null>} Restored article or null
+     */
+    async undoLastChange(url) {
+      return Storage.undoLastChange(url);
+    },
+    
+    /**
+     * Add a tag to the article
+     * @param {string} url - Article URL
+     * @param {string} tag - Tag to add
+     * @returns {Promise<Object|null>} Updated article or null
+     */
+    async addTag(url, tag) {
+      return Storage.addTag(url, tag, link, articleElement);
+    },
+    
+    /**
+     * Remove a tag from the article
+     * @param {string} url - Article URL
+     * @param {string} tag - Tag to remove
+     * @returns {Promise<Object|null>} Updated article or null
+     */
+    async removeTag(url, tag) {
+      return Storage.removeTag(url, tag);
+    },
+    
+    /**
+     * Save private notes for the article
+     * @param {string} url - Article URL
+     * @param {string} notes - Notes text
+     * @returns {Promise<Object|null>} Updated article or null
+     */
+    async setNotes(url, notes) {
+      return Storage.setNotes(url, notes, link, articleElement);
     }
   };
 }
@@ -2,16 +2,21 @@
 
 /**
  * Page state manager
- * Manages filter state and provides interface for state changes
+ * Manages filter state (page filter object, selected tags, selected series and title search) and provides interface for state changes
  */
 class PageState {
   constructor() {
-    this.currentFilter = CONFIG.filters.all;
+    this.currentFilter = createPageFilter();
+    this.selectedTags = [];
+    this.selectedSeries = '';
+    this.searchQuery = '';
+    this.isLinkedView = false;
     this.isInitialized = false;
   }
 
   /**
-   * Initialize page state by loading saved filter
+   * Initialize page state from a filter link in the URL hash, or else the saved filters
+   * A filter link is applied in memory only (see applyLinkedView)
    * @returns {Promise<void>}
    */
   async initialize() {
@@ -20,35 +25,193 @@ class PageState {
     }
     
     try {
-      this.currentFilter = await Storage.getPageFilter();
+      const linkedView = parseFilterHash(window.location.hash);
+      if (linkedView) {
+        this.applyLinkedView(linkedView);
+      } else {
+        this.currentFilter = await Storage.getPageFilter();
+        this.selectedTags = await Storage.getPageTagFilter();
+        this.selectedSeries = await Storage.getPageSeriesFilter();
+        this.searchQuery = await Storage.getPageSearchQuery();
+      }
       this.isInitialized = true;
     } catch (error) {
       Logger.warn('Error loading filter:', error);
-      this.currentFilter = CONFIG.filters.all;
+      this.currentFilter = createPageFilter();
+      this.selectedTags = [];
+      this.selectedSeries = '';
+      this.searchQuery = '';
       this.isInitialized = true;
     }
   }
 
   /**
-   * Get current filter value
-   * @returns {string} Current filter
+   * Get current page filter
+   * @returns {Object} Current page filter (status, publishedYears, readDates)
    */
   getFilter() {
     return this.currentFilter;
   }
 
   /**
-   * Set filter value and save to storage
-   * @param {string} filter - Filter value
+   * Set page filter and save to storage
+   * @param {Object} filter - Page filter (normalized)
    * @returns {Promise<void>}
    */
   async setFilter(filter) {
-    this.currentFilter = filter;
+    this.currentFilter = normalizePageFilter(filter);
+    if (this.isLinkedView) {
+      await this.saveLinkedView();
+      return;
+    }
     try {
-      await Storage.setPageFilter(filter);
+      await Storage.setPageFilter(this.currentFilter);
     } catch (error) {
       Logger.warn('Error saving filter:', error);
     }
   }
+
+  /**
+   * Change some fields of the page filter and save it
+   * @param {Object} changes - Filter fields to replace (e.g. { status } or { publishedYears })
+   * @returns {Promise<void>}
+   */
+  async updateFilter(changes) {
+    await this.setFilter({ ...this.currentFilter, ...changes });
+  }
+
+  /**
+   * Get the current filter view (see normalizeFilterView)
+   * @returns {Object} Page filter, selected tags, selected series and search query
+   */
+  getView() {
+    return {
+      filter: this.currentFilter,
+      tags: this.selectedTags,
+      series: this.selectedSeries,
+      searchQuery: this.searchQuery
+    };
+  }
+
+  /**
+   * Replace every filter with a filter view (a preset or a filter link) and save them
+   * @param {Object} view - Filter view
+   * @returns {Promise<void>}
+   */
+  async setView(view) {
+    const normalized = normalizeFilterView(view);
+    await this.setFilter(normalized.filter);
+    await this.setTagFilter(normalized.tags);
+    await this.setSeriesFilter(normalized.series);
+    await this.setSearchQuery(normalized.searchQuery);
+  }
+
+  /**
+   * Replace every filter with the view of a filter link, without saving them
+   * Opening a link keeps the saved filters; the view is saved once a filter is changed on the page
+   * @param {Object} view - Filter view
+   */
+  applyLinkedView(view) {
+    const normalized = normalizeFilterView(view);
+    this.currentFilter = normalized.filter;
+    this.selectedTags = normalized.tags;
+    this.selectedSeries = normalized.series;
+    this.searchQuery = normalized.searchQuery;
+    this.isLinkedView = true;
+  }
+
+  /**
+   * Save every filter of a linked view (the first filter change after applyLinkedView)
+   * @returns {Promise<void>}
+   */
+  async saveLinkedView() {
+    this.isLinkedView = false;
+    try {
+      await Storage.setPageFilter(this.currentFilter);
+      await Storage.setPageTagFilter(this.selectedTags);
+      await Storage.setPageSeriesFilter(this.selectedSeries);
+      await Storage.setPageSearchQuery(this.searchQuery);
+    } catch (error) {
+      Logger.warn('Error saving filter link view:', error);
+    }
+  }
+
+  /**
+   * Get selected tags
+   * @returns {Array<string>} Selected tags (empty means no tag filter)
+   */
+  getTagFilter() {
+    return this.selectedTags;
+  }
+
+  /**
+   * Set selected tags and save to storage
+   * @param {Array<string>} tags - Selected tags
+   * @returns {Promise<void>}
+   */
+  async setTagFilter(tags) {
+    this.selectedTags = normalizeTags(tags);
+    if (this.isLinkedView) {
+      await this.saveLinkedView();
+      return;
+    }
+    try {
+      await Storage.setPageTagFilter(this.selectedTags);
+    } catch (error) {
+      Logger.warn('Error saving tag filter:', error);
+    }
+  }
+
+  /**
+   * Get selected series
+   * @returns {string} Selected series id (empty means no series filter)
+   */
+  getSeriesFilter() {
+    return this.selectedSeries;
+  }
+
+  /**
+   * Set selected series and save to storage
+   * @param {string} seriesId - Selected series id
+   * @returns {Promise<void>}
+   */
+  async setSeriesFilter(seriesId) {
+    this.selectedSeries = seriesId || '';
+    if (this.isLinkedView) {
+      await this.saveLinkedView();
+      return;
+    }
+    try {
+      await Storage.setPageSeriesFilter(this.selectedSeries);
+    } catch (error) {
+      Logger.warn('Error saving series filter:', error);
+    }
+  }
+
+  /**
+   * Get title search query
+   * @returns {string} Search query (empty means no search)
+   */
+  getSearchQuery() {
+    return this.searchQuery;
+  }
+
+  /**
+   * Set title search query and save to storage
+   * @param {string} query - Search query
+   * @returns {Promise<void>}
+   */
+  async setSearchQuery(query) {
+    this.searchQuery = query || '';
+    if (this.isLinkedView) {
+      await this.saveLinkedView();
+      return;
+    }
+    try {
+      await Storage.setPageSearchQuery(this.searchQuery);
+    } catch (error) {
+      Logger.warn('Error saving search query:', error);
+    }
+  }
 }
 
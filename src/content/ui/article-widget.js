@@ -0,0 +1,100 @@
+// Floating read-status widget for individual article pages
+
+/**
+ * Create floating article widget
+ * @param {HTMLElement} progressIndicator - Progress indicator from createProgressIndicator
+ * @returns {Object} Object with container, status, toggle, previous and next elements
+ */
+function createArticleWidget(progressIndicator) {
+  const container = document.createElement('div');
+  container.id = CONFIG.selectors.articleWidget.substring(1);
+  container.className = 'lethain-article-widget';
+
+  const status = document.createElement('span');
+  status.className = 'lethain-widget-status';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'lethain-widget-toggle';
+
+  const previous = document.createElement('button');
+  previous.type = 'button';
+  previous.className = 'lethain-widget-nav';
+  previous.textContent = '← Previous unread';
+
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'lethain-widget-nav';
+  next.textContent = 'Next unread →';
+
+  const row = document.createElement('div');
+  row.className = 'lethain-widget-row';
+  row.appendChild(status);
+  row.appendChild(progressIndicator);
+  row.appendChild(toggle);
+
+  const nav = document.createElement('div');
+  nav.className = 'lethain-widget-row';
+  nav.appendChild(previous);
+  nav.appendChild(next);
+
+  container.appendChild(row);
+  container.appendChild(nav);
+
+  return { container, status, toggle, previous, next };
+}
+
+/**
+ * Reflect article status in the widget
+ * @param {Object} widget - Widget elements from createArticleWidget
+ * @param {Object|null} article - Current article or null
+ */
+function updateArticleWidgetStatus(widget, article) {
+  const status = getArticleStatus(article);
+
+  widget.status.dataset.status = status;
+  widget.status.textContent = `${STATUS_GLYPHS[status]} ${STATUS_LABELS[status]}`;
+  widget.status.title = status === CONFIG.statuses.read
+    ? `Read on ${formatDateFull(article.readDate)}`
+    : STATUS_LABELS[status];
+
+  widget.toggle.textContent = status === CONFIG.statuses.read ? 'Mark as unread' : 'Mark as read';
+}
+
+/**
+ * Enable/disable the navigation buttons for the given neighbours
+ * @param {Object} widget - Widget elements from createArticleWidget
+ * @param {Object|null} previous - Previous unread article or null
+ * @param {Object|null} next - Next unread article or null
+ */
+function updateArticleWidgetNavigation(widget, previous, next) {
+  widget.previous.disabled = !previous;
+  widget.previous.title = previous ? (previous.title || previous.url) : 'No previous unread article';
+  widget.next.disabled = !next;
+  widget.next.title = next ? (next.title || next.url) : 'No next unread article';
+}
+
+/**
+ * Remove the widget from the page, if shown
+ * Its listeners die with the resource manager's cleanup, so a restored page needs a new one
+ */
+function removeArticleWidget() {
+  const existing = document.getElementById(CONFIG.selectors.articleWidget.substring(1));
+  if (existing) {
+    existing.remove();
+  }
+}
+
+/**
+ * Attach widget event listeners
+ * @param {Object} widget - Widget elements from createArticleWidget
+ * @param {Object} handlers - Object with onToggle, onPrevious and onNext functions
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ */
+function attachArticleWidgetListeners(widget, handlers, resourceManager) {
+  const signal = resourceManager.getAbortSignal();
+
+  widget.toggle.addEventListener('click', () => handlers.onToggle(), { signal });
+  widget.previous.addEventListener('click', () => handlers.onPrevious(), { signal });
+  widget.next.addEventListener('click', () => handlers.onNext(), { signal });
+}
@@ -0,0 +1,289 @@
+// Bulk actions on the article list
+// Selection checkboxes on the trackers (shift-click selects a range) and batch status changes:
+// selected, all visible, or everything published before a date. Each action is one
+// Storage.saveArticles batch followed by one cache update and one filter pass.
+
+// Normalized URLs of the selected articles
+const selectedArticleUrls = new Set();
+
+// Last clicked checkbox's URL, where a shift-click range starts
+let selectionAnchorUrl = null;
+
+// Applies the current filters after a bulk change (set by initBulkActions)
+let bulkApplyFilter = null;
+
+/**
+ * Set up bulk actions for the page
+ * @param {Function} applyFilter - Filter application function (no arguments)
+ * @returns {void}
+ */
+function initBulkActions(applyFilter) {
+  bulkApplyFilter = applyFilter;
+}
+
+/**
+ * Get the normalized URL of an article row from its tracker
+ * @param {HTMLElement} row - Article element
+ * @returns {string|null} Normalized URL, or null if the row has no tracker
+ */
+function getRowUrl(row) {
+  const tracker = row.querySelector(CONFIG.selectors.tracker);
+  return tracker ? tracker.dataset.url : null;
+}
+
+/**
+ * Create the selection checkbox of a tracker
+ * @param {string} url - Article URL
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ * @returns {HTMLInputElement} Checkbox element
+ */
+function createSelectionCheckbox(url, resourceManager) {
+  const normalizedUrl = normalizeUrl(url);
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'lethain-select-checkbox';
+  checkbox.title = 'Select (shift-click to select a range)';
+  checkbox.dataset.url = normalizedUrl;
+  checkbox.checked = selectedArticleUrls.has(normalizedUrl);
+
+  checkbox.addEventListener('click', (e) => {
+    e.stopPropagation();
+    handleSelectionClick(normalizedUrl, checkbox.checked, e.shiftKey);
+  }, { signal: resourceManager.getAbortSignal() });
+
+  return checkbox;
+}
+
+/**
+ * Select or deselect an article, or the visible range from the previous click with shift
+ * @param {string} url - Normalized URL of the clicked article
+ * @param {boolean} selected - New state of the clicked checkbox
+ * @param {boolean} extendRange - Whether shift was held
+ */
+function handleSelectionClick(url, selected, extendRange) {
+  let urls = [url];
+
+  if (extendRange && selectionAnchorUrl && selectionAnchorUrl !== url) {
+    const rowUrls = getVisibleArticleRows().map(getRowUrl);
+    const from = rowUrls.indexOf(selectionAnchorUrl);
+    const to = rowUrls.indexOf(url);
+    if (from !== -1 && to !== -1) {
+      urls = rowUrls.slice(Math.min(from, to), Math.max(from, to) + 1).filter(Boolean);
+    }
+  }
+
+  for (let i = 0; i < urls.length; i++) {
+    if (selected) {
+      selectedArticleUrls.add(urls[i]);
+    } else {
+      selectedArticleUrls.delete(urls[i]);
+    }
+  }
+  selectionAnchorUrl = url;
+  updateSelectionUI();
+}
+
+/**
+ * Clear the selection
+ */
+function clearArticleSelection() {
+  selectedArticleUrls.clear();
+  selectionAnchorUrl = null;
+  updateSelectionUI();
+}
+
+/**
+ * Reflect the selection on the checkboxes and the bulk action bar
+ */
+function updateSelectionUI() {
+  const checkboxes = document.querySelectorAll('.lethain-select-checkbox');
+  for (let i = 0; i < checkboxes.length; i++) {
+    checkboxes[i].checked = selectedArticleUrls.has(checkboxes[i].dataset.url);
+  }
+
+  const selection = document.querySelector(`${CONFIG.selectors.filterControl} .lethain-bulk-selection`);
+  if (selection) {
+    const count = selectedArticleUrls.size;
+    selection.hidden = count === 0;
+    selection.querySelector('.lethain-bulk-count').textContent = `${count} selected`;
+  }
+}
+
+/**
+ * Set the status of several articles in one batch
+ * Articles already in that status are left alone (no history noise)
+ * @param {Array<Object>} articles - Article data with url (and title/date for articles not stored yet)
+ * @param {string} status - New status (CONFIG.statuses value)
+ * @returns {Promise<number>} Number of articles changed
+ * @throws {Error} If the storage backend fails
+ */
+async function setArticlesStatus(articles, status) {
+  await getArticlesCache();
+
+  const changes = [];
+  const records = [];
+  const readDate = status === CONFIG.statuses.read ? new Date().toISOString() : null;
+  for (let i = 0; i < articles.length; i++) {
+    const url = normalizeUrl(articles[i].url);
+    const cached = getArticleFromCache(url);
+    if (getArticleStatus(cached) === status) continue;
+
+    const change = { ...articles[i], url: url, status: status, readDate: readDate };
+    changes.push(change);
+    records.push({
+      ...(cached || mergeArticleState(null, change)),
+      status: status,
+      isRead: status === CONFIG.statuses.read,
+      readDate: readDate
+    });
+  }
+
+  if (changes.length === 0) return 0;
+
+  await Storage.saveArticles(changes);
+
+  // Storage change events patch the cache again later; renderers are idempotent
+  updateCacheArticles(records);
+  refreshTrackers(new Map(records.map(record => [record.url, record])));
+  if (bulkApplyFilter) {
+    await bulkApplyFilter();
+  }
+  return changes.length;
+}
+
+/**
+ * Set the status of the selected articles and clear the selection
+ * @param {string} status - New status
+ * @returns {Promise<number>} Number of articles changed
+ */
+async function setSelectedArticlesStatus(status) {
+  const articles = Array.from(selectedArticleUrls, url => ({ url: url }));
+  const count = await setArticlesStatus(articles, status);
+  clearArticleSelection();
+  return count;
+}
+
+/**
+ * Set the status of every visible article
+ * @param {string} status - New status
+ * @returns {Promise<number>} Number of articles changed
+ */
+async function setVisibleArticlesStatus(status) {
+  const rows = getVisibleArticleRows();
+  const articles = [];
+  for (let i = 0; i < rows.length; i++) {
+    const article = extractArticleFromElement(rows[i]);
+    if (article) {
+      articles.push(article);
+    }
+  }
+  return setArticlesStatus(articles, status);
+}
+
+/**
+ * Mark every article of the site published before a date as read (undated articles are skipped)
+ * @param {string} date - ISO date (YYYY-MM-DD), exclusive
+ * @returns {Promise<number>} Number of articles changed
+ */
+async function markArticlesReadBefore(date) {
+  const articles = Object.values(await getArticlesCache());
+  const older = [];
+  for (let i = 0; i < articles.length; i++) {
+    const publishedDate = getPublishedDate(articles[i]);
+    if (publishedDate && publishedDate < date) {
+      older.push({ url: articles[i].url });
+    }
+  }
+  return setArticlesStatus(older, CONFIG.statuses.read);
+}
+
+/**
+ * Run a bulk action from the action bar, reporting failures in the log
+ * @param {Function} action - Action returning a promise
+ */
+function runBulkAction(action) {
+  action().catch((error) => {
+    Logger.error('Error applying bulk action:', error);
+    invalidateCache();
+  });
+}
+
+/**
+ * Create a bulk action button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createBulkButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'lethain-bulk-btn';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * Create the bulk action bar shown in the filter control
+ * @returns {HTMLElement} Bulk action bar element
+ */
+function createBulkActionBar() {
+  const bar = document.createElement('div');
+  bar.className = 'lethain-bulk-actions';
+
+  const selection = document.createElement('span');
+  selection.className = 'lethain-bulk-selection';
+  const count = document.createElement('span');
+  count.className = 'lethain-bulk-count';
+  selection.appendChild(count);
+  selection.appendChild(createBulkButton('Mark read', () => {
+    runBulkAction(() => setSelectedArticlesStatus(CONFIG.statuses.read));
+  }));
+  selection.appendChild(createBulkButton('Mark unread', () => {
+    runBulkAction(() => setSelectedArticlesStatus(CONFIG.statuses.unread));
+  }));
+  selection.appendChild(createBulkButton('Clear', clearArticleSelection));
+  bar.appendChild(selection);
+
+  const visibleLabel = document.createElement('span');
+  visibleLabel.className = 'lethain-filter-label';
+  visibleLabel.textContent = 'All visible:';
+  bar.appendChild(visibleLabel);
+  bar.appendChild(createBulkButton('Mark read', () => {
+    const total = getVisibleArticleRows().length;
+    if (confirm(`Mark the ${total} visible articles as read?`)) {
+      runBulkAction(() => setVisibleArticlesStatus(CONFIG.statuses.read));
+    }
+  }));
+  bar.appendChild(createBulkButton('Mark unread', () => {
+    const total = getVisibleArticleRows().length;
+    if (confirm(`Mark the ${total} visible articles as unread?`)) {
+      runBulkAction(() => setVisibleArticlesStatus(CONFIG.statuses.unread));
+    }
+  }));
+
+  const dateLabel = document.createElement('span');
+  dateLabel.className = 'lethain-filter-label';
+  dateLabel.textContent = 'Published before:';
+  const dateInput = document.createElement('input');
+  dateInput.type = 'date';
+  dateInput.className = 'lethain-bulk-date';
+  bar.appendChild(dateLabel);
+  bar.appendChild(dateInput);
+  bar.appendChild(createBulkButton('Mark read', () => {
+    if (!dateInput.value) {
+      dateInput.focus();
+      return;
+    }
+    if (confirm(`Mark every article published before ${dateInput.value} as read?`)) {
+      runBulkAction(() => markArticlesReadBefore(dateInput.value));
+    }
+  }));
+
+  // The control is recreated when it moves; keep showing the current selection
+  const selected = selectedArticleUrls.size;
+  selection.hidden = selected === 0;
+  count.textContent = `${selected} selected`;
+
+  return bar;
+}
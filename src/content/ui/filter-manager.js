@@ -1,7 +1,19 @@
 // Filter management for article list
 
+// Handler for tag filter changes, set when the filter control is created
+let tagFilterChangeHandler = null;
+
+// Handler for series filter changes, set when the filter control is created
+let seriesFilterChangeHandler = null;
+
+// Handler for search query changes, set when the filter control is created
+let searchQueryChangeHandler = null;
+
+// Article element -> comment marking its original position while a series is shown in reading order
+const seriesPlaceholders = new Map();
+
 /**
- * Find article container element
+ * Find article container element (through the active site adapter)
  * @returns {HTMLElement|null} Article container or null
  */
 function findArticleContainer() {
@@ -10,47 +22,443 @@ function findArticleContainer() {
   const firstArticle = articleElements.length > 0 ? articleElements[0] : null;
   if (!firstArticle) return null;
   
-  return firstArticle.closest(CONFIG.selectors.articleContainer) ||
-         firstArticle.closest(CONFIG.selectors.articleSection) ||
-         firstArticle.closest('section') || 
-         firstArticle.closest(CONFIG.selectors.articleSectionFallback) ||
-         firstArticle.parentElement;
+  return getActiveSiteAdapter().findArticleContainer(firstArticle);
 }
 
 /**
  * Create filter button
  * @param {Object} filter - Filter object with value and label
- * @param {string} currentFilter - Current active filter
- * @param {Function} setPageFilter - Function to set filter
+ * @param {string} currentStatus - Status of the current page filter
+ * @param {Function} setPageFilter - Async function to change page filter fields
  * @returns {HTMLButtonElement} Filter button element
  */
-function createFilterButton(filter, currentFilter, setPageFilter) {
+function createFilterButton(filter, currentStatus, setPageFilter) {
   const btn = document.createElement('button');
   btn.textContent = filter.label;
   btn.dataset.filter = filter.value;
   btn.className = 'lethain-filter-btn';
   
-  if (currentFilter === filter.value) {
+  if (currentStatus === filter.value) {
     btn.classList.add('active');
   }
 
   btn.addEventListener('click', () => {
-    setPageFilter(filter.value);
-    const buttons = document.querySelectorAll('.lethain-filter-btn');
-    buttons.forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.filter === filter.value);
+    setPageFilter({ status: filter.value }).catch((error) => {
+      Logger.warn('Error applying status filter:', error);
     });
+    setActiveFilterButton(filter.value);
   });
 
   return btn;
 }
 
 /**
- * Create filter control UI
- * @param {string} currentFilter - Current active filter
- * @param {Function} setPageFilter - Function to set filter
+ * Highlight the filter button of a filter value
+ * @param {string} value - Filter value
+ */
+function setActiveFilterButton(value) {
+  const buttons = document.querySelectorAll('.lethain-filter-btn');
+  buttons.forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.filter === value);
+  });
+}
+
+/**
+ * Get tags currently selected in the tag filter
+ * @param {HTMLElement} tagFilter - Tag filter container
+ * @returns {Array<string>} Selected tags
+ */
+function getSelectedFilterTags(tagFilter) {
+  const selected = [];
+  const buttons = tagFilter.querySelectorAll('.lethain-tag-filter-btn.active');
+  for (let i = 0; i < buttons.length; i++) {
+    selected.push(buttons[i].dataset.tag);
+  }
+  return selected;
+}
+
+/**
+ * Render tag filter options from the stored tag index
+ * Tags toggle independently; articles matching any selected tag are shown
+ * @param {HTMLElement} tagFilter - Tag filter container
+ * @param {Array<string>} selectedTags - Currently selected tags
+ * @returns {Promise<void>}
+ */
+async function renderTagFilterOptions(tagFilter, selectedTags) {
+  let tags = [];
+  try {
+    tags = Object.keys(await Storage.getTagIndex()).sort();
+  } catch (error) {
+    Logger.warn('Error loading tag index:', error);
+  }
+  
+  tagFilter.textContent = '';
+  tagFilter.style.display = tags.length > 0 ? '' : 'none';
+  if (tags.length === 0) return;
+  
+  const label = document.createElement('span');
+  label.textContent = 'Tags:';
+  label.className = 'lethain-filter-label';
+  tagFilter.appendChild(label);
+  
+  for (let i = 0; i < tags.length; i++) {
+    const btn = document.createElement('button');
+    btn.textContent = tags[i];
+    btn.dataset.tag = tags[i];
+    btn.className = 'lethain-tag-filter-btn';
+    btn.classList.toggle('active', selectedTags.includes(tags[i]));
+    
+    btn.addEventListener('click', () => {
+      btn.classList.toggle('active');
+      if (tagFilterChangeHandler) {
+        tagFilterChangeHandler(getSelectedFilterTags(tagFilter)).catch((error) => {
+          Logger.warn('Error applying tag filter:', error);
+        });
+      }
+    });
+    
+    tagFilter.appendChild(btn);
+  }
+}
+
+/**
+ * Re-render tag filter options (e.g. after tags were added or removed on the page)
+ * Keeps current selection; selected tags that no longer exist are dropped from the view
+ * @returns {Promise<void>}
+ */
+async function refreshTagFilterOptions() {
+  const tagFilter = document.querySelector(`${CONFIG.selectors.filterControl} .lethain-tag-filter`);
+  if (!tagFilter) return;
+  
+  await renderTagFilterOptions(tagFilter, getSelectedFilterTags(tagFilter));
+}
+
+/**
+ * Create a range input pair (from – to)
+ * @param {string} type - Input type ('number' for years, 'date' for dates)
+ * @param {{from: *, to: *}} range - Current range
+ * @param {string} name - Range name, used for the inputs' data-range
+ * @returns {HTMLElement} Range element holding both inputs
+ */
+function createRangeInputs(type, range, name) {
+  const container = document.createElement('span');
+  container.className = 'lethain-range';
+  
+  const bounds = ['from', 'to'];
+  for (let i = 0; i < bounds.length; i++) {
+    const input = document.createElement('input');
+    input.type = type;
+    input.className = 'lethain-range-input';
+    input.dataset.range = name;
+    input.dataset.bound = bounds[i];
+    input.placeholder = bounds[i];
+    input.setAttribute('aria-label', `${name} ${bounds[i]}`);
+    if (type === 'number') {
+      input.min = '1000';
+      input.max = '9999';
+    }
+    input.value = range[bounds[i]] === null ? '' : String(range[bounds[i]]);
+    
+    if (i > 0) {
+      container.appendChild(document.createTextNode('–'));
+    }
+    container.appendChild(input);
+  }
+  return container;
+}
+
+/**
+ * Read the ranges from the range filter inputs
+ * @param {HTMLElement} rangeFilter - Range filter element
+ * @returns {{publishedYears: Object, readDates: Object}} Ranges (raw values, normalized by the page filter)
+ */
+function readRangeFilter(rangeFilter) {
+  const value = (range, bound) => rangeFilter.querySelector(`[data-range="${range}"][data-bound="${bound}"]`).value;
+  return {
+    publishedYears: { from: value('published', 'from'), to: value('published', 'to') },
+    readDates: { from: value('read', 'from'), to: value('read', 'to') }
+  };
+}
+
+/**
+ * Label the range filter with how many ranges apply
+ * @param {HTMLElement} rangeFilter - Range filter element
+ * @param {Object} filter - Normalized page filter
+ */
+function updateRangeFilterSummary(rangeFilter, filter) {
+  const ranges = [filter.publishedYears, filter.readDates];
+  let active = 0;
+  for (let i = 0; i < ranges.length; i++) {
+    if (ranges[i].from !== null || ranges[i].to !== null) {
+      active++;
+    }
+  }
+  rangeFilter.querySelector('summary').textContent = active > 0 ? `Ranges (${active})` : 'Ranges';
+  rangeFilter.classList.toggle('active', active > 0);
+}
+
+/**
+ * Create the published-year and read-date range filter
+ * Collapsed unless a range applies
+ * @param {Object} currentFilter - Current page filter
+ * @param {Function} setPageFilter - Async function to change page filter fields
+ * @returns {HTMLElement} Range filter element
+ */
+function createRangeFilter(currentFilter, setPageFilter) {
+  const rangeFilter = document.createElement('details');
+  rangeFilter.className = 'lethain-range-filter';
+  rangeFilter.appendChild(document.createElement('summary'));
+  
+  const published = document.createElement('label');
+  published.className = 'lethain-range-label';
+  published.appendChild(document.createTextNode('Published'));
+  published.appendChild(createRangeInputs('number', currentFilter.publishedYears, 'published'));
+  
+  const read = document.createElement('label');
+  read.className = 'lethain-range-label';
+  read.appendChild(document.createTextNode('Read'));
+  read.appendChild(createRangeInputs('date', currentFilter.readDates, 'read'));
+  
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'lethain-range-clear';
+  clear.textContent = 'Clear';
+  
+  rangeFilter.appendChild(published);
+  rangeFilter.appendChild(read);
+  rangeFilter.appendChild(clear);
+  
+  const apply = (ranges) => {
+    const filter = normalizePageFilter({ ...currentFilter, ...ranges });
+    updateRangeFilterSummary(rangeFilter, filter);
+    setPageFilter(ranges).catch((error) => {
+      Logger.warn('Error applying range filter:', error);
+    });
+  };
+  
+  rangeFilter.addEventListener('change', (e) => {
+    if (e.target.classList.contains('lethain-range-input')) {
+      apply(readRangeFilter(rangeFilter));
+    }
+  });
+  clear.addEventListener('click', () => {
+    const inputs = rangeFilter.querySelectorAll('.lethain-range-input');
+    for (let i = 0; i < inputs.length; i++) {
+      inputs[i].value = '';
+    }
+    apply(readRangeFilter(rangeFilter));
+  });
+  
+  updateRangeFilterSummary(rangeFilter, currentFilter);
+  rangeFilter.open = rangeFilter.classList.contains('active');
+  return rangeFilter;
+}
+
+/**
+ * Collect the series of the cached articles
+ * @param {Object} articles - Articles cache object
+ * @returns {Array<{id: string, name: string, read: number, total: number}>} Series sorted by name
  */
-function createFilterControl(currentFilter, setPageFilter) {
+function getCachedSeries(articles) {
+  const list = Object.values(articles || {});
+  const seen = new Set();
+  const series = [];
+  for (let i = 0; i < list.length; i++) {
+    const id = list[i] && list[i].series && list[i].series.id;
+    if (!id || seen.has(id)) continue;
+    
+    seen.add(id);
+    const progress = getSeriesProgress(list, id);
+    series.push({ id: id, name: progress.name, read: progress.read, total: progress.total });
+  }
+  return series.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Render series filter options from the cached articles
+ * @param {HTMLSelectElement} seriesFilter - Series filter select
+ * @param {string} selectedSeries - Currently selected series id ('' for none)
+ * @returns {Promise<void>}
+ */
+async function renderSeriesFilterOptions(seriesFilter, selectedSeries) {
+  let series = [];
+  try {
+    series = getCachedSeries(await getArticlesCache());
+  } catch (error) {
+    Logger.warn('Error loading series:', error);
+  }
+  
+  seriesFilter.textContent = '';
+  seriesFilter.style.display = series.length > 0 ? '' : 'none';
+  if (series.length === 0) return;
+  
+  const allOption = document.createElement('option');
+  allOption.value = '';
+  allOption.textContent = 'All series';
+  seriesFilter.appendChild(allOption);
+  
+  for (let i = 0; i < series.length; i++) {
+    const option = document.createElement('option');
+    option.value = series[i].id;
+    option.textContent = `${series[i].name} (${series[i].read}/${series[i].total} read)`;
+    seriesFilter.appendChild(option);
+  }
+  // A series that no longer exists falls back to "All series"
+  seriesFilter.value = series.some(item => item.id === selectedSeries) ? selectedSeries : '';
+}
+
+/**
+ * Re-render series filter options (e.g. after series membership or read counts changed)
+ * Keeps current selection
+ * @returns {Promise<void>}
+ */
+async function refreshSeriesFilterOptions() {
+  const seriesFilter = document.querySelector(`${CONFIG.selectors.filterControl} .lethain-series-filter`);
+  if (!seriesFilter) return;
+  
+  await renderSeriesFilterOptions(seriesFilter, seriesFilter.value);
+}
+
+/**
+ * Create the title search input
+ * Filters once typing pauses for CONFIG.timeouts.filterDebounce (each query change is saved,
+ * written to the URL hash and re-filters the list); Escape clears the query right away
+ * @param {string} searchQuery - Current query
+ * @param {ResourceManager} resourceManager - Resource manager instance (tracks the debounce timeout)
+ * @returns {HTMLInputElement} Search input element
+ */
+function createSearchInput(searchQuery, resourceManager) {
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.className = 'lethain-search-input';
+  input.placeholder = 'Search titles…';
+  input.setAttribute('aria-label', 'Search article titles');
+  input.value = searchQuery;
+  
+  let inputTimeout = null;
+  const cancelPendingSearch = () => {
+    if (inputTimeout != null) {
+      resourceManager.clearTimeout(inputTimeout);
+      inputTimeout = null;
+    }
+  };
+  
+  input.addEventListener('input', () => {
+    cancelPendingSearch();
+    inputTimeout = resourceManager.trackTimeout(() => {
+      inputTimeout = null;
+      if (searchQueryChangeHandler) {
+        searchQueryChangeHandler(input.value).catch((error) => {
+          Logger.warn('Error applying title search:', error);
+        });
+      }
+    }, CONFIG.timeouts.filterDebounce);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && input.value) {
+      e.preventDefault();
+      cancelPendingSearch();
+      input.value = '';
+      if (searchQueryChangeHandler) {
+        searchQueryChangeHandler('').catch((error) => {
+          Logger.warn('Error clearing title search:', error);
+        });
+      }
+    }
+  });
+  
+  return input;
+}
+
+/**
+ * Get a link's title as the site rendered it (before search highlighting)
+ * @param {HTMLElement} link - Link element
+ * @returns {string} Title text
+ */
+function getLinkTitle(link) {
+  return link.dataset.lethainTitle !== undefined ? link.dataset.lethainTitle : link.textContent;
+}
+
+/**
+ * Highlight matched characters of a link's title
+ * Only plain-text links are rewritten, so the site's own markup inside links is never lost
+ * @param {HTMLElement} link - Link element
+ * @param {Array<number>} positions - Sorted matched character positions (see fuzzyMatchTitle)
+ */
+function highlightLinkTitle(link, positions) {
+  if (link.dataset.lethainTitle === undefined) {
+    if (link.children.length > 0) return;
+    link.dataset.lethainTitle = link.textContent;
+  }
+  
+  // Rewriting an unchanged highlight would only churn the DOM
+  const key = positions.join(',');
+  if (link.dataset.lethainHighlight === key) return;
+  link.dataset.lethainHighlight = key;
+  
+  const title = link.dataset.lethainTitle;
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+  for (let i = 0; i < positions.length; i++) {
+    // Consecutive positions share one mark
+    const from = positions[i];
+    while (i + 1 < positions.length && positions[i + 1] === positions[i] + 1) {
+      i++;
+    }
+    const to = positions[i] + 1;
+    
+    if (from > last) {
+      fragment.appendChild(document.createTextNode(title.slice(last, from)));
+    }
+    const mark = document.createElement('mark');
+    mark.className = 'lethain-search-match';
+    mark.textContent = title.slice(from, to);
+    fragment.appendChild(mark);
+    last = to;
+  }
+  if (last < title.length) {
+    fragment.appendChild(document.createTextNode(title.slice(last)));
+  }
+  
+  link.textContent = '';
+  link.appendChild(fragment);
+}
+
+/**
+ * Restore a link's title after highlightLinkTitle
+ * @param {HTMLElement} link - Link element
+ */
+function clearLinkHighlight(link) {
+  if (link.dataset.lethainTitle === undefined) return;
+  
+  link.textContent = link.dataset.lethainTitle;
+  delete link.dataset.lethainTitle;
+  delete link.dataset.lethainHighlight;
+}
+
+/**
+ * Restore every highlighted title on the page
+ */
+function clearTitleHighlights() {
+  const links = document.querySelectorAll('[data-lethain-title]');
+  for (let i = 0; i < links.length; i++) {
+    clearLinkHighlight(links[i]);
+  }
+}
+
+/**
+ * Create filter control UI, placed by the active site adapter
+ * @param {Object} currentFilter - Current page filter (see normalizePageFilter)
+ * @param {Function} setPageFilter - Async function to change page filter fields (called with a partial filter)
+ * @param {Array<string>} [selectedTags=[]] - Currently selected tags
+ * @param {Function|null} [setTagFilter=null] - Async function to set selected tags
+ * @param {string} [selectedSeries=''] - Currently selected series id
+ * @param {Function|null} [setSeriesFilter=null] - Async function to set the selected series
+ * @param {string} [searchQuery=''] - Current title search query
+ * @param {Function|null} [setSearchQuery=null] - Async function to set the search query
+ * @param {ResourceManager} resourceManager - Resource manager instance (tracks the search debounce timeout)
+ */
+function createFilterControl(currentFilter, setPageFilter, selectedTags = [], setTagFilter = null, selectedSeries = '', setSeriesFilter = null, searchQuery = '', setSearchQuery = null, resourceManager) {
   if (document.getElementById(CONFIG.selectors.filterControl.substring(1))) {
     return;
   }
@@ -75,35 +483,55 @@ function createFilterControl(currentFilter, setPageFilter) {
   const filters = [
     { value: CONFIG.filters.all, label: 'All' },
     { value: CONFIG.filters.unread, label: 'Unread' },
-    { value: CONFIG.filters.read, label: 'Read' }
+    { value: CONFIG.filters.inProgress, label: 'In progress' },
+    { value: CONFIG.filters.read, label: 'Read' },
+    { value: CONFIG.filters.skipped, label: 'Skipped' }
   ];
 
   filters.forEach(filter => {
-    const btn = createFilterButton(filter, currentFilter, setPageFilter);
+    const btn = createFilterButton(filter, currentFilter.status, setPageFilter);
     filterButtons.appendChild(btn);
   });
 
   filterContainer.appendChild(filterLabel);
   filterContainer.appendChild(filterButtons);
+  filterContainer.appendChild(createRangeFilter(currentFilter, setPageFilter));
   
-  const relativeDiv = firstArticle.closest(CONFIG.selectors.articleContainer);
+  const tagFilter = document.createElement('div');
+  tagFilter.className = 'lethain-tag-filter';
+  tagFilter.style.display = 'none';
+  filterContainer.appendChild(tagFilter);
   
-  if (relativeDiv) {
-    const firstChildArticle = relativeDiv.querySelector(CONFIG.selectors.article);
-    
-    if (firstChildArticle) {
-      relativeDiv.insertBefore(filterContainer, firstChildArticle);
-    } else if (relativeDiv.firstChild) {
-      relativeDiv.insertBefore(filterContainer, relativeDiv.firstChild);
-    } else {
-      relativeDiv.appendChild(filterContainer);
-    }
-  } else {
-    const parent = firstArticle.parentElement;
-    if (parent) {
-      parent.insertBefore(filterContainer, firstArticle);
+  tagFilterChangeHandler = setTagFilter;
+  renderTagFilterOptions(tagFilter, selectedTags).catch((error) => {
+    Logger.warn('Error rendering tag filter:', error);
+  });
+  
+  const seriesFilter = document.createElement('select');
+  seriesFilter.className = 'lethain-series-filter';
+  seriesFilter.title = 'Show one series in reading order';
+  seriesFilter.style.display = 'none';
+  seriesFilter.addEventListener('change', () => {
+    if (seriesFilterChangeHandler) {
+      seriesFilterChangeHandler(seriesFilter.value).catch((error) => {
+        Logger.warn('Error applying series filter:', error);
+      });
     }
-  }
+  });
+  filterButtons.appendChild(seriesFilter);
+  
+  searchQueryChangeHandler = setSearchQuery;
+  filterButtons.appendChild(createSearchInput(searchQuery, resourceManager));
+  
+  seriesFilterChangeHandler = setSeriesFilter;
+  renderSeriesFilterOptions(seriesFilter, selectedSeries).catch((error) => {
+    Logger.warn('Error rendering series filter:', error);
+  });
+  
+  filterContainer.appendChild(createFilterPresetBar());
+  filterContainer.appendChild(createBulkActionBar());
+  
+  getActiveSiteAdapter().insertFilterControl(filterContainer, firstArticle);
 }
 
 /**
@@ -137,12 +565,66 @@ function preserveContainerWidth(articleContainer) {
 }
 
 /**
- * Filter articles by read status
+ * Put article elements back where they were before placeSeriesInReadingOrder moved them
+ * @param {Set<HTMLElement>} [keep] - Elements to leave in place (still shown in reading order)
+ */
+function restoreArticleOrder(keep) {
+  for (const [element, placeholder] of seriesPlaceholders) {
+    if (keep && keep.has(element)) continue;
+    
+    if (placeholder.parentNode && placeholder.nextSibling !== element) {
+      placeholder.parentNode.insertBefore(element, placeholder.nextSibling);
+    }
+    placeholder.remove();
+    seriesPlaceholders.delete(element);
+  }
+}
+
+/**
+ * Reorder series members into reading order within the positions they take up on the page
+ * Moves nothing when the order is already right, since moves are seen by the mutation observer
+ * @param {Array<{element: HTMLElement, order: number}>} members - Member elements with their series order
+ */
+function placeSeriesInReadingOrder(members) {
+  restoreArticleOrder(new Set(members.map(member => member.element)));
+  
+  for (let i = 0; i < members.length; i++) {
+    const element = members[i].element;
+    if (!seriesPlaceholders.has(element) && element.parentNode) {
+      const placeholder = document.createComment('lethain-series-slot');
+      element.parentNode.insertBefore(placeholder, element);
+      seriesPlaceholders.set(element, placeholder);
+    }
+  }
+  
+  // Slots in page order, filled with the members in reading order
+  const slots = members
+    .map(member => seriesPlaceholders.get(member.element))
+    .filter(Boolean)
+    .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+  const ordered = members.slice().sort((a, b) => a.order - b.order);
+  
+  for (let i = 0; i < slots.length; i++) {
+    // Each slot is followed by the element it was made for, or by the one moved in
+    const slot = slots[i];
+    const target = slot.nextSibling;
+    if (target === ordered[i].element) continue;
+    
+    slot.parentNode.insertBefore(ordered[i].element, target);
+  }
+}
+
+/**
+ * Filter articles by page filter (status and ranges), selected tags, selected series and title search
+ * Members of the selected series are shown in reading order; search matches are highlighted
  * @param {NodeList} articleElements - Article elements
  * @param {Object} articles - Articles cache object
- * @param {string} currentFilter - Current filter value
+ * @param {Object} currentFilter - Current page filter (see matchesPageFilter)
+ * @param {Array<string>} [selectedTags=[]] - Selected tags (article must have at least one)
+ * @param {string} [selectedSeries=''] - Selected series id
+ * @param {string} [searchQuery=''] - Title search query (fuzzy, see fuzzyMatchTitle)
  */
-function filterByReadStatus(articleElements, articles, currentFilter) {
+function filterByReadStatus(articleElements, articles, currentFilter, selectedTags = [], selectedSeries = '', searchQuery = '') {
   // Early return if cache is empty or invalid
   if (!articles || typeof articles !== 'object' || Object.keys(articles).length === 0) {
     // If cache is empty, show all articles for safety
@@ -150,8 +632,7 @@ function filterByReadStatus(articleElements, articles, currentFilter) {
     return;
   }
   
-  const filterRead = currentFilter === CONFIG.filters.read;
-  const filterUnread = currentFilter === CONFIG.filters.unread;
+  const seriesMembers = [];
   
   // Use traditional for loop for better performance
   for (let i = 0; i < articleElements.length; i++) {
@@ -170,38 +651,75 @@ function filterByReadStatus(articleElements, articles, currentFilter) {
     }
 
     const article = getArticleFromCache(url);
-    const isRead = article?.isRead || false;
     
     // Determine if article should be shown based on filter
-    let shouldShow = true;
-    if (filterRead) {
-      shouldShow = isRead;
-    } else if (filterUnread) {
-      shouldShow = !isRead;
+    let shouldShow = matchesPageFilter(article, currentFilter);
+    
+    if (shouldShow && selectedTags.length > 0) {
+      const tags = article?.tags || [];
+      shouldShow = selectedTags.some(tag => tags.includes(tag));
+    }
+    
+    if (selectedSeries) {
+      const series = article && article.series;
+      if (series && series.id === selectedSeries) {
+        seriesMembers.push({ element: articleEl, order: series.order });
+      } else {
+        shouldShow = false;
+      }
+    }
+    
+    if (searchQuery) {
+      const positions = shouldShow ? fuzzyMatchTitle(searchQuery, getLinkTitle(link)) : null;
+      if (positions) {
+        highlightLinkTitle(link, positions);
+      } else {
+        shouldShow = false;
+        clearLinkHighlight(link);
+      }
+    } else {
+      clearLinkHighlight(link);
     }
 
     articleEl.classList.toggle('lethain-article-hidden', !shouldShow);
   }
+  
+  if (seriesMembers.length > 0) {
+    placeSeriesInReadingOrder(seriesMembers);
+  } else {
+    restoreArticleOrder();
+  }
 }
 
 /**
  * Apply filter to article list
- * @param {string} currentFilter - Current filter value
+ * @param {Object} currentFilter - Current page filter
  * @param {Function} getArticlesCache - Cache getter function
+ * @param {Array<string>} [selectedTags=[]] - Selected tags
+ * @param {string} [selectedSeries=''] - Selected series id (shown alone, in reading order)
+ * @param {string} [searchQuery=''] - Title search query
  */
-async function applyFilter(currentFilter, getArticlesCache) {
+async function applyFilter(currentFilter, getArticlesCache, selectedTags = [], selectedSeries = '', searchQuery = '') {
   // Use cached findArticleElements to avoid repeated querySelectorAll
   const articleElements = findArticleElements();
   if (articleElements.length === 0) return;
 
   const articleContainer = findArticleContainer();
+  const articles = selectedSeries ? await getArticlesCache() : null;
+  
+  // A series that no longer exists doesn't hide the whole list
+  if (articles && getSeriesProgress(Object.values(articles), selectedSeries).total === 0) {
+    selectedSeries = '';
+  }
 
-  if (currentFilter === CONFIG.filters.all) {
+  searchQuery = searchQuery.trim();
+  if (isDefaultPageFilter(currentFilter) && selectedTags.length === 0 && !selectedSeries && !searchQuery) {
+    restoreArticleOrder();
+    clearTitleHighlights();
     showAllArticles(articleElements, articleContainer);
     return;
   }
 
   preserveContainerWidth(articleContainer);
-  const articles = await getArticlesCache();
-  filterByReadStatus(articleElements, articles, currentFilter);
+  filterByReadStatus(articleElements, articles || await getArticlesCache(), currentFilter, selectedTags, selectedSeries, searchQuery);
 }
@@ -0,0 +1,199 @@
+// Filter presets and filter links
+// Presets are named filter views (see normalizeFilterView) shown as extra buttons in the
+// filter control; applying one replaces every filter. The current view is mirrored in the
+// URL hash (#lethain-filter=...) so the address bar can be shared.
+
+// Saved presets, in display order (see loadFilterPresets)
+let filterPresets = [];
+
+// Current view getter and view setter of the page (set by initFilterPresets)
+let presetGetView = null;
+let presetApplyView = null;
+
+/**
+ * Set up filter presets for the page and load the saved ones
+ * @param {Function} getView - Returns the current filter view
+ * @param {Function} applyView - Applies a filter view (returns a promise)
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local.get fails
+ */
+async function initFilterPresets(getView, applyView) {
+  presetGetView = getView;
+  presetApplyView = applyView;
+  await loadFilterPresets();
+}
+
+/**
+ * Load the saved presets and re-render the preset buttons
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local.get fails
+ */
+async function loadFilterPresets() {
+  filterPresets = await Storage.getFilterPresets();
+  renderFilterPresets();
+}
+
+/**
+ * Follow presets saved or deleted in other tabs
+ * @param {ResourceManager} resourceManager - Resource manager instance (removes the listener on cleanup)
+ * @returns {void}
+ */
+function watchFilterPresets(resourceManager) {
+  resourceManager.trackStorageListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CONFIG.storage.filterPresetsKey]) {
+      loadFilterPresets().catch((error) => {
+        Logger.warn('Error loading filter presets:', error);
+      });
+    }
+  });
+}
+
+/**
+ * Run a preset action, reporting failures in the log
+ * @param {Function} action - Action returning a promise
+ */
+function runPresetAction(action) {
+  action().catch((error) => {
+    Logger.error('Error applying filter preset action:', error);
+  });
+}
+
+/**
+ * Ask for a name and save the current view as a preset
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local fails
+ */
+async function saveCurrentViewAsPreset() {
+  const input = prompt('Name this view:');
+  const name = input ? input.trim() : '';
+  if (!name || !presetGetView) return;
+
+  const exists = filterPresets.some(preset => preset.name === name);
+  if (exists && !confirm(`Replace the saved view "${name}"?`)) return;
+
+  const presets = await Storage.saveFilterPreset({ name: name, ...presetGetView() });
+  if (presets) {
+    filterPresets = presets;
+    renderFilterPresets();
+  }
+}
+
+/**
+ * Delete a preset after confirmation
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local fails
+ */
+async function deleteFilterPresetWithConfirm(name) {
+  if (!confirm(`Delete the saved view "${name}"?`)) return;
+
+  if (await Storage.deleteFilterPreset(name)) {
+    filterPresets = filterPresets.filter(preset => preset.name !== name);
+    renderFilterPresets();
+  }
+}
+
+/**
+ * Copy a link to the current view
+ * @returns {Promise<void>}
+ * @throws {Error} If the clipboard is unavailable
+ */
+async function copyFilterLink() {
+  if (!presetGetView) return;
+  const url = window.location.href.replace(/#.*$/, '') + formatFilterHash(presetGetView());
+  await navigator.clipboard.writeText(url);
+}
+
+/**
+ * Create a preset bar button
+ * @param {string} label - Button text
+ * @param {string} className - Button classes
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createPresetButton(label, className, onClick) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = className;
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+/**
+ * Render the preset buttons (the current view's preset is marked active)
+ * @param {HTMLElement} [container] - Preset bar (defaults to the one in the filter control)
+ */
+function renderFilterPresets(container) {
+  container = container || document.querySelector(`${CONFIG.selectors.filterControl} .lethain-filter-presets`);
+  if (!container) return;
+
+  container.textContent = '';
+  const currentView = presetGetView ? presetGetView() : null;
+
+  const label = document.createElement('span');
+  label.className = 'lethain-filter-label';
+  label.textContent = 'Views:';
+  container.appendChild(label);
+
+  for (let i = 0; i < filterPresets.length; i++) {
+    const preset = filterPresets[i];
+    const item = document.createElement('span');
+    item.className = 'lethain-preset';
+
+    const applyBtn = createPresetButton(preset.name, 'lethain-filter-btn lethain-preset-btn', () => {
+      if (presetApplyView) {
+        runPresetAction(() => presetApplyView(preset));
+      }
+    });
+    if (currentView && isSameFilterView(currentView, preset)) {
+      applyBtn.classList.add('active');
+    }
+
+    const deleteBtn = createPresetButton('×', 'lethain-preset-delete', () => {
+      runPresetAction(() => deleteFilterPresetWithConfirm(preset.name));
+    });
+    deleteBtn.title = `Delete "${preset.name}"`;
+    deleteBtn.setAttribute('aria-label', `Delete saved view ${preset.name}`);
+
+    item.appendChild(applyBtn);
+    item.appendChild(deleteBtn);
+    container.appendChild(item);
+  }
+
+  container.appendChild(createPresetButton('Save view', 'lethain-bulk-btn', () => {
+    runPresetAction(saveCurrentViewAsPreset);
+  }));
+  container.appendChild(createPresetButton('Copy link', 'lethain-bulk-btn', () => {
+    runPresetAction(copyFilterLink);
+  }));
+}
+
+/**
+ * Create the preset bar shown in the filter control
+ * @returns {HTMLElement} Preset bar element
+ */
+function createFilterPresetBar() {
+  const bar = document.createElement('div');
+  bar.className = 'lethain-filter-presets';
+  renderFilterPresets(bar);
+  return bar;
+}
+
+/**
+ * Mirror a filter view in the URL hash without adding a history entry
+ * Showing everything removes a filter link but leaves other anchors alone
+ * @param {Object} view - Filter view
+ */
+function writeFilterHash(view) {
+  let hash;
+  if (isDefaultFilterView(view)) {
+    if (!parseFilterHash(window.location.hash)) return;
+    hash = '';
+  } else {
+    hash = formatFilterHash(view);
+  }
+  if (hash === window.location.hash) return;
+
+  history.replaceState(history.state, '', window.location.pathname + window.location.search + hash);
+}
@@ -0,0 +1,244 @@
+// Keyboard navigation for the article list
+// j/k move a focus ring over the visible rows, x toggles read, o opens, 1/2/3 switch filters,
+// / focuses the title search
+
+/**
+ * Shortcuts shown in the help overlay, in display order
+ * @type {Array<{key: string, description: string}>}
+ */
+const KEYBOARD_SHORTCUTS = [
+  { key: 'j', description: 'Next article' },
+  { key: 'k', description: 'Previous article' },
+  { key: 'x', description: 'Toggle read' },
+  { key: 'o', description: 'Open article' },
+  { key: '1', description: 'Show all' },
+  { key: '2', description: 'Show unread' },
+  { key: '3', description: 'Show read' },
+  { key: '/', description: 'Search titles' },
+  { key: '?', description: 'Show/hide this help' }
+];
+
+/**
+ * Filters selected by the number keys
+ * @type {Object<string, string>}
+ */
+const KEYBOARD_FILTERS = {
+  '1': CONFIG.filters.all,
+  '2': CONFIG.filters.unread,
+  '3': CONFIG.filters.read
+};
+
+// Row currently holding the focus ring
+let keyboardFocusedRow = null;
+
+/**
+ * Check whether a key event belongs to something the user is typing in
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean} True if the event should be left alone
+ */
+function isTypingTarget(event) {
+  const target = event.target;
+  if (!target || target.nodeType !== 1) return false;
+  return target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName);
+}
+
+/**
+ * Get the article rows that are currently shown, in page order
+ * @returns {Array<HTMLElement>} Visible article elements
+ */
+function getVisibleArticleRows() {
+  const rows = Array.from(findArticleElements())
+    .filter(el => el.isConnected && !el.classList.contains('lethain-article-hidden'));
+  // A series filter may have moved rows since the lookup was cached
+  return rows.sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+}
+
+/**
+ * Move the focus ring to a row and bring it into view
+ * @param {HTMLElement|null} row - Article element (null removes the ring)
+ */
+function setKeyboardFocus(row) {
+  if (keyboardFocusedRow) {
+    keyboardFocusedRow.classList.remove('lethain-keyboard-focus');
+  }
+  keyboardFocusedRow = row;
+  if (row) {
+    row.classList.add('lethain-keyboard-focus');
+    row.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Move the focus ring to the next or previous visible row
+ * Starts at the first (j) or last (k) row when nothing visible is focused
+ * @param {number} step - 1 for next, -1 for previous
+ */
+function moveKeyboardFocus(step) {
+  const rows = getVisibleArticleRows();
+  if (rows.length === 0) return;
+
+  const index = rows.indexOf(keyboardFocusedRow);
+  let next;
+  if (index === -1) {
+    next = step > 0 ? 0 : rows.length - 1;
+  } else {
+    next = Math.min(Math.max(index + step, 0), rows.length - 1);
+  }
+  setKeyboardFocus(rows[next]);
+}
+
+/**
+ * Get the focused row if it is still shown
+ * @returns {HTMLElement|null} Focused article element or null
+ */
+function getFocusedArticleRow() {
+  const row = keyboardFocusedRow;
+  if (!row || !row.isConnected || row.classList.contains('lethain-article-hidden')) {
+    return null;
+  }
+  return row;
+}
+
+/**
+ * Toggle the focused article between read and unread (any other status becomes read)
+ * @param {Function} applyFilter - Filter application function
+ * @returns {Promise<void>}
+ */
+async function toggleFocusedArticleRead(applyFilter) {
+  const row = getFocusedArticleRow();
+  const link = row ? extractLink(row) : null;
+  const url = link ? (link.href || link.getAttribute('href')) : null;
+  if (!url || !validateUrl(url)) return;
+
+  // Reload the cache if it expired or was invalidated, so the toggle starts from the stored status
+  await getArticlesCache();
+  const current = getArticleStatus(getArticleFromCache(url));
+  const status = current === CONFIG.statuses.read ? CONFIG.statuses.unread : CONFIG.statuses.read;
+
+  const updatedArticle = await handleArticleStatusChange(url, status, createPageStorage(link, row), invalidateCache);
+  if (updatedArticle) {
+    refreshTrackers(new Map([[normalizeUrl(url), updatedArticle]]));
+    await applyFilter();
+  }
+}
+
+/**
+ * Open the focused article in the current tab
+ */
+function openFocusedArticle() {
+  const row = getFocusedArticleRow();
+  const link = row ? extractLink(row) : null;
+  const url = link ? (link.href || link.getAttribute('href')) : null;
+  if (url && validateUrl(url)) {
+    window.location.assign(url);
+  }
+}
+
+/**
+ * Create the shortcut help overlay
+ * @returns {HTMLElement} Overlay element (hidden)
+ */
+function createShortcutOverlay() {
+  const overlay = document.createElement('div');
+  overlay.className = 'lethain-shortcut-overlay';
+  overlay.hidden = true;
+
+  const panel = document.createElement('div');
+  panel.className = 'lethain-shortcut-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', 'Keyboard shortcuts');
+
+  const title = document.createElement('div');
+  title.className = 'lethain-shortcut-title';
+  title.textContent = 'Keyboard shortcuts';
+  panel.appendChild(title);
+
+  const list = document.createElement('dl');
+  list.className = 'lethain-shortcut-list';
+  for (let i = 0; i < KEYBOARD_SHORTCUTS.length; i++) {
+    const key = document.createElement('dt');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = KEYBOARD_SHORTCUTS[i].key;
+    key.appendChild(kbd);
+
+    const description = document.createElement('dd');
+    description.textContent = KEYBOARD_SHORTCUTS[i].description;
+
+    list.appendChild(key);
+    list.appendChild(description);
+  }
+  panel.appendChild(list);
+  overlay.appendChild(panel);
+
+  return overlay;
+}
+
+/**
+ * Show or hide the shortcut help overlay, creating it on first use
+ * The overlay is removed on cleanup together with its listener, so a restored page creates a new one
+ * @param {ResourceManager} resourceManager - Resource manager instance (removes the listener on cleanup)
+ * @param {boolean} [show] - Whether to show it (toggles when omitted)
+ */
+function toggleShortcutOverlay(resourceManager, show) {
+  let overlay = document.querySelector('.lethain-shortcut-overlay');
+  if (!overlay) {
+    if (show === false) return;
+    overlay = createShortcutOverlay();
+    const signal = resourceManager.getAbortSignal();
+    // Clicking outside the panel closes it
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        toggleShortcutOverlay(resourceManager, false);
+      }
+    }, { signal: signal });
+    signal.addEventListener('abort', () => overlay.remove(), { once: true });
+    document.body.appendChild(overlay);
+  }
+  overlay.hidden = show === undefined ? !overlay.hidden : !show;
+}
+
+/**
+ * Attach the keyboard layer to the article list
+ * @param {ResourceManager} resourceManager - Resource manager instance (removes the listener on cleanup)
+ * @param {Function} setPageFilter - Function to change page filter fields (see createFilterControl)
+ * @param {Function} applyFilter - Filter application function (no arguments)
+ * @returns {void}
+ */
+function attachKeyboardNavigation(resourceManager, setPageFilter, applyFilter) {
+  resourceManager.trackDocumentListener('keydown', (event) => {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event)) {
+      return;
+    }
+
+    const key = event.key;
+    if (key === 'Escape') {
+      toggleShortcutOverlay(resourceManager, false);
+      return;
+    }
+
+    if (key === 'j' || key === 'k') {
+      moveKeyboardFocus(key === 'j' ? 1 : -1);
+    } else if (key === 'x') {
+      toggleFocusedArticleRead(applyFilter).catch((error) => {
+        Logger.error('Error toggling article from keyboard:', error);
+      });
+    } else if (key === 'o') {
+      openFocusedArticle();
+    } else if (KEYBOARD_FILTERS[key]) {
+      setActiveFilterButton(KEYBOARD_FILTERS[key]);
+      setPageFilter({ status: KEYBOARD_FILTERS[key] }).catch((error) => {
+        Logger.warn('Error setting filter from keyboard:', error);
+      });
+    } else if (key === '/') {
+      const search = document.querySelector(`${CONFIG.selectors.filterControl} .lethain-search-input`);
+      if (!search) return;
+      search.focus();
+      search.select();
+    } else if (key === '?') {
+      toggleShortcutOverlay(resourceManager);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+}
@@ -0,0 +1,54 @@
+// Reading progress indicator
+// Used on article pages; built as a standalone element so the list page tracker can reuse it
+
+/**
+ * Create progress indicator element (bar + percentage label)
+ * @param {number} progress - Initial progress percentage (0-100)
+ * @returns {HTMLElement} Progress indicator element
+ */
+function createProgressIndicator(progress) {
+  const indicator = document.createElement('span');
+  indicator.className = 'lethain-progress';
+  indicator.setAttribute('role', 'progressbar');
+  indicator.setAttribute('aria-valuemin', '0');
+  indicator.setAttribute('aria-valuemax', '100');
+
+  const track = document.createElement('span');
+  track.className = 'lethain-progress-track';
+
+  const bar = document.createElement('span');
+  bar.className = 'lethain-progress-bar';
+  track.appendChild(bar);
+
+  const label = document.createElement('span');
+  label.className = 'lethain-progress-label';
+
+  indicator.appendChild(track);
+  indicator.appendChild(label);
+
+  updateProgressIndicator(indicator, progress);
+  return indicator;
+}
+
+/**
+ * Update progress indicator
+ * @param {HTMLElement} indicator - Progress indicator element
+ * @param {number} progress - Progress percentage (0-100)
+ */
+function updateProgressIndicator(indicator, progress) {
+  const value = normalizeProgress(progress);
+
+  const bar = indicator.querySelector('.lethain-progress-bar');
+  if (bar) {
+    bar.style.width = `${value}%`;
+  }
+
+  const label = indicator.querySelector('.lethain-progress-label');
+  if (label) {
+    label.textContent = `${value}%`;
+  }
+
+  indicator.classList.toggle('lethain-progress-complete', value >= 100);
+  indicator.setAttribute('aria-valuenow', String(value));
+  indicator.title = `${value}% read`;
+}
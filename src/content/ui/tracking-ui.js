@@ -1,14 +1,63 @@
 // Tracking UI creation and management
 
+// Tracker element -> function re-rendering it from an article record (see refreshTrackers)
+const trackerRenderers = new WeakMap();
+
+/**
+ * Display labels for reading statuses
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  [CONFIG.statuses.unread]: 'Unread',
+  [CONFIG.statuses.inProgress]: 'In progress',
+  [CONFIG.statuses.read]: 'Read',
+  [CONFIG.statuses.skipped]: 'Skipped'
+};
+
+/**
+ * Status control glyphs, one per reading status
+ * @type {Object<string, string>}
+ */
+const STATUS_GLYPHS = {
+  [CONFIG.statuses.unread]: '○',
+  [CONFIG.statuses.inProgress]: '◐',
+  [CONFIG.statuses.read]: '✓',
+  [CONFIG.statuses.skipped]: '⤼'
+};
+
+/**
+ * Get the status that follows the given one in CONFIG.statusCycle
+ * @param {string} status - Current status
+ * @returns {string} Next status (wraps around)
+ */
+function getNextStatus(status) {
+  const index = CONFIG.statusCycle.indexOf(status);
+  return CONFIG.statusCycle[(index + 1) % CONFIG.statusCycle.length];
+}
+
+/**
+ * Create cycling status control
+ * Each click advances the article through CONFIG.statusCycle
+ * @returns {HTMLButtonElement} Status control element
+ */
+function createStatusControl() {
+  const control = document.createElement('button');
+  control.type = 'button';
+  control.className = 'lethain-status-control';
+  setStatusControlState(control, CONFIG.statuses.unread);
+  return control;
+}
+
 /**
- * Create checkbox element
- * @returns {HTMLInputElement} Checkbox element
+ * Reflect a status on the status control
+ * @param {HTMLButtonElement} control - Status control element
+ * @param {string} status - Reading status
  */
-function createCheckbox() {
-  const checkbox = document.createElement('input');
-  checkbox.type = 'checkbox';
-  checkbox.className = 'lethain-checkbox';
-  return checkbox;
+function setStatusControlState(control, status) {
+  control.dataset.status = status;
+  control.textContent = STATUS_GLYPHS[status];
+  control.title = `${STATUS_LABELS[status]} (click for ${STATUS_LABELS[getNextStatus(status)]})`;
+  control.setAttribute('aria-label', `Reading status: ${STATUS_LABELS[status]}`);
 }
 
 /**
@@ -23,12 +72,21 @@ function createStatusIcon() {
 
 /**
  * Create tooltip element
+ * Holds the current status text, the read history list and an arrow
  * @returns {HTMLElement} Tooltip element
  */
 function createTooltip() {
   const tooltip = document.createElement('span');
   tooltip.className = 'lethain-date-tooltip';
   
+  const text = document.createElement('span');
+  text.className = 'lethain-tooltip-text';
+  tooltip.appendChild(text);
+  
+  const history = document.createElement('div');
+  history.className = 'lethain-tooltip-history';
+  tooltip.appendChild(history);
+  
   // Add arrow to tooltip
   const arrow = document.createElement('div');
   arrow.className = 'lethain-tooltip-arrow';
@@ -64,14 +122,97 @@ function toggleTooltip(tooltip, show) {
 }
 
 /**
- * Update link read/unread styles
+ * Set status text shown at the top of the tooltip
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {string} text - Status text
+ */
+function setTooltipText(tooltip, text) {
+  const textEl = tooltip.querySelector('.lethain-tooltip-text');
+  if (textEl) {
+    textEl.textContent = text;
+  }
+}
+
+/**
+ * Get display label for a history event
+ * @param {Object} event - History event
+ * @param {boolean} wasReadBefore - Whether an earlier event already marked the article as read
+ * @returns {string} Label
+ */
+function getHistoryEventLabel(event, wasReadBefore) {
+  switch (event.type) {
+    case CONFIG.history.types.read:
+      return wasReadBefore ? 'Re-read' : 'Read';
+    case CONFIG.history.types.unread:
+      return 'Marked unread';
+    case CONFIG.history.types.inProgress:
+      return 'Started reading';
+    case CONFIG.history.types.skipped:
+      return 'Skipped';
+    case CONFIG.history.types.import:
+      return event.isRead ? 'Imported as read' : 'Imported';
+    case CONFIG.history.types.revert:
+      return `Reverted to ${STATUS_LABELS[getArticleStatus(event)].toLowerCase()}`;
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Render read history (most recent first) and undo action into the tooltip
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {Array<Object>} history - History events from Storage.getHistory (oldest first)
+ * @param {Function} onUndo - Undo click handler
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ */
+function renderTooltipHistory(tooltip, history, onUndo, resourceManager) {
+  const container = tooltip.querySelector('.lethain-tooltip-history');
+  if (!container) return;
+  
+  container.textContent = '';
+  if (history.length === 0) return;
+  
+  // Labels depend on earlier events (read vs re-read), so compute them in order
+  const labels = [];
+  let wasReadBefore = false;
+  for (let i = 0; i < history.length; i++) {
+    labels.push(getHistoryEventLabel(history[i], wasReadBefore));
+    wasReadBefore = wasReadBefore || history[i].isRead;
+  }
+  
+  const list = document.createElement('ul');
+  list.className = 'lethain-history-list';
+  
+  const start = Math.max(0, history.length - CONFIG.history.tooltipLimit);
+  for (let i = history.length - 1; i >= start; i--) {
+    const item = document.createElement('li');
+    item.textContent = `${labels[i]} · ${formatDateFull(history[i].date)} · ${history[i].source}`;
+    list.appendChild(item);
+  }
+  container.appendChild(list);
+  
+  const undoBtn = document.createElement('button');
+  undoBtn.type = 'button';
+  undoBtn.className = 'lethain-undo-btn';
+  undoBtn.textContent = 'Undo last change';
+  undoBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onUndo();
+  }, { signal: resourceManager.getAbortSignal() });
+  container.appendChild(undoBtn);
+}
+
+/**
+ * Update link styles for the article's reading status
  * @param {HTMLElement} link - Link element
- * @param {boolean} isRead - Whether article is read
+ * @param {string} status - Reading status
  */
-function updateLinkStyles(link, isRead) {
+function updateLinkStyles(link, status) {
   if (link) {
-    link.classList.toggle('lethain-link-read', isRead);
-    link.classList.toggle('lethain-link-unread', !isRead);
+    link.classList.toggle('lethain-link-read', status === CONFIG.statuses.read);
+    link.classList.toggle('lethain-link-unread', status === CONFIG.statuses.unread);
+    link.classList.toggle('lethain-link-in-progress', status === CONFIG.statuses.inProgress);
+    link.classList.toggle('lethain-link-skipped', status === CONFIG.statuses.skipped);
   }
 }
 
@@ -84,23 +225,24 @@ function updateLinkStyles(link, isRead) {
  */
 function updateStatusIcon(statusIcon, tooltip, article, link) {
   // Remove all state classes
-  statusIcon.classList.remove('lethain-status-icon-read', 'lethain-status-icon-unread');
+  statusIcon.classList.remove(
+    'lethain-status-icon-read',
+    'lethain-status-icon-unread',
+    'lethain-status-icon-in-progress',
+    'lethain-status-icon-skipped'
+  );
   tooltip.classList.remove('show');
   
-  if (article && article.isRead) {
-    statusIcon.textContent = '✓';
-    statusIcon.classList.add('lethain-status-icon-read');
-    const readDateFull = formatDateFull(article.readDate);
-    statusIcon.title = `Read on ${readDateFull}`;
-    tooltip.textContent = `Read on ${readDateFull}`;
-    updateLinkStyles(link, true);
-  } else {
-    statusIcon.textContent = '○';
-    statusIcon.classList.add('lethain-status-icon-unread');
-    statusIcon.title = 'Unread';
-    tooltip.textContent = '';
-    updateLinkStyles(link, false);
-  }
+  const status = getArticleStatus(article);
+  const text = status === CONFIG.statuses.read
+    ? `Read on ${formatDateFull(article.readDate)}`
+    : STATUS_LABELS[status];
+  
+  statusIcon.textContent = STATUS_GLYPHS[status];
+  statusIcon.classList.add(`lethain-status-icon-${status.replace('_', '-')}`);
+  statusIcon.title = text;
+  setTooltipText(tooltip, text);
+  updateLinkStyles(link, status);
 }
 
 /**
@@ -167,8 +309,9 @@ function handleTooltipClose(closeHandler, resourceManager) {
  * @param {HTMLElement} statusIcon - Status icon element
  * @param {HTMLElement} tooltip - Tooltip element
  * @param {ResourceManager} resourceManager - Resource manager instance
+ * @param {Function|null} [onOpen=null] - Called each time the tooltip opens (e.g. to load history)
  */
-function attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceManager) {
+function attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceManager, onOpen = null) {
   let closeTooltipHandler = null;
   let tooltipTimeout = null;
   
@@ -182,6 +325,9 @@ function attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceMa
       const result = handleTooltipOpen(statusContainer, tooltip, resourceManager, closeTooltipHandler, tooltipTimeout);
       closeTooltipHandler = result.handler;
       tooltipTimeout = result.timeout;
+      if (onOpen) {
+        onOpen();
+      }
     } else {
       // Closing tooltip - remove close handler and cancel timeout immediately
       handleTooltipClose(closeTooltipHandler, resourceManager);
@@ -211,18 +357,16 @@ function attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceMa
 }
 
 /**
- * Handle checkbox change - update article status
+ * Handle status control change - update article status
  * @param {string} url - Article URL
- * @param {boolean} isChecked - Whether checkbox is checked
+ * @param {string} status - New reading status
  * @param {Object} pageStorage - PageStorage object
  * @param {Function} invalidateCache - Cache invalidation function
  * @returns {Promise<Object|null>} Updated article or null
  */
-async function handleArticleStatusChange(url, isChecked, pageStorage, invalidateCache) {
+async function handleArticleStatusChange(url, status, pageStorage, invalidateCache) {
   try {
-    const updatedArticle = isChecked
-      ? await pageStorage.markAsRead(url)
-      : await pageStorage.markAsUnread(url);
+    const updatedArticle = await pageStorage.setStatus(url, status);
     
     if (updatedArticle && typeof updateCacheArticle === 'function') {
       updateCacheArticle(url, updatedArticle);
@@ -240,16 +384,16 @@ async function handleArticleStatusChange(url, isChecked, pageStorage, invalidate
 
 /**
  * Update UI after article status change
- * @param {HTMLInputElement} checkbox - Checkbox element
+ * @param {HTMLButtonElement} statusControl - Status control element
  * @param {HTMLElement} statusIcon - Status icon element
  * @param {HTMLElement} tooltip - Tooltip element
  * @param {HTMLElement} link - Link element
  * @param {Object|null} updatedArticle - Updated article or null
  */
-function updateUIAfterStatusChange(checkbox, statusIcon, tooltip, link, updatedArticle) {
+function updateUIAfterStatusChange(statusControl, statusIcon, tooltip, link, updatedArticle) {
   updateStatusIcon(statusIcon, tooltip, updatedArticle, link);
   if (updatedArticle) {
-    checkbox.checked = updatedArticle.isRead;
+    setStatusControlState(statusControl, getArticleStatus(updatedArticle));
   }
 }
 
@@ -273,8 +417,8 @@ function scheduleFilterApplication(applyFilter, resourceManager, previousTimeout
 }
 
 /**
- * Attach checkbox event listeners
- * @param {HTMLInputElement} checkbox - Checkbox element
+ * Attach status control event listeners
+ * @param {HTMLButtonElement} statusControl - Status control element
  * @param {string} url - Article URL
  * @param {HTMLElement} statusIcon - Status icon element
  * @param {HTMLElement} tooltip - Tooltip element
@@ -285,23 +429,344 @@ function scheduleFilterApplication(applyFilter, resourceManager, previousTimeout
  * @param {Function} applyFilter - Filter application function
  * @param {ResourceManager} resourceManager - Resource manager instance
  */
-function attachCheckboxListeners(checkbox, url, statusIcon, tooltip, articleElement, link, pageStorage, invalidateCache, applyFilter, resourceManager) {
+function attachStatusControlListeners(statusControl, url, statusIcon, tooltip, articleElement, link, pageStorage, invalidateCache, applyFilter, resourceManager) {
   let filterTimeout = null;
   
-  checkbox.addEventListener('change', async (e) => {
-    const isChecked = e.target.checked;
+  statusControl.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const nextStatus = getNextStatus(statusControl.dataset.status);
+    
+    // Reflect the new status immediately so rapid clicks keep cycling
+    setStatusControlState(statusControl, nextStatus);
     
     // Update article status
-    const updatedArticle = await handleArticleStatusChange(url, isChecked, pageStorage, invalidateCache);
+    const updatedArticle = await handleArticleStatusChange(url, nextStatus, pageStorage, invalidateCache);
     
     // Update UI
-    updateUIAfterStatusChange(checkbox, statusIcon, tooltip, link, updatedArticle);
+    updateUIAfterStatusChange(statusControl, statusIcon, tooltip, link, updatedArticle);
     
     // Schedule filter application
     filterTimeout = scheduleFilterApplication(applyFilter, resourceManager, filterTimeout);
   }, { signal: resourceManager.getAbortSignal() });
 }
 
+/**
+ * Load article history into the tooltip, wiring the undo action
+ * @param {string} url - Article URL
+ * @param {HTMLButtonElement} statusControl - Status control element
+ * @param {HTMLElement} statusIcon - Status icon element
+ * @param {HTMLElement} tooltip - Tooltip element
+ * @param {HTMLElement} link - Link element
+ * @param {Object} pageStorage - PageStorage object
+ * @param {Function} invalidateCache - Cache invalidation function
+ * @param {Function} applyFilter - Filter application function
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ * @returns {Promise<void>}
+ */
+async function showTooltipHistory(url, statusControl, statusIcon, tooltip, link, pageStorage, invalidateCache, applyFilter, resourceManager) {
+  try {
+    const history = await pageStorage.getHistory(url);
+    renderTooltipHistory(tooltip, history, async () => {
+      try {
+        const restored = await pageStorage.undoLastChange(url);
+        if (!restored) return;
+        
+        updateCacheArticle(url, restored);
+        updateUIAfterStatusChange(statusControl, statusIcon, tooltip, link, restored);
+        scheduleFilterApplication(applyFilter, resourceManager, null);
+      } catch (error) {
+        Logger.error('Error undoing last change:', error);
+        invalidateCache();
+      }
+    }, resourceManager);
+  } catch (error) {
+    Logger.warn('Error loading article history:', error);
+  }
+}
+
+/**
+ * Create reading time label (shown next to the article title)
+ * @returns {HTMLElement} Reading time element
+ */
+function createReadingTimeLabel() {
+  const label = document.createElement('span');
+  label.className = 'lethain-reading-time';
+  label.hidden = true;
+  return label;
+}
+
+/**
+ * Show an article's estimated reading time, or hide the label until the post has been visited
+ * @param {HTMLElement} label - Reading time element
+ * @param {Object|null} article - Article object or null
+ */
+function updateReadingTimeLabel(label, article) {
+  const text = formatReadingTime(getReadingTime(article));
+  label.textContent = text;
+  label.title = text ? `Estimated reading time (${article.metadata.wordCount} words)` : '';
+  label.hidden = !text;
+}
+
+/**
+ * Create series progress label
+ * @returns {HTMLElement} Series progress element (hidden until the article is in a series)
+ */
+function createSeriesProgressLabel() {
+  const label = document.createElement('span');
+  label.className = 'lethain-series-progress';
+  label.hidden = true;
+  return label;
+}
+
+/**
+ * Show how much of an article's series has been read ("3/5 read")
+ * Counts come from the cached articles of the page's site
+ * @param {HTMLElement} label - Series progress element
+ * @param {Object|null} article - Article object or null
+ */
+function updateSeriesProgressLabel(label, article) {
+  const series = article && article.series;
+  const progress = series ? getSeriesProgress(getCachedArticles(), series.id) : null;
+  // A lone numbered post isn't worth a label
+  if (!progress || progress.total < 2) {
+    label.textContent = '';
+    label.title = '';
+    label.hidden = true;
+    delete label.dataset.seriesId;
+    return;
+  }
+  
+  label.textContent = `${progress.read}/${progress.total} read`;
+  label.title = `Part ${series.order} of ${progress.total} in "${progress.name}"`;
+  label.dataset.seriesId = series.id;
+  label.hidden = false;
+}
+
+/**
+ * Create tag editor container
+ * @returns {HTMLElement} Tag editor element
+ */
+function createTagEditor() {
+  const editor = document.createElement('span');
+  editor.className = 'lethain-tags';
+  return editor;
+}
+
+/**
+ * Render tag chips and the add button into the tag editor
+ * @param {HTMLElement} editor - Tag editor element
+ * @param {Array<string>} tags - Article tags
+ * @param {Function} onAdd - Called with the new tag name
+ * @param {Function} onRemove - Called with the tag to remove
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ */
+function renderTagChips(editor, tags, onAdd, onRemove, resourceManager) {
+  const signal = resourceManager.getAbortSignal();
+  editor.textContent = '';
+  
+  for (let i = 0; i < tags.length; i++) {
+    const tag = tags[i];
+    const chip = document.createElement('span');
+    chip.className = 'lethain-tag-chip';
+    chip.textContent = tag;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'lethain-tag-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove tag "${tag}"`;
+    removeBtn.addEventListener('click', () => onRemove(tag), { signal });
+    
+    chip.appendChild(removeBtn);
+    editor.appendChild(chip);
+  }
+  
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'lethain-tag-add';
+  addBtn.textContent = '+';
+  addBtn.title = 'Add tag';
+  
+  addBtn.addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'lethain-tag-input';
+    input.placeholder = 'tag';
+    
+    // Enter and blur can both fire for one edit; only commit once
+    let done = false;
+    const commit = (save) => {
+      if (done) return;
+      done = true;
+      const value = input.value.trim();
+      if (save && value) {
+        onAdd(value);
+      } else {
+        renderTagChips(editor, tags, onAdd, onRemove, resourceManager);
+      }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        commit(true);
+      } else if (e.key === 'Escape') {
+        commit(false);
+      }
+    }, { signal });
+    input.addEventListener('blur', () => commit(true), { signal });
+    
+    editor.replaceChild(input, addBtn);
+    input.focus();
+  }, { signal });
+  
+  editor.appendChild(addBtn);
+}
+
+/**
+ * Wire the tag editor to storage
+ * @param {HTMLElement} editor - Tag editor element
+ * @param {string} url - Article URL
+ * @param {Object} pageStorage - PageStorage object
+ * @param {Function} invalidateCache - Cache invalidation function
+ * @param {Function} applyFilter - Filter application function
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ * @returns {Function} Render function taking the current tags
+ */
+function attachTagEditor(editor, url, pageStorage, invalidateCache, applyFilter, resourceManager) {
+  let filterTimeout = null;
+  
+  const handleTagChange = async (change) => {
+    try {
+      const updatedArticle = await change();
+      if (!updatedArticle) return;
+      
+      updateCacheArticle(url, updatedArticle);
+      render(updatedArticle.tags || []);
+      refreshTagFilterOptions().catch((error) => {
+        Logger.warn('Error refreshing tag filter:', error);
+      });
+      filterTimeout = scheduleFilterApplication(applyFilter, resourceManager, filterTimeout);
+    } catch (error) {
+      Logger.error('Error updating article tags:', error);
+      invalidateCache();
+    }
+  };
+  
+  const onAdd = (tag) => handleTagChange(() => pageStorage.addTag(url, tag));
+  const onRemove = (tag) => handleTagChange(() => pageStorage.removeTag(url, tag));
+  
+  function render(tags) {
+    renderTagChips(editor, tags, onAdd, onRemove, resourceManager);
+  }
+  
+  return render;
+}
+
+/**
+ * Create note editor (toggle button + expandable textarea)
+ * @returns {Object} Object with container, toggle, panel, textarea and status elements
+ */
+function createNoteEditor() {
+  const container = document.createElement('span');
+  container.className = 'lethain-note-container';
+  
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'lethain-note-toggle';
+  toggle.textContent = '✎';
+  toggle.title = 'Add note';
+  
+  const panel = document.createElement('span');
+  panel.className = 'lethain-note-panel';
+  
+  const textarea = document.createElement('textarea');
+  textarea.className = 'lethain-note-textarea';
+  textarea.placeholder = 'Your takeaway…';
+  textarea.maxLength = CONFIG.notes.maxLength;
+  textarea.rows = 4;
+  
+  const status = document.createElement('span');
+  status.className = 'lethain-note-status';
+  
+  panel.appendChild(textarea);
+  panel.appendChild(status);
+  container.appendChild(toggle);
+  container.appendChild(panel);
+  
+  return { container, toggle, panel, textarea, status };
+}
+
+/**
+ * Update note toggle indicator
+ * @param {HTMLElement} toggle - Note toggle button
+ * @param {string} notes - Current notes
+ */
+function updateNoteToggle(toggle, notes) {
+  const hasNote = Boolean(notes && notes.trim());
+  toggle.classList.toggle('lethain-note-toggle-filled', hasNote);
+  toggle.title = hasNote ? notes : 'Add note';
+}
+
+/**
+ * Attach note editor listeners (expand/collapse and debounced autosave)
+ * @param {Object} noteEditor - Note editor elements from createNoteEditor
+ * @param {string} url - Article URL
+ * @param {Object} pageStorage - PageStorage object
+ * @param {Function} invalidateCache - Cache invalidation function
+ * @param {ResourceManager} resourceManager - Resource manager instance
+ */
+function attachNoteEditorListeners(noteEditor, url, pageStorage, invalidateCache, resourceManager) {
+  const { toggle, panel, textarea, status } = noteEditor;
+  const signal = resourceManager.getAbortSignal();
+  let saveTimeout = null;
+  
+  const save = async () => {
+    saveTimeout = null;
+    status.textContent = 'Saving…';
+    try {
+      const updatedArticle = await pageStorage.setNotes(url, textarea.value);
+      if (updatedArticle) {
+        updateCacheArticle(url, updatedArticle);
+        updateNoteToggle(toggle, updatedArticle.notes);
+      }
+      status.textContent = 'Saved';
+    } catch (error) {
+      Logger.error('Error saving note:', error);
+      status.textContent = 'Error saving note';
+      invalidateCache();
+    }
+  };
+  
+  const flush = () => {
+    if (saveTimeout != null) {
+      resourceManager.clearTimeout(saveTimeout);
+      save();
+    }
+  };
+  
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const isOpen = panel.classList.toggle('show');
+    if (isOpen) {
+      textarea.focus();
+    } else {
+      flush();
+    }
+  }, { signal });
+  
+  textarea.addEventListener('input', () => {
+    status.textContent = '';
+    if (saveTimeout != null) {
+      resourceManager.clearTimeout(saveTimeout);
+    }
+    saveTimeout = resourceManager.trackTimeout(save, CONFIG.timeouts.noteAutosave);
+  }, { signal });
+  
+  // Save immediately when leaving the editor instead of waiting for the debounce
+  textarea.addEventListener('blur', flush, { signal });
+}
+
 /**
  * Create tracking UI for an article
  * @param {HTMLElement} articleElement - Article element
@@ -319,31 +784,106 @@ function createTrackingUI(articleElement, url, pageStorage, getArticlesCache, in
 
   const trackerDiv = document.createElement('div');
   trackerDiv.className = 'lethain-tracker';
+  trackerDiv.dataset.url = normalizeUrl(url);
 
-  const checkbox = createCheckbox();
+  const statusControl = createStatusControl();
   const { container: statusContainer, icon: statusIcon, tooltip: tooltip } = createStatusContainer();
   const link = extractLink(articleElement);
 
-  attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceManager);
-  attachCheckboxListeners(checkbox, url, statusIcon, tooltip, articleElement, link, pageStorage, invalidateCache, applyFilter, resourceManager);
+  attachTooltipListeners(statusContainer, statusIcon, tooltip, resourceManager, () => {
+    showTooltipHistory(url, statusControl, statusIcon, tooltip, link, pageStorage, invalidateCache, applyFilter, resourceManager);
+  });
+  attachStatusControlListeners(statusControl, url, statusIcon, tooltip, articleElement, link, pageStorage, invalidateCache, applyFilter, resourceManager);
+
+  const tagEditor = createTagEditor();
+  const renderTags = attachTagEditor(tagEditor, url, pageStorage, invalidateCache, applyFilter, resourceManager);
 
-  trackerDiv.appendChild(checkbox);
+  const noteEditor = createNoteEditor();
+  attachNoteEditorListeners(noteEditor, url, pageStorage, invalidateCache, resourceManager);
+  
+  const seriesProgress = createSeriesProgressLabel();
+
+  trackerDiv.appendChild(createSelectionCheckbox(url, resourceManager));
+  trackerDiv.appendChild(statusControl);
   trackerDiv.appendChild(statusContainer);
+  trackerDiv.appendChild(seriesProgress);
+  trackerDiv.appendChild(noteEditor.container);
+  trackerDiv.appendChild(tagEditor);
+  
+  // Trackers are recreated after a bfcache restore; reuse the label left next to the title
+  const readingTime = articleElement.querySelector('.lethain-reading-time') || createReadingTimeLabel();
+  if (!readingTime.parentElement && link && link.parentElement) {
+    link.parentElement.insertBefore(readingTime, link.nextSibling);
+  }
   
-  const timeSpan = articleElement.querySelector(CONFIG.selectors.timeSpan);
+  const timeSpanSelector = getActiveSiteAdapter().selectors.timeSpan;
+  const timeSpan = timeSpanSelector ? articleElement.querySelector(timeSpanSelector) : null;
   if (timeSpan && timeSpan.parentElement) {
     timeSpan.parentElement.insertBefore(trackerDiv, timeSpan.nextSibling);
   } else {
     articleElement.appendChild(trackerDiv);
   }
 
-  getArticlesCache().then(() => {
-    const article = getArticleFromCache(url);
+  const render = (article) => {
     updateStatusIcon(statusIcon, tooltip, article, link);
-    checkbox.checked = article && article.isRead;
+    setStatusControlState(statusControl, getArticleStatus(article));
+    updateReadingTimeLabel(readingTime, article);
+    updateSeriesProgressLabel(seriesProgress, article);
+    // Don't replace editors the user is typing in
+    if (!tagEditor.querySelector('.lethain-tag-input')) {
+      renderTags((article && article.tags) || []);
+    }
+    if (document.activeElement !== noteEditor.textarea) {
+      noteEditor.textarea.value = (article && article.notes) || '';
+      updateNoteToggle(noteEditor.toggle, noteEditor.textarea.value);
+    }
+  };
+  trackerRenderers.set(trackerDiv, render);
+
+  getArticlesCache().then(() => {
+    render(getArticleFromCache(url));
   }).catch((error) => {
     Logger.warn('Error loading article state from cache:', error);
   });
 }
 
-
+/**
+ * Re-render trackers on the page for changed articles
+ * Trackers of the other members of a changed article's series (old or new) re-render too,
+ * since their series progress counts it
+ * @param {Map<string, Object|null>} changedArticles - Normalized URL -> article (null when removed)
+ */
+function refreshTrackers(changedArticles) {
+  const trackers = document.querySelectorAll(CONFIG.selectors.tracker);
+  
+  const changedSeries = new Set();
+  for (const article of changedArticles.values()) {
+    if (article && article.series) {
+      changedSeries.add(article.series.id);
+    }
+  }
+  for (let i = 0; i < trackers.length; i++) {
+    const label = trackers[i].querySelector('.lethain-series-progress');
+    if (changedArticles.has(trackers[i].dataset.url) && label && label.dataset.seriesId) {
+      changedSeries.add(label.dataset.seriesId);
+    }
+  }
+  
+  for (let i = 0; i < trackers.length; i++) {
+    const url = trackers[i].dataset.url;
+    const render = trackerRenderers.get(trackers[i]);
+    if (!render) continue;
+    
+    if (changedArticles.has(url)) {
+      render(changedArticles.get(url));
+      continue;
+    }
+    
+    const label = trackers[i].querySelector('.lethain-series-progress');
+    const article = getArticleFromCache(url);
+    const seriesId = (article && article.series && article.series.id) || (label && label.dataset.seriesId);
+    if (article && seriesId && changedSeries.has(seriesId)) {
+      render(article);
+    }
+  }
+}
@@ -0,0 +1,74 @@
+// Fuzzy title matching for the on-page search
+
+/**
+ * Fold a single character for comparison (lowercase, accents removed)
+ * Keeps one character per input character so match positions map back to the original text
+ * @param {string} char - Character
+ * @returns {string} Folded character
+ */
+function foldSearchChar(char) {
+  return char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || char;
+}
+
+/**
+ * Fold a string character by character (see foldSearchChar)
+ * @param {string} text - Text
+ * @returns {string} Folded text of the same length
+ */
+function foldSearchText(text) {
+  let folded = '';
+  for (let i = 0; i < text.length; i++) {
+    folded += foldSearchChar(text[i]);
+  }
+  return folded;
+}
+
+/**
+ * Match one query word against folded text
+ * A contiguous occurrence is preferred; otherwise the letters must appear in order
+ * @param {string} word - Folded query word
+ * @param {string} text - Folded text
+ * @returns {Array<number>|null} Matched character positions, or null if the word doesn't match
+ */
+function matchSearchWord(word, text) {
+  const start = text.indexOf(word);
+  if (start !== -1) {
+    const positions = [];
+    for (let i = 0; i < word.length; i++) {
+      positions.push(start + i);
+    }
+    return positions;
+  }
+
+  const positions = [];
+  let from = 0;
+  for (let i = 0; i < word.length; i++) {
+    const index = text.indexOf(word[i], from);
+    if (index === -1) return null;
+    positions.push(index);
+    from = index + 1;
+  }
+  return positions;
+}
+
+/**
+ * Fuzzy-match a search query against a title
+ * Every whitespace-separated query word has to match (see matchSearchWord); case and accents are ignored
+ * @param {string} query - Search query
+ * @param {string} title - Article title
+ * @returns {Array<number>|null} Sorted matched character positions in the title (empty for an empty
+ *                               query), or null if the title doesn't match
+ */
+function fuzzyMatchTitle(query, title) {
+  const words = foldSearchText(query || '').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const text = foldSearchText(title || '');
+  const matched = new Set();
+  for (let i = 0; i < words.length; i++) {
+    const positions = matchSearchWord(words[i], text);
+    if (!positions) return null;
+    positions.forEach(position => matched.add(position));
+  }
+  return Array.from(matched).sort((a, b) => a - b);
+}
@@ -1,10 +1,12 @@
-// Resource management for cleanup (timeouts, listeners, observers)
+// Resource management for cleanup (timeouts, listeners, observers, storage listeners)
 
 class ResourceManager {
   constructor() {
     this.timeouts = new Set();
     this.documentListeners = new Map(); // Map<handler, event> for easy removal
     this.observers = [];
+    this.storageListeners = new Set();
+    this.cleanupHooks = [];
     this.abortController = new AbortController();
     this.cleanupInterval = null;
     this.lastCleanupTime = Date.now();
@@ -88,6 +90,27 @@ class ResourceManager {
     this.observers.push(observer);
   }
 
+  /**
+   * Track a chrome.storage.onChanged listener
+   * (chrome.* events don't accept an AbortSignal, so they are removed explicitly on cleanup)
+   * @param {Function} handler - onChanged handler (changes, areaName)
+   * @returns {void}
+   */
+  trackStorageListener(handler) {
+    chrome.storage.onChanged.addListener(handler);
+    this.storageListeners.add(handler);
+  }
+
+  /**
+   * Run a function at the start of the next cleanup, before timeouts are cleared and listeners removed
+   * (e.g. to flush a debounced save when the page is hidden or unloaded)
+   * @param {Function} hook - Function to run once
+   * @returns {void}
+   */
+  trackCleanupHook(hook) {
+    this.cleanupHooks.push(hook);
+  }
+
   /**
    * Get abort signal for event listeners
    * @returns {AbortSignal} Abort signal
@@ -158,6 +181,17 @@ class ResourceManager {
    * @returns {void}
    */
   cleanup() {
+    // Run cleanup hooks while the resources they use still exist
+    const hooks = this.cleanupHooks;
+    this.cleanupHooks = [];
+    hooks.forEach((hook) => {
+      try {
+        hook();
+      } catch (error) {
+        Logger.warn('ResourceManager: cleanup hook failed', error);
+      }
+    });
+
     // Stop periodic cleanup
     this.stopPeriodicCleanup();
     
@@ -174,6 +208,12 @@ class ResourceManager {
     });
     this.documentListeners.clear();
 
+    // Remove all storage listeners
+    this.storageListeners.forEach(handler => {
+      chrome.storage.onChanged.removeListener(handler);
+    });
+    this.storageListeners.clear();
+
     // Abort pending operations
     this.abortController.abort();
     
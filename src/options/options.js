@@ -0,0 +1,272 @@
+// Options page: user selector overrides with a live tester
+
+/**
+ * Articles listed in the preview table
+ * @type {number}
+ */
+const PREVIEW_LIMIT = 50;
+
+/**
+ * Field labels for the editable selectors
+ * @type {Object<string, string>}
+ */
+const SELECTOR_LABELS = {
+  article: 'Article entry',
+  link: 'Link',
+  time: 'Date',
+  timeSpan: 'Tracker insertion point',
+  articleContainer: 'Article list container'
+};
+
+/**
+ * Find an open tab of a site, preferring the most recently used one
+ * @param {Object} adapter - Site adapter
+ * @returns {Promise<Object|null>} Tab, or null if none is open
+ * @throws {Error} If chrome.tabs.query fails (chrome.runtime.lastError message)
+ */
+function findSiteTab(adapter) {
+  const patterns = adapter.hostPatterns.map(pattern => `https://${pattern}/*`);
+  return new Promise((resolve, reject) => {
+    chrome.tabs.query({ url: patterns }, (tabs) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      let best = null;
+      for (let i = 0; i < tabs.length; i++) {
+        if (!best || (tabs[i].lastAccessed || 0) > (best.lastAccessed || 0)) {
+          best = tabs[i];
+        }
+      }
+      resolve(best);
+    });
+  });
+}
+
+/**
+ * Ask a tab's content script to extract the article list with draft selectors
+ * @param {number} tabId - Tab id
+ * @param {Object<string, string>} selectors - Draft overrides
+ * @returns {Promise<{articles: Array<Object>, found: number, tier: string}>} Extraction preview
+ * @throws {Error} If the content script isn't running in the tab or extraction fails
+ */
+function requestExtractionPreview(tabId, selectors) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, { action: 'extractArticles', selectors }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(`${chrome.runtime.lastError.message} (reload the tab and try again)`));
+      } else if (!response || response.error) {
+        reject(new Error((response && response.error) || 'No response from the page'));
+      } else {
+        resolve(response);
+      }
+    });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const siteSelect = document.getElementById('siteSelect');
+  const selectorForm = document.getElementById('selectorForm');
+  const selectorFields = document.getElementById('selectorFields');
+  const testBtn = document.getElementById('testBtn');
+  const resetBtn = document.getElementById('resetBtn');
+  const message = document.getElementById('message');
+  const preview = document.getElementById('preview');
+  const previewSummary = document.getElementById('previewSummary');
+  const previewRows = document.getElementById('previewRows');
+
+  const inputs = {};
+  const adapters = getSiteAdapters();
+  for (let i = 0; i < adapters.length; i++) {
+    const option = document.createElement('option');
+    option.value = adapters[i].id;
+    option.textContent = adapters[i].name;
+    siteSelect.appendChild(option);
+  }
+  siteSelect.value = (getDefaultSiteAdapter() || adapters[0]).id;
+
+  for (let i = 0; i < CONFIG.sites.editableSelectors.length; i++) {
+    const name = CONFIG.sites.editableSelectors[i];
+    const field = document.createElement('div');
+    field.className = 'field';
+
+    const label = document.createElement('label');
+    label.htmlFor = `selector-${name}`;
+    label.textContent = `${SELECTOR_LABELS[name] || name} (${name})`;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `selector-${name}`;
+    input.spellcheck = false;
+    input.addEventListener('input', () => {
+      input.classList.toggle('invalid', Boolean(input.value.trim()) && !isValidSelector(input.value));
+    });
+
+    field.appendChild(label);
+    field.appendChild(input);
+    selectorFields.appendChild(field);
+    inputs[name] = input;
+  }
+
+  loadSelectors();
+
+  siteSelect.addEventListener('change', () => {
+    preview.hidden = true;
+    loadSelectors();
+  });
+
+  selectorForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    handleSave();
+  });
+
+  testBtn.addEventListener('click', () => {
+    handleTest();
+  });
+
+  resetBtn.addEventListener('click', () => {
+    handleReset();
+  });
+
+  /**
+   * Fill the fields with the selected site's overrides (built-in selectors as placeholders)
+   * @returns {Promise<void>}
+   */
+  async function loadSelectors() {
+    try {
+      const adapter = getSiteAdapter(siteSelect.value);
+      const overrides = (await SelectorOverrides.getAll())[adapter.id] || {};
+      for (const name in inputs) {
+        inputs[name].placeholder = adapter.selectors[name] || '(none)';
+        inputs[name].value = overrides[name] || '';
+        inputs[name].classList.remove('invalid');
+      }
+    } catch (error) {
+      Logger.error('Error loading selector overrides:', error);
+      showMessage('Error loading selectors: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Read the draft selectors from the fields
+   * @returns {Object<string, string>|null} Selector name -> selector (filled fields only), or null if one is invalid
+   */
+  function readDraft() {
+    const draft = {};
+    for (const name in inputs) {
+      const selector = inputs[name].value.trim();
+      if (!selector) continue;
+
+      if (!isValidSelector(selector)) {
+        showMessage(`"${selector}" is not a valid CSS selector (${name})`, 'error');
+        inputs[name].focus();
+        return null;
+      }
+      draft[name] = selector;
+    }
+    return draft;
+  }
+
+  /**
+   * Handle save action
+   * @returns {Promise<void>}
+   */
+  async function handleSave() {
+    const draft = readDraft();
+    if (!draft) return;
+
+    try {
+      const saved = await SelectorOverrides.set(siteSelect.value, draft);
+      if (!saved) {
+        throw new Error('Invalid selectors');
+      }
+      const count = Object.keys(saved).length;
+      showMessage(count > 0
+        ? `Saved ${count} selector override${count === 1 ? '' : 's'}. Reload the site's tabs to apply them.`
+        : 'Using the built-in selectors. Reload the site\'s tabs to apply them.', 'success');
+    } catch (error) {
+      Logger.error('Error saving selector overrides:', error);
+      showMessage('Error saving selectors: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle reset action
+   * @returns {Promise<void>}
+   */
+  async function handleReset() {
+    if (!confirm('Remove the selector overrides of this site and use the built-in selectors?')) {
+      return;
+    }
+
+    try {
+      await SelectorOverrides.reset(siteSelect.value);
+      await loadSelectors();
+      showMessage('Using the built-in selectors. Reload the site\'s tabs to apply them.', 'success');
+    } catch (error) {
+      Logger.error('Error resetting selector overrides:', error);
+      showMessage('Error resetting selectors: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Handle test action: extract the list of an open tab with the draft selectors (nothing is saved)
+   * @returns {Promise<void>}
+   */
+  async function handleTest() {
+    const draft = readDraft();
+    if (!draft) return;
+
+    try {
+      const adapter = getSiteAdapter(siteSelect.value);
+      const tab = await findSiteTab(adapter);
+      if (!tab) {
+        showMessage(`Open ${adapter.name} (${adapter.baseUrl}) in a tab first.`, 'error');
+        return;
+      }
+
+      renderPreview(await requestExtractionPreview(tab.id, draft), tab);
+    } catch (error) {
+      Logger.error('Error testing selectors:', error);
+      preview.hidden = true;
+      showMessage('Error testing selectors: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Show the articles a test extraction found
+   * @param {{articles: Array<Object>, found: number, tier: string}} result - Extraction preview
+   * @param {Object} tab - Tab the list was read from
+   */
+  function renderPreview(result, tab) {
+    const { articles, found, tier } = result;
+    previewSummary.textContent = `${tab.url}: ${found} entries found by the ${tier} lookup, ${articles.length} articles extracted` +
+      (articles.length > PREVIEW_LIMIT ? ` (first ${PREVIEW_LIMIT} shown)` : '');
+    previewSummary.classList.toggle('warning', tier !== ARTICLE_LOOKUP_TIERS.primary || articles.length === 0);
+
+    previewRows.textContent = '';
+    const shown = Math.min(articles.length, PREVIEW_LIMIT);
+    for (let i = 0; i < shown; i++) {
+      const row = document.createElement('tr');
+      const cells = [articles[i].title, articles[i].publishedDate || articles[i].dateText || '—', articles[i].url];
+      for (let j = 0; j < cells.length; j++) {
+        const cell = document.createElement('td');
+        cell.textContent = cells[j];
+        row.appendChild(cell);
+      }
+      previewRows.appendChild(row);
+    }
+    preview.hidden = false;
+  }
+
+  /**
+   * Show message to user
+   * @param {string} text - Message text
+   * @param {string} [type='info'] - Message type ('success', 'error', 'info')
+   */
+  function showMessage(text, type = 'info') {
+    message.textContent = text;
+    message.className = `message ${type}`;
+    message.style.display = 'block';
+  }
+});
@@ -1,98 +1,28 @@
 // Data manipulation utilities (export, import, merge)
 // Note: mergeArticleDataForImport is now in shared/utils/article-utils.js
 
-/**
- * Process import batch - validates, merges, and categorizes articles
- * 
- * Import logic:
- * - Only imports articles marked as read (isRead=true)
- * - For existing articles: keeps the most recent readDate
- * - For new articles: imports them if they are marked as read
- * - Invalid articles are skipped
- * 
- * @param {Object} importData - Import data object with structure: { articles: Array<Object> }
- * @returns {Promise<Object>} Result object with:
- *   - articlesToSave: Array<Object> - Articles to save to storage
- *   - imported: number - Count of new articles imported
- *   - updated: number - Count of existing articles updated
- *   - skipped: number - Count of articles skipped (invalid or not read)
- * @throws {Error} If processing fails
- */
-async function processImportBatch(importData) {
-  // Runtime type validation
-  if (!importData || typeof importData !== 'object') {
-    throw new Error('processImportBatch: importData must be an object');
-  }
-  
-  if (!Array.isArray(importData.articles)) {
-    throw new Error('processImportBatch: importData.articles must be an array');
-  }
-
-  // Filter valid articles (must have valid structure and URL)
-  const validArticles = importData.articles.filter(article => 
-    validateArticle(article) && validateUrl(article.url)
-  );
-
-  // Process all articles in parallel for better performance
-  const results = await Promise.all(
-    validArticles.map(async (article) => {
-      const existing = await Storage.getArticle(article.url);
-      
-      if (existing) {
-        // Merge with existing article (keeps most recent readDate)
-        const merged = mergeArticleDataForImport(existing, article);
-        if (merged) {
-          return { type: 'updated', article: merged };
-        }
-        // Skip if merge returns null (existing readDate is more recent)
-        return { type: 'skipped', article: null };
-      } else {
-        // New article - only import if marked as read
-        if (!article.isRead) {
-          return { type: 'skipped', article: null };
-        }
-        
-        return {
-          type: 'imported',
-          article: {
-            url: article.url,
-            title: article.title || '',
-            publishedDate: article.publishedDate || '',
-            dateText: article.dateText || article.publishedDate || '',
-            isRead: true,
-            readDate: article.readDate || null
-          }
-        };
-      }
-    })
-  );
-
-  // Extract articles to save (exclude skipped)
-  const articlesToSave = results
-    .filter(r => r.type !== 'skipped')
-    .map(r => r.article);
-
-  // Count results by type
-  const imported = results.filter(r => r.type === 'imported').length;
-  const updated = results.filter(r => r.type === 'updated').length;
-  // Skipped = invalid articles + articles skipped during merge
-  const skipped = importData.articles.length - validArticles.length + 
-                  results.filter(r => r.type === 'skipped').length;
-
-  return { articlesToSave, imported, updated, skipped };
-}
-
 /**
  * Export articles data
+ * Every article carries its tags, notes, progress, site, metadata and series, even records not yet migrated
  * @param {Array} articles - Articles array
  * @returns {Object} Export data object
  */
 function createExportData(articles) {
   return {
     version: CONFIG.export.version,
+    schemaVersion: CONFIG.schema.version,
     exportDate: getCurrentDateISO(),
     totalArticles: articles.length,
-    articles: articles
+    articles: articles.map(article => ({
+      ...article,
+      publishedDate: getPublishedDate(article),
+      tags: article.tags || [],
+      notes: article.notes || '',
+      progress: article.progress || 0,
+      site: getArticleSite(article),
+      metadata: normalizeArticleMetadata(article.metadata),
+      series: normalizeArticleSeries(article.series)
+    }))
   };
 }
 
@@ -115,15 +45,36 @@ function downloadJSON(data, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Add the articles of a saved RSS/Atom feed file (only articles not stored yet are added)
+ * @param {File} file - Feed file (RSS 2.0 or Atom XML)
+ * @returns {Promise<{format: string, found: number, added: number}>} Entries found and articles added
+ * @throws {Error} If the file can't be read, isn't a feed or the storage backend fails
+ */
+async function importFeedFromFile(file) {
+  // Runtime type validation
+  if (!(file instanceof File)) {
+    throw new Error('importFeedFromFile: file must be a File object');
+  }
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    throw new Error(`Failed to read file: ${error.message}`);
+  }
+
+  return ingestFeed(text);
+}
+
 /**
  * Import data from JSON file
  * 
  * Process:
  * 1. Read file as text
  * 2. Parse JSON
- * 3. Validate structure
- * 4. Process and merge articles
- * 5. Save to storage
+ * 3. Send it to the service worker, which validates, merges and saves it
+ *    and records import events in article history (see importBackupData)
  * 
  * @param {File} file - JSON file to import (must have .json extension)
  * @returns {Promise<Object>} Import result with:
@@ -154,20 +105,20 @@ async function importDataFromFile(file) {
     throw new Error(`Invalid JSON format: ${error.message}`);
   }
 
-  // Validate import data structure
-  const validation = validateImportData(importData);
-  if (!validation.valid) {
-    throw new Error(validation.error || 'Invalid import data');
-  }
-
-  // Process import batch
-  const { articlesToSave, imported, updated, skipped } = await processImportBatch(importData);
-
-  // Save articles to storage if any
-  if (articlesToSave.length > 0) {
-    await Storage.saveArticles(articlesToSave);
+  // The service worker merges and writes the backup in one transaction
+  const response = await new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'importData', importData }, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+  if (!response || response.error) {
+    throw new Error((response && response.error) || 'No response from service worker');
   }
 
-  return { imported, updated, skipped };
+  return response.result;
 }
 
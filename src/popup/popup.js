@@ -4,16 +4,64 @@ document.addEventListener('DOMContentLoaded', () => {
   const exportBtn = document.getElementById('exportBtn');
   const importBtn = document.getElementById('importBtn');
   const fileInput = document.getElementById('fileInput');
+  const importFeedBtn = document.getElementById('importFeedBtn');
+  const feedFileInput = document.getElementById('feedFileInput');
   const message = document.getElementById('message');
   const totalArticlesEl = document.getElementById('totalArticles');
   const readArticlesEl = document.getElementById('readArticles');
   const unreadArticlesEl = document.getElementById('unreadArticles');
+  const inProgressArticlesEl = document.getElementById('inProgressArticles');
+  const skippedArticlesEl = document.getElementById('skippedArticles');
+  const unreadReadingTimeEl = document.getElementById('unreadReadingTime');
+  const archiveKnownEl = document.getElementById('archiveKnown');
+  const backfillBtn = document.getElementById('backfillBtn');
+  const backfillFileBtn = document.getElementById('backfillFileBtn');
+  const cancelBackfillBtn = document.getElementById('cancelBackfillBtn');
+  const sitemapFileInput = document.getElementById('sitemapFileInput');
+  const healthWarning = document.getElementById('healthWarning');
+  const healthDetails = document.getElementById('healthDetails');
+  const healthDismissBtn = document.getElementById('healthDismissBtn');
+  const healthOptionsBtn = document.getElementById('healthOptionsBtn');
+  const optionsLink = document.getElementById('optionsLink');
 
   let statsTimeout = null;
   let messageTimeout = null;
   let articlesCache = null; // Cache to avoid duplicate getAllArticles() calls
 
   loadStats();
+  loadHealth();
+
+  // Keep stats current while articles change in open tabs, through sync or the backfill
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CONFIG.storage.healthKey]) {
+      loadHealth();
+    }
+
+    const backfillChanged = areaName === 'local' && Boolean(changes[CONFIG.storage.backfillKey]);
+    if (!backfillChanged && Object.keys(getArticleChanges(changes, areaName)).length === 0) return;
+
+    articlesCache = null;
+    if (statsTimeout) clearTimeout(statsTimeout);
+    statsTimeout = setTimeout(() => {
+      loadStats();
+      statsTimeout = null;
+    }, CONFIG.timeouts.statsReload);
+  });
+
+  healthDismissBtn.addEventListener('click', () => {
+    ExtractionHealth.clear().catch((error) => {
+      Logger.error('Error clearing extraction health:', error);
+    });
+  });
+
+  healthOptionsBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  optionsLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
 
   exportBtn.addEventListener('click', () => {
     handleExport();
@@ -31,6 +79,38 @@ document.addEventListener('DOMContentLoaded', () => {
     e.target.value = '';
   });
 
+  importFeedBtn.addEventListener('click', () => {
+    feedFileInput.click();
+  });
+
+  feedFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      handleFeedImport(file);
+    }
+    e.target.value = '';
+  });
+
+  backfillBtn.addEventListener('click', () => {
+    handleBackfill(null);
+  });
+
+  backfillFileBtn.addEventListener('click', () => {
+    sitemapFileInput.click();
+  });
+
+  cancelBackfillBtn.addEventListener('click', () => {
+    handleCancelBackfill();
+  });
+
+  sitemapFileInput.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      handleBackfill(file);
+    }
+    e.target.value = '';
+  });
+
   /**
    * Load and display statistics
    * @param {Array<Object>|null} articles - Optional articles array to use (avoids duplicate call)
@@ -44,24 +124,135 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       const total = articles.length;
-      // Use loop instead of filter to avoid intermediate array
-      let read = 0;
+      // Use loop instead of filter to avoid intermediate arrays
+      const counts = {
+        [CONFIG.statuses.unread]: 0,
+        [CONFIG.statuses.inProgress]: 0,
+        [CONFIG.statuses.read]: 0,
+        [CONFIG.statuses.skipped]: 0
+      };
       for (let i = 0; i < articles.length; i++) {
-        if (articles[i] && articles[i].isRead) {
-          read++;
+        if (articles[i]) {
+          counts[getArticleStatus(articles[i])]++;
         }
       }
-      const unread = total - read;
 
       totalArticlesEl.textContent = total;
-      readArticlesEl.textContent = read;
-      unreadArticlesEl.textContent = unread;
+      readArticlesEl.textContent = counts[CONFIG.statuses.read];
+      inProgressArticlesEl.textContent = counts[CONFIG.statuses.inProgress];
+      skippedArticlesEl.textContent = counts[CONFIG.statuses.skipped];
+      unreadArticlesEl.textContent = counts[CONFIG.statuses.unread];
+      unreadReadingTimeEl.textContent = formatUnreadReadingTime(articles);
+      const backfill = await Backfill.getState();
+      archiveKnownEl.textContent = formatArchiveProgress(backfill, articles);
+      // Reloaded whenever the backfill state changes, so the button disappears once it stops
+      cancelBackfillBtn.style.display = backfill && backfill.status === 'running' ? '' : 'none';
     } catch (error) {
       Logger.error('Error loading statistics:', error);
       showMessage('Error loading statistics', 'error');
     }
   }
 
+  /**
+   * Sum the reading time left on unread and in-progress articles
+   * In-progress articles count for the share not scrolled past yet; articles whose post page
+   * was never visited have no estimate and are only counted in the note
+   * @param {Array<Object>} articles - Stored articles
+   * @returns {string} e.g. "3 h 20 min (41 of 57 estimated)", or "-" without any estimate
+   */
+  function formatUnreadReadingTime(articles) {
+    let minutes = 0;
+    let estimated = 0;
+    let pending = 0;
+    for (let i = 0; i < articles.length; i++) {
+      const status = articles[i] ? getArticleStatus(articles[i]) : null;
+      if (status !== CONFIG.statuses.unread && status !== CONFIG.statuses.inProgress) continue;
+
+      pending++;
+      const readingTime = getReadingTime(articles[i]);
+      if (readingTime > 0) {
+        estimated++;
+        minutes += status === CONFIG.statuses.inProgress
+          ? readingTime * (100 - normalizeProgress(articles[i].progress)) / 100
+          : readingTime;
+      }
+    }
+
+    if (estimated === 0) return '-';
+    const text = formatReadingTime(Math.max(1, Math.ceil(minutes)));
+    return estimated < pending ? `${text} (${estimated} of ${pending} estimated)` : text;
+  }
+
+  /**
+   * Show a warning with diagnostics when the last list page visit of a site had anomalies
+   * @returns {Promise<void>}
+   */
+  async function loadHealth() {
+    try {
+      const reports = await ExtractionHealth.getLatestReports();
+      healthDetails.textContent = '';
+
+      for (let i = 0; i < reports.length; i++) {
+        const report = reports[i];
+        if (report.anomalies.length === 0) continue;
+
+        const adapter = getSiteAdapter(report.site);
+        const container = document.createElement('div');
+        container.className = 'health-report';
+
+        const summary = document.createElement('div');
+        summary.textContent = `${adapter ? adapter.name : report.site} · ${report.pageUrl} · ${formatDateFull(report.checkedAt)}`;
+        container.appendChild(summary);
+
+        const counts = document.createElement('div');
+        counts.textContent = `Lookup: ${report.tier} · ${report.found} entries, ${report.extracted} articles, ${report.undated} undated`;
+        container.appendChild(counts);
+
+        const list = document.createElement('ul');
+        for (let j = 0; j < report.anomalies.length; j++) {
+          const item = document.createElement('li');
+          item.textContent = report.anomalies[j].message;
+          list.appendChild(item);
+        }
+        container.appendChild(list);
+        healthDetails.appendChild(container);
+      }
+
+      healthWarning.hidden = healthDetails.childElementCount === 0;
+    } catch (error) {
+      Logger.error('Error loading extraction health:', error);
+    }
+  }
+
+  /**
+   * Describe how much of the archive listed by the last backfill is stored
+   * @param {Object|null} backfill - Backfill job state
+   * @param {Array<Object>} articles - Stored articles
+   * @returns {string} e.g. "412 of 530 (backfilling 120/530)", or "-" before the first backfill
+   */
+  function formatArchiveProgress(backfill, articles) {
+    if (!backfill || !Array.isArray(backfill.posts)) return '-';
+
+    const stored = new Set();
+    for (let i = 0; i < articles.length; i++) {
+      if (articles[i]) {
+        stored.add(articles[i].url);
+      }
+    }
+
+    let known = 0;
+    for (let i = 0; i < backfill.posts.length; i++) {
+      if (stored.has(backfill.posts[i])) {
+        known++;
+      }
+    }
+
+    const total = backfill.posts.length;
+    return backfill.status === 'running'
+      ? `${known} of ${total} (backfilling ${backfill.next}/${total})`
+      : `${known} of ${total}`;
+  }
+
   /**
    * Handle export action
    * @returns {Promise<void>}
@@ -121,6 +312,86 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * Handle feed file import
+   * @param {File} file - RSS or Atom file
+   * @returns {Promise<void>}
+   */
+  async function handleFeedImport(file) {
+    try {
+      showMessage('Reading feed...', 'info');
+      
+      const { found, added } = await importFeedFromFile(file);
+      showMessage(`Feed imported! ${added} new of ${found} entries.`, 'success');
+      
+      articlesCache = null;
+      
+      if (statsTimeout) clearTimeout(statsTimeout);
+      statsTimeout = setTimeout(() => {
+        loadStats();
+        statsTimeout = null;
+      }, CONFIG.timeouts.statsReload);
+    } catch (error) {
+      Logger.error('Error importing feed:', error);
+      showMessage('Error importing feed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Send a request to the service worker
+   * @param {Object} request - Message with an action
+   * @returns {Promise<*>} The response's result
+   * @throws {Error} If the service worker can't be reached or reports an error
+   */
+  async function sendToServiceWorker(request) {
+    const response = await new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(request, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+    if (!response || response.error) {
+      throw new Error((response && response.error) || 'No response from service worker');
+    }
+    return response.result;
+  }
+
+  /**
+   * Start the archive backfill in the service worker (it keeps running after the popup closes)
+   * @param {File|null} file - Local sitemap file, or null to fetch the site's sitemap
+   * @returns {Promise<void>}
+   */
+  async function handleBackfill(file) {
+    try {
+      showMessage('Reading sitemap...', 'info');
+      
+      const sitemapXml = file ? await file.text() : null;
+      const result = await sendToServiceWorker({ action: 'startBackfill', sitemapXml });
+      
+      showMessage(`Backfill started: ${result.posts.length} posts in the sitemap.`, 'success');
+    } catch (error) {
+      Logger.error('Error starting backfill:', error);
+      showMessage('Error starting backfill: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Stop the running backfill (posts already read stay stored)
+   * @returns {Promise<void>}
+   */
+  async function handleCancelBackfill() {
+    try {
+      await sendToServiceWorker({ action: 'cancelBackfill' });
+      showMessage('Backfill cancelled.', 'success');
+    } catch (error) {
+      Logger.error('Error cancelling backfill:', error);
+      showMessage('Error cancelling backfill: ' + error.message, 'error');
+    }
+  }
+
   /**
    * Show message to user
    * @param {string} text - Message text
@@ -1,19 +1,38 @@
 // Configuration constants for the extension
 
 const CONFIG = {
-  // CSS Selectors
+  // CSS Selectors of the extension's own elements (site markup selectors live in the site adapters)
   selectors: {
-    article: 'p.pv1.cf.flex',
-    link: 'a.link.black.dim',
-    linkFallback: 'a[href]',
-    time: 'time',
-    timeFallback: '[datetime]',
-    timeSpan: 'span.pv1.pr4.w-25',
-    articleContainer: 'div.relative.mb4.pa4-ns.pa2-s.bg-white',
-    articleSection: 'section.flex-ns',
-    articleSectionFallback: 'div.pa3-ns',
     tracker: '.lethain-tracker',
-    filterControl: '#lethain-filter-control'
+    filterControl: '#lethain-filter-control',
+    articleWidget: '#lethain-article-widget'
+  },
+
+  // Tracked sites (see src/shared/sites/site-adapters.js)
+  sites: {
+    default: 'lethain', // Adapter used where no page tells which site is meant (popup, service worker)
+    // Adapter selectors the options page can override (see setSiteSelectorOverrides)
+    editableSelectors: ['article', 'link', 'time', 'timeSpan', 'articleContainer']
+  },
+
+  // RSS/Atom feed ingestion (see feed-parser.js)
+  feeds: {
+    ingestOnStartup: true // Fetch every site adapter's feedUrl when the browser starts and on install/update
+  },
+
+  // Full-archive backfill from sitemap.xml (see backfill.js)
+  backfill: {
+    requestInterval: 1500, // Minimum delay between post page requests (rate limit)
+    maxSitemaps: 20 // Child sitemaps followed from a sitemap index
+  },
+
+  // Extraction health monitoring on list pages (see extraction-health.js)
+  health: {
+    reportLimit: 20, // Visit reports kept (newest first)
+    heuristicMinArticles: 3, // Repeated blocks needed before the structural heuristic accepts a list
+    heuristicMaxDepth: 4, // Ancestors climbed from a post link looking for its date
+    missingDateRatio: 0.2, // Share of undated articles reported as an anomaly
+    countDropRatio: 0.5 // Fewer articles than this share of the previous visit is an anomaly
   },
 
   // Timeouts (in milliseconds)
@@ -29,6 +48,8 @@ const CONFIG = {
     statsReload: 500,
     messageHide: 5000,
     cacheInvalidation: 100, // Delay before invalidating cache after changes
+    noteAutosave: 800, // Debounce before saving note edits
+    fetch: 15000, // Give up on a feed, sitemap or post page request after this long
     tooltipCloseDelay: 0 // Delay before attaching close handler for tooltip
   },
 
@@ -40,20 +61,118 @@ const CONFIG = {
   // Storage keys
   storage: {
     prefix: 'article_',
-    filterKey: 'lethain_page_filter'
+    filterKey: 'lethain_page_filter',
+    schemaVersionKey: 'lethain_schema_version',
+    historyPrefix: 'history_',
+    tagIndexKey: 'lethain_tag_index',
+    tagFilterKey: 'lethain_page_tag_filter',
+    backendKey: 'lethain_storage_backend', // Backend currently holding articles and history
+    changesKey: 'lethain_article_changes', // Change notices published by non-chrome.storage backends
+    urlAliasesKey: 'lethain_url_aliases', // Persisted URL alias map (see setUrlAliases)
+    backfillKey: 'lethain_backfill_state', // Sitemap backfill job (see Backfill)
+    healthKey: 'lethain_extraction_health', // Extraction health reports (see ExtractionHealth)
+    selectorOverridesKey: 'lethain_selector_overrides', // User selector overrides (see SelectorOverrides)
+    seriesFilterKey: 'lethain_page_series_filter',
+    searchQueryKey: 'lethain_page_search_query',
+    filterPresetsKey: 'lethain_filter_presets', // Named filter views (see Storage.getFilterPresets)
+    backends: {
+      chrome: 'chrome',
+      indexedDB: 'indexeddb'
+    },
+    backend: 'indexeddb', // Preferred backend; existing data is moved there on install/update
+    indexedDB: {
+      name: 'lethain-tracker',
+      version: 2, // v2 adds the site index
+      articleStore: 'articles',
+      historyStore: 'history'
+    },
+    migrationBatchSize: 200 // Records copied per write when moving between backends
+  },
+
+  // Read history event types and sources
+  history: {
+    types: {
+      read: 'read',
+      unread: 'unread',
+      inProgress: 'in_progress',
+      skipped: 'skipped',
+      import: 'import',
+      revert: 'revert'
+    },
+    sources: {
+      page: 'page',
+      import: 'import',
+      sync: 'sync',
+      undo: 'undo'
+    },
+    tooltipLimit: 5 // Most recent events shown in the status tooltip
+  },
+
+  // Article record schema
+  schema: {
+    version: 10, // Current schema version stamped on every article record
+    migrationBatchSize: 100 // Number of article_ keys rewritten per storage write
+  },
+
+  // Article notes
+  notes: {
+    maxLength: 2000
+  },
+
+  // Post metadata read on individual article pages
+  metadata: {
+    wordsPerMinute: 230 // Reading speed used for reading time estimates
+  },
+
+  // Multi-part series (see detectArticleSeries)
+  series: {
+    minPrefixPosts: 3 // Posts that must share a "Prefix: ..." title before it counts as a series
+  },
+
+  // Reading progress on individual article pages
+  progress: {
+    startThreshold: 10, // Percent scrolled before an unread article becomes in progress
+    readThreshold: 90, // Percent scrolled before the article is auto-marked as read
+    minActiveTime: 30000, // Visible time on page (ms) required before auto-marking as read
+    saveDebounce: 1000, // Debounce before persisting progress while scrolling
+    autoMarkRead: true
+  },
+
+  // Cross-device sync (chrome.storage.sync)
+  sync: {
+    keyPrefix: 'lethain_sync_',
+    chunks: 12, // Fixed number of chunk keys (12 x 8KB stays under the 100KB total quota)
+    maxBytesPerChunk: 8192, // chrome.storage.sync.QUOTA_BYTES_PER_ITEM (key + JSON value)
+    pushDebounce: 2000 // Batch local changes to stay under the write-operation quota
   },
 
   // URLs
   urls: {
-    base: 'https://lethain.com',
-    hostname: 'lethain.com'
+    // Query parameters dropped by canonicalizeUrl (trailing * matches a prefix)
+    trackingParams: ['utm_*', 'fbclid', 'gclid', 'mc_cid', 'mc_eid', 'ref', 'ref_src', 'source'],
+    // Built-in aliases for posts known to have moved (old URL -> current URL, both canonical);
+    // merged with the aliases persisted under CONFIG.storage.urlAliasesKey
+    aliases: {}
+  },
+
+  // Reading status values (stored in article.status; isRead is kept as status === read)
+  statuses: {
+    unread: 'unread',
+    inProgress: 'in_progress',
+    read: 'read',
+    skipped: 'skipped'
   },
 
-  // Filter values
+  // Order used by the cycling status control
+  statusCycle: ['unread', 'in_progress', 'read', 'skipped'],
+
+  // Filter values (status filters match CONFIG.statuses values)
   filters: {
     all: 'all',
     read: 'read',
-    unread: 'unread'
+    unread: 'unread',
+    inProgress: 'in_progress',
+    skipped: 'skipped'
   },
 
   // Date formats
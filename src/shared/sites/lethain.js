@@ -0,0 +1,44 @@
+// Built-in site adapter: Irrational Exuberance (lethain.com)
+
+/**
+ * Top-level pages that aren't posts
+ * @type {Array<string>}
+ */
+const LETHAIN_NON_POST_PAGES = ['tags', 'series', 'about', 'categories', 'page'];
+
+registerSiteAdapter({
+  id: 'lethain',
+  name: 'Irrational Exuberance',
+  baseUrl: 'https://lethain.com',
+  hostPatterns: ['lethain.com', '*.lethain.com'],
+  feedUrl: 'https://lethain.com/feeds.xml',
+  sitemapUrl: 'https://lethain.com/sitemap.xml',
+  selectors: {
+    article: 'p.pv1.cf.flex',
+    link: 'a.link.black.dim',
+    linkFallback: 'a[href]',
+    time: 'time',
+    timeFallback: '[datetime]',
+    timeSpan: 'span.pv1.pr4.w-25',
+    articleContainer: 'div.relative.mb4.pa4-ns.pa2-s.bg-white',
+    articleSection: 'section.flex-ns',
+    articleSectionFallback: 'div.pa3-ns',
+    postContent: 'article',
+    postTitle: 'h1',
+    // Links to a tag or series page, not to the /tags/ and /series/ indexes
+    postCategories: 'a[href*="/tags/"]:not([href$="/tags/"])',
+    postSeries: 'a[href*="/series/"]:not([href$="/series/"])'
+  },
+
+  isPostUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      // Posts live at /<slug>/; everything else is a listing (/tags/..., /series/...) or a page
+      const segments = urlObj.pathname.split('/').filter(Boolean);
+      return urlObj.hostname === this.hostname && segments.length === 1 &&
+             !LETHAIN_NON_POST_PAGES.includes(segments[0]) && !segments[0].includes('.');
+    } catch (e) {
+      return false;
+    }
+  }
+});
@@ -0,0 +1,453 @@
+// Site adapter registry - describes each blog the extension can track
+// Built-in adapters live next to this file (lethain.js) and register themselves when loaded
+//
+// Adapter definition (passed to registerSiteAdapter):
+// - id: short stable identifier, stored as article.site (namespaces records per site)
+// - name: display name
+// - baseUrl: site root; resolves relative links and gives the canonical host
+// - hostPatterns: hostnames the adapter handles ('example.com', or '*.example.com' for subdomains)
+// - selectors: article (list entry), link, linkFallback, time, timeFallback, timeSpan (tracker
+//   insertion point), articleContainer, articleSection, articleSectionFallback (list wrappers),
+//   postContent, postTitle (individual post pages), postCategories, postSeries (optional tag and
+//   series links on post pages, read into article.metadata)
+// - feedUrl (optional): RSS 2.0 or Atom feed the service worker ingests (see ingestFeed)
+// - sitemapUrl (optional): sitemap.xml listing the archive (see Backfill)
+//
+// Optional overrides (defaults below work from the selectors):
+// - locateArticleElements(root) -> {elements, tier}: list entries and the lookup tier that found them
+//   (see ARTICLE_LOOKUP_TIERS; the default tries selectors.article, then findRepeatedArticleBlocks,
+//   then paragraphs with a link and a date)
+// - findArticleElements(root) -> NodeList|Array of list entries (locateArticleElements(root).elements)
+// - isListUrl(url) -> boolean, whether the page should show an article list (extraction health)
+// - extractLink(articleElement), extractTime(articleElement) -> Element|null
+// - findArticleContainer(firstArticle) -> Element|null
+// - insertFilterControl(filterControl, firstArticle) -> void
+// - normalizeUrl(urlObj) -> void, rewrites a URL object of this site in place (canonicalizeUrl step 4)
+// - isPostUrl(url) -> boolean, whether a canonical sitemap URL is a post (not a tag, index or asset page)
+
+// Registered adapters, in registration order
+const SITE_ADAPTERS = [];
+
+// User selector overrides by adapter id (see setSiteSelectorOverrides)
+let siteSelectorOverrides = {};
+
+/**
+ * Selectors every adapter must declare
+ * @type {Array<string>}
+ */
+const REQUIRED_SITE_SELECTORS = ['article', 'link', 'time'];
+
+/**
+ * How an article list was found, from most to least trusted
+ * @type {Object<string, string>}
+ */
+const ARTICLE_LOOKUP_TIERS = {
+  primary: 'primary',     // selectors.article
+  heuristic: 'heuristic', // findRepeatedArticleBlocks
+  fallback: 'fallback',   // Paragraphs with a link and a date
+  none: 'none'
+};
+
+/**
+ * Query selector with fallback
+ * @param {Element} element - Element to search in
+ * @param {string} primary - Primary selector
+ * @param {string} [fallback] - Fallback selector
+ * @returns {Element|null} Found element or null
+ */
+function querySelectorWithFallback(element, primary, fallback) {
+  return element.querySelector(primary) || (fallback ? element.querySelector(fallback) : null);
+}
+
+/**
+ * Default adapter behaviour, driven by the adapter's selectors
+ * Methods are called on the adapter, so `this` is the registered adapter
+ */
+const DEFAULT_SITE_ADAPTER = {
+  locateArticleElements(root = document) {
+    const articleElements = root.querySelectorAll(this.selectors.article);
+    if (articleElements.length > 0) {
+      return { elements: articleElements, tier: ARTICLE_LOOKUP_TIERS.primary };
+    }
+
+    // The list markup changed: look for its structure instead of its class names
+    const blocks = findRepeatedArticleBlocks(root, this);
+    if (blocks.length > 0) {
+      return { elements: blocks, tier: ARTICLE_LOOKUP_TIERS.heuristic };
+    }
+
+    // Last resort: paragraphs with a link and a date
+    const allParagraphs = root.querySelectorAll('p');
+    const filtered = [];
+    for (let i = 0; i < allParagraphs.length; i++) {
+      const p = allParagraphs[i];
+      if (p.querySelector(this.selectors.linkFallback || this.selectors.link) && p.querySelector(this.selectors.time)) {
+        filtered.push(p);
+      }
+    }
+    return { elements: filtered, tier: filtered.length > 0 ? ARTICLE_LOOKUP_TIERS.fallback : ARTICLE_LOOKUP_TIERS.none };
+  },
+
+  findArticleElements(root = document) {
+    return this.locateArticleElements(root).elements;
+  },
+
+  extractLink(articleElement) {
+    return querySelectorWithFallback(articleElement, this.selectors.link, this.selectors.linkFallback);
+  },
+
+  extractTime(articleElement) {
+    return querySelectorWithFallback(articleElement, this.selectors.time, this.selectors.timeFallback);
+  },
+
+  findArticleContainer(firstArticle) {
+    const { articleContainer, articleSection, articleSectionFallback } = this.selectors;
+    return (articleContainer && firstArticle.closest(articleContainer)) ||
+           (articleSection && firstArticle.closest(articleSection)) ||
+           firstArticle.closest('section') ||
+           (articleSectionFallback && firstArticle.closest(articleSectionFallback)) ||
+           firstArticle.parentElement;
+  },
+
+  insertFilterControl(filterControl, firstArticle) {
+    const relativeDiv = this.selectors.articleContainer ? firstArticle.closest(this.selectors.articleContainer) : null;
+
+    if (relativeDiv) {
+      const firstChildArticle = relativeDiv.querySelector(this.selectors.article);
+
+      if (firstChildArticle) {
+        relativeDiv.insertBefore(filterControl, firstChildArticle);
+      } else if (relativeDiv.firstChild) {
+        relativeDiv.insertBefore(filterControl, relativeDiv.firstChild);
+      } else {
+        relativeDiv.appendChild(filterControl);
+      }
+    } else {
+      const parent = firstArticle.parentElement;
+      if (parent) {
+        parent.insertBefore(filterControl, firstArticle);
+      }
+    }
+  },
+
+  normalizeUrl(urlObj) {
+    // One canonical origin per site: https and the host of baseUrl (drops "www.")
+    urlObj.protocol = 'https:';
+    urlObj.hostname = this.hostname;
+  },
+
+  isListUrl(url) {
+    try {
+      return new URL(url).pathname === '/';
+    } catch (e) {
+      return false;
+    }
+  },
+
+  isPostUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      // Posts are pages of this site below the root, not files (feeds, images, ...)
+      return urlObj.hostname === this.hostname && urlObj.pathname !== '/' &&
+             !/\.[a-z0-9]+$/i.test(urlObj.pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+};
+
+/**
+ * Describe an element's markup shape (tag and sorted classes), shared by siblings of one list
+ * @param {Element} element - Element
+ * @returns {string} Signature, e.g. "p.cf.flex"
+ */
+function getElementSignature(element) {
+  const classes = Array.from(element.classList).sort();
+  return [element.tagName.toLowerCase()].concat(classes).join('.');
+}
+
+/**
+ * Check whether an element shows a date (a time/datetime element or a date in its text)
+ * @param {Element} element - Element
+ * @param {Object} adapter - Site adapter
+ * @returns {boolean} True if a date was found
+ */
+function containsDate(element, adapter) {
+  return Boolean(querySelectorWithFallback(element, adapter.selectors.time, adapter.selectors.timeFallback) ||
+                 findDate(element.textContent));
+}
+
+/**
+ * Find the article list by its structure when selectors.article no longer matches
+ *
+ * Every link to a post of the site is walked up to the smallest ancestor that also shows a
+ * date (and links no other post). Those blocks are grouped by parent and markup signature,
+ * and the largest group of repeated siblings is taken as the list, if it has at least
+ * CONFIG.health.heuristicMinArticles entries.
+ *
+ * @param {Element|Document} root - Element to search in
+ * @param {Object} adapter - Site adapter
+ * @returns {Array<Element>} List entries in document order, or empty array if no list was found
+ */
+function findRepeatedArticleBlocks(root, adapter) {
+  const links = root.querySelectorAll('a[href]');
+  const groups = new Map();
+  const seen = new Set();
+
+  for (let i = 0; i < links.length; i++) {
+    const url = normalizeUrl(links[i].href, adapter.baseUrl);
+    if (!url || !adapter.isPostUrl(url)) continue;
+
+    let block = links[i].parentElement;
+    for (let depth = 0; block && block !== root && depth < CONFIG.health.heuristicMaxDepth; depth++) {
+      if (containsDate(block, adapter)) break;
+      block = block.parentElement;
+    }
+    if (!block || block === root || !block.parentElement || seen.has(block) || !containsDate(block, adapter)) continue;
+
+    // A block holding several posts is the list itself, not an entry
+    let postLinks = 0;
+    const blockLinks = block.querySelectorAll('a[href]');
+    for (let j = 0; j < blockLinks.length && postLinks < 2; j++) {
+      if (adapter.isPostUrl(normalizeUrl(blockLinks[j].href, adapter.baseUrl))) {
+        postLinks++;
+      }
+    }
+    if (postLinks > 1) continue;
+
+    seen.add(block);
+    const parent = block.parentElement;
+    if (!groups.has(parent)) {
+      groups.set(parent, new Map());
+    }
+    const bySignature = groups.get(parent);
+    const signature = getElementSignature(block);
+    if (!bySignature.has(signature)) {
+      bySignature.set(signature, []);
+    }
+    bySignature.get(signature).push(block);
+  }
+
+  let best = [];
+  for (const bySignature of groups.values()) {
+    for (const blocks of bySignature.values()) {
+      if (blocks.length > best.length) {
+        best = blocks;
+      }
+    }
+  }
+  return best.length >= CONFIG.health.heuristicMinArticles ? best : [];
+}
+
+/**
+ * Check whether a hostname matches a host pattern
+ * @param {string} hostname - Hostname (lowercase)
+ * @param {string} pattern - 'example.com' (exact) or '*.example.com' (any subdomain)
+ * @returns {boolean} True if the hostname matches
+ */
+function matchesHostPattern(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Register a site adapter
+ * @param {Object} definition - Adapter definition (see the top of this file)
+ * @returns {Object|null} Registered adapter, or null if the definition is invalid
+ */
+function registerSiteAdapter(definition) {
+  if (!definition || typeof definition !== 'object') {
+    Logger.warn('registerSiteAdapter: definition must be an object', definition);
+    return null;
+  }
+
+  if (typeof definition.id !== 'string' || !definition.id) {
+    Logger.warn('registerSiteAdapter: id is required', definition);
+    return null;
+  }
+
+  if (getSiteAdapter(definition.id)) {
+    Logger.warn(`registerSiteAdapter: "${definition.id}" is already registered`);
+    return null;
+  }
+
+  if (!Array.isArray(definition.hostPatterns) || definition.hostPatterns.length === 0) {
+    Logger.warn('registerSiteAdapter: hostPatterns must be a non-empty array', definition);
+    return null;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(definition.baseUrl).hostname;
+  } catch (e) {
+    Logger.warn('registerSiteAdapter: baseUrl must be an absolute URL', definition);
+    return null;
+  }
+
+  const selectors = definition.selectors || {};
+  for (let i = 0; i < REQUIRED_SITE_SELECTORS.length; i++) {
+    if (typeof selectors[REQUIRED_SITE_SELECTORS[i]] !== 'string') {
+      Logger.warn(`registerSiteAdapter: selectors.${REQUIRED_SITE_SELECTORS[i]} is required`, definition);
+      return null;
+    }
+  }
+
+  const adapter = {
+    ...DEFAULT_SITE_ADAPTER,
+    ...definition,
+    name: definition.name || hostname,
+    baseUrl: definition.baseUrl.replace(/\/+$/, ''),
+    hostname: hostname,
+    hostPatterns: definition.hostPatterns.map(pattern => pattern.toLowerCase()),
+    selectors: { ...selectors }
+  };
+
+  SITE_ADAPTERS.push(adapter);
+  return adapter;
+}
+
+/**
+ * Get a registered adapter by id
+ * @param {string} id - Adapter id
+ * @returns {Object|null} Adapter or null
+ */
+function getSiteAdapter(id) {
+  for (let i = 0; i < SITE_ADAPTERS.length; i++) {
+    if (SITE_ADAPTERS[i].id === id) {
+      return SITE_ADAPTERS[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Get all registered adapters
+ * @returns {Array<Object>} Adapters in registration order
+ */
+function getSiteAdapters() {
+  return SITE_ADAPTERS.slice();
+}
+
+/**
+ * Find the adapter handling a hostname
+ * @param {string} hostname - Hostname
+ * @returns {Object|null} Adapter or null if no site matches
+ */
+function getSiteAdapterForHostname(hostname) {
+  if (!hostname) return null;
+
+  const lowerHostname = hostname.toLowerCase();
+  for (let i = 0; i < SITE_ADAPTERS.length; i++) {
+    const patterns = SITE_ADAPTERS[i].hostPatterns;
+    for (let j = 0; j < patterns.length; j++) {
+      if (matchesHostPattern(lowerHostname, patterns[j])) {
+        return SITE_ADAPTERS[i];
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the adapter handling a URL
+ * @param {string} url - Absolute URL
+ * @returns {Object|null} Adapter or null if the URL is invalid or no site matches
+ */
+function getSiteAdapterForUrl(url) {
+  try {
+    return getSiteAdapterForHostname(new URL(url).hostname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Replace the user selector overrides (CONFIG.sites.editableSelectors only)
+ * Loaded from storage by loadSelectorOverrides and kept current through chrome.storage.onChanged
+ * @param {Object<string, Object<string, string>>|null} overrides - Adapter id -> selector name -> selector
+ * @returns {void}
+ */
+function setSiteSelectorOverrides(overrides) {
+  siteSelectorOverrides = {};
+  if (!overrides || typeof overrides !== 'object') return;
+
+  for (const siteId in overrides) {
+    const selectors = overrides[siteId];
+    if (!selectors || typeof selectors !== 'object') continue;
+
+    const valid = {};
+    for (let i = 0; i < CONFIG.sites.editableSelectors.length; i++) {
+      const name = CONFIG.sites.editableSelectors[i];
+      if (typeof selectors[name] === 'string' && selectors[name].trim()) {
+        valid[name] = selectors[name].trim();
+      }
+    }
+    if (Object.keys(valid).length > 0) {
+      siteSelectorOverrides[siteId] = valid;
+    }
+  }
+}
+
+/**
+ * Get the user selector overrides of a site
+ * @param {string} siteId - Adapter id
+ * @returns {Object<string, string>} Selector name -> selector (empty if the built-in selectors apply)
+ */
+function getSiteSelectorOverrides(siteId) {
+  return { ...(siteSelectorOverrides[siteId] || {}) };
+}
+
+/**
+ * Get an adapter with the user's selector overrides merged over its built-in selectors
+ * @param {Object|null} adapter - Registered adapter
+ * @returns {Object|null} The adapter itself without overrides, else a copy using the merged selectors
+ */
+function getEffectiveSiteAdapter(adapter) {
+  if (!adapter || !siteSelectorOverrides[adapter.id]) {
+    return adapter;
+  }
+  return { ...adapter, selectors: { ...adapter.selectors, ...siteSelectorOverrides[adapter.id] } };
+}
+
+/**
+ * Get the adapter of the page the script runs on, with the user's selector overrides applied
+ * Only works in contexts with window object (content scripts)
+ * @returns {Object|null} Adapter, or null outside a supported site
+ */
+function getActiveSiteAdapter() {
+  if (typeof window === 'undefined' || !window.location) {
+    return null;
+  }
+  return getEffectiveSiteAdapter(getSiteAdapterForHostname(window.location.hostname));
+}
+
+/**
+ * Get the adapter used where no page tells which site is meant (popup, service worker)
+ * @returns {Object|null} CONFIG.sites.default adapter, or the first registered one
+ */
+function getDefaultSiteAdapter() {
+  return getSiteAdapter(CONFIG.sites.default) || SITE_ADAPTERS[0] || null;
+}
+
+/**
+ * Get the site namespace of an article URL
+ * @param {string} url - Article URL (absolute)
+ * @returns {string} Adapter id, or empty string for URLs outside every registered site
+ */
+function getSiteIdForUrl(url) {
+  const adapter = getSiteAdapterForUrl(url);
+  return adapter ? adapter.id : '';
+}
+
+/**
+ * Get the site an article record belongs to
+ * Records written before v8 have no site field; it is derived from the URL
+ * @param {Object|null} article - Article record
+ * @returns {string} Adapter id, or empty string if unknown
+ */
+function getArticleSite(article) {
+  if (!article) return '';
+  return typeof article.site === 'string' ? article.site : getSiteIdForUrl(article.url);
+}
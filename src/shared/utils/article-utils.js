@@ -1,16 +1,241 @@
 // Shared article manipulation utilities
 
 /**
- * Determine read status and read date from existing and new article data
+ * Normalize a tag name (trimmed, lowercase, whitespace collapsed to dashes)
+ * @param {string} tag - Tag name
+ * @returns {string} Normalized tag, or empty string if invalid
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Normalize a list of tags (drops invalid entries and duplicates)
+ * @param {*} tags - Tags array (anything else yields an empty array)
+ * @returns {Array<string>} Normalized, unique tags
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  
+  const result = [];
+  for (let i = 0; i < tags.length; i++) {
+    const tag = normalizeTag(tags[i]);
+    if (tag && !result.includes(tag)) {
+      result.push(tag);
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge two tag lists (union, preserving order of first appearance)
+ * @param {Array<string>|undefined} existingTags - Existing tags
+ * @param {Array<string>|undefined} importedTags - Incoming tags
+ * @returns {Array<string>} Merged tags
+ */
+function mergeTags(existingTags, importedTags) {
+  return normalizeTags([...(existingTags || []), ...(importedTags || [])]);
+}
+
+/**
+ * Merge two notes texts (for import and sync)
+ * 
+ * - Empty or identical incoming notes keep the existing text
+ * - If one text already contains the other, the longer one is kept
+ * - Otherwise both are kept, existing first, separated by a blank line
+ * 
+ * @param {string|undefined} existingNotes - Existing notes
+ * @param {string|undefined} importedNotes - Incoming notes
+ * @returns {string} Merged notes
+ */
+function mergeNotes(existingNotes, importedNotes) {
+  const existing = typeof existingNotes === 'string' ? existingNotes.trim() : '';
+  const imported = typeof importedNotes === 'string' ? importedNotes.trim() : '';
+  
+  if (!imported || imported === existing || existing.includes(imported)) return existing;
+  if (!existing || imported.includes(existing)) return imported;
+  
+  return `${existing}\n\n${imported}`;
+}
+
+/**
+ * Normalize a reading progress value to an integer percentage
+ * @param {*} progress - Progress value
+ * @returns {number} Integer between 0 and 100 (0 if invalid)
+ */
+function normalizeProgress(progress) {
+  if (typeof progress !== 'number' || isNaN(progress)) return 0;
+  return Math.min(100, Math.max(0, Math.round(progress)));
+}
+
+/**
+ * Normalize post metadata read from an article page
+ * @param {*} metadata - { wordCount, readingTime, categories, series, extractedAt }
+ * @returns {Object|null} Metadata with valid field types, or null if there is none
+ */
+function normalizeArticleMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return null;
+  
+  const wordCount = Number.isInteger(metadata.wordCount) && metadata.wordCount > 0 ? metadata.wordCount : 0;
+  const categories = [];
+  if (Array.isArray(metadata.categories)) {
+    for (let i = 0; i < metadata.categories.length; i++) {
+      const category = typeof metadata.categories[i] === 'string' ? metadata.categories[i].trim() : '';
+      if (category && !categories.includes(category)) {
+        categories.push(category);
+      }
+    }
+  }
+  
+  let series = null;
+  if (metadata.series && typeof metadata.series === 'object') {
+    const name = typeof metadata.series.name === 'string' ? metadata.series.name.trim() : '';
+    const part = Number.isInteger(metadata.series.part) && metadata.series.part > 0 ? metadata.series.part : null;
+    if (name || part) {
+      series = { name: name, part: part };
+    }
+  }
+  
+  return {
+    wordCount: wordCount,
+    readingTime: wordCount > 0 ? Math.max(1, Math.ceil(wordCount / CONFIG.metadata.wordsPerMinute)) : 0,
+    categories: categories,
+    series: series,
+    extractedAt: typeof metadata.extractedAt === 'string' ? metadata.extractedAt : null
+  };
+}
+
+/**
+ * Get the estimated reading time of an article
+ * @param {Object|null} article - Article record
+ * @returns {number} Minutes (0 if the post page was never visited)
+ */
+function getReadingTime(article) {
+  return (article && article.metadata && article.metadata.readingTime) || 0;
+}
+
+/**
+ * Normalize the series an article was assigned to (see detectArticleSeries)
+ * @param {*} series - { id, name, order }
+ * @returns {Object|null} Series with valid field types, or null if the article isn't in a series
+ */
+function normalizeArticleSeries(series) {
+  if (!series || typeof series !== 'object' || typeof series.id !== 'string' || !series.id) return null;
+  return {
+    id: series.id,
+    name: typeof series.name === 'string' ? series.name : series.id,
+    order: Number.isInteger(series.order) && series.order > 0 ? series.order : 1
+  };
+}
+
+/**
+ * Check if a value is a known reading status
+ * @param {*} status - Value to check
+ * @returns {boolean} True if status is one of CONFIG.statuses
+ */
+function isValidStatus(status) {
+  return CONFIG.statusCycle.includes(status);
+}
+
+/**
+ * Get reading status of an article, falling back to isRead for legacy records
+ * @param {Object|null} article - Article record
+ * @returns {string} Reading status (CONFIG.statuses value)
+ */
+function getArticleStatus(article) {
+  if (!article) return CONFIG.statuses.unread;
+  if (isValidStatus(article.status)) return article.status;
+  return article.isRead ? CONFIG.statuses.read : CONFIG.statuses.unread;
+}
+
+/**
+ * Find the closest unread articles around a URL in a sorted article list
+ *
+ * Articles in progress count as unread. If the URL is not in the list,
+ * there is no previous article and next is the first unread one.
+ *
+ * @param {Array<Object>} articles - Articles in list order (Storage.getAllArticles, newest first)
+ * @param {string} url - Current article URL
+ * @returns {{previous: Object|null, next: Object|null}} Closest unread article before and after the URL
+ */
+function findAdjacentUnreadArticles(articles, url) {
+  const normalizedUrl = normalizeUrl(url);
+  const isUnread = (article) => {
+    const status = getArticleStatus(article);
+    return status === CONFIG.statuses.unread || status === CONFIG.statuses.inProgress;
+  };
+
+  let index = -1;
+  for (let i = 0; i < articles.length; i++) {
+    if (articles[i] && articles[i].url === normalizedUrl) {
+      index = i;
+      break;
+    }
+  }
+
+  let previous = null;
+  for (let i = index - 1; i >= 0; i--) {
+    if (articles[i] && isUnread(articles[i])) {
+      previous = articles[i];
+      break;
+    }
+  }
+
+  let next = null;
+  for (let i = index + 1; i < articles.length; i++) {
+    if (articles[i] && isUnread(articles[i])) {
+      next = articles[i];
+      break;
+    }
+  }
+
+  return { previous, next };
+}
+
+/**
+ * Get the canonical publication date of an article
+ * Records written before dates were parsed may hold free text; dateText is the fallback
+ * @param {Object|null} article - Article record or extracted article data
+ * @returns {string} ISO date (YYYY-MM-DD), or empty string if unknown
+ */
+function getPublishedDate(article) {
+  if (!article) return '';
+  return parseLethainDate(article.publishedDate) || parseLethainDate(article.dateText);
+}
+
+/**
+ * Compare articles by publication date, newest first (undated articles last, then by URL)
+ * @param {Object} a - Article
+ * @param {Object} b - Article
+ * @returns {number} Sort order for Array.prototype.sort
+ */
+function compareArticlesByDate(a, b) {
+  const dateA = getPublishedDate(a);
+  const dateB = getPublishedDate(b);
+  
+  if (dateA !== dateB) {
+    if (!dateA) return 1;
+    if (!dateB) return -1;
+    return dateA < dateB ? 1 : -1;
+  }
+  return (a.url || '') < (b.url || '') ? -1 : ((a.url || '') > (b.url || '') ? 1 : 0);
+}
+
+/**
+ * Determine reading status, read flag and read date from existing and new article data
  * 
  * Logic priority:
- * 1. If newArticle explicitly sets isRead: use it and set readDate accordingly
- * 2. If existing article exists: preserve its read status
- * 3. Otherwise: use newArticle defaults (typically false)
+ * 1. If newArticle explicitly sets status: use it (isRead = status is read)
+ * 2. If newArticle explicitly sets isRead (legacy callers): read or unread
+ * 3. If existing article exists: preserve its status
+ * 4. Otherwise: use newArticle defaults (typically unread)
+ * 
+ * readDate is only kept for the read status; if not provided when becoming read, it's set to now.
  * 
  * @param {Object|null} existing - Existing article from storage (may be null)
  * @param {Object} newArticle - New article data being saved
- * @returns {{isRead: boolean, readDate: string|null}} Object with isRead and readDate
+ * @returns {{status: string, isRead: boolean, readDate: string|null}} Object with status, isRead and readDate
  */
 function determineReadStatus(existing, newArticle) {
   // Runtime type validation
@@ -21,35 +246,46 @@ function determineReadStatus(existing, newArticle) {
   
   if (!newArticle || typeof newArticle !== 'object' || Array.isArray(newArticle)) {
     Logger.warn('determineReadStatus: newArticle must be an object', newArticle);
-    return { isRead: false, readDate: null };
+    return { status: CONFIG.statuses.unread, isRead: false, readDate: null };
   }
-  // If new article explicitly sets isRead property
-  if (newArticle.hasOwnProperty('isRead')) {
-    const isRead = newArticle.isRead || false;
+  
+  // If new article explicitly sets status or isRead property
+  if (isValidStatus(newArticle.status) || newArticle.hasOwnProperty('isRead')) {
+    const status = isValidStatus(newArticle.status)
+      ? newArticle.status
+      : (newArticle.isRead ? CONFIG.statuses.read : CONFIG.statuses.unread);
+    const isRead = status === CONFIG.statuses.read;
     // If readDate is explicitly provided, use it; otherwise set current date if marking as read
-    const readDate = newArticle.readDate !== undefined 
-      ? newArticle.readDate 
-      : (isRead ? new Date().toISOString() : null);
-    return { isRead, readDate };
+    let readDate = null;
+    if (isRead) {
+      readDate = newArticle.readDate !== undefined && newArticle.readDate !== null
+        ? newArticle.readDate
+        : new Date().toISOString();
+    }
+    return { status, isRead, readDate };
   }
   
-  // If existing article exists, preserve its read status
+  // If existing article exists, preserve its status
   if (existing) {
+    const status = getArticleStatus(existing);
     return {
-      isRead: existing.isRead || false,
-      readDate: existing.readDate || null
+      status: status,
+      isRead: status === CONFIG.statuses.read,
+      readDate: status === CONFIG.statuses.read ? (existing.readDate || null) : null
     };
   }
   
   // Default: not read
+  const status = getArticleStatus(newArticle);
   return {
-    isRead: newArticle.isRead || false,
-    readDate: newArticle.readDate || null
+    status: status,
+    isRead: status === CONFIG.statuses.read,
+    readDate: status === CONFIG.statuses.read ? (newArticle.readDate || null) : null
   };
 }
 
 /**
- * Merge article state preserving existing read status
+ * Merge article state preserving existing reading status
  * Used for syncing and saving articles from page extraction
  * @param {Object|null} existing - Existing article
  * @param {Object} newArticle - New article data
@@ -60,20 +296,36 @@ function mergeArticleState(existing, newArticle) {
     return {
       url: normalizeUrl(newArticle.url),
       title: newArticle.title || '',
-      publishedDate: newArticle.publishedDate || '',
+      publishedDate: getPublishedDate(newArticle),
       dateText: newArticle.dateText || newArticle.publishedDate || '',
-      isRead: newArticle.isRead || false,
-      readDate: newArticle.readDate || null
+      isRead: getArticleStatus(newArticle) === CONFIG.statuses.read,
+      readDate: newArticle.readDate || null,
+      status: getArticleStatus(newArticle),
+      tags: normalizeTags(newArticle.tags),
+      notes: newArticle.notes || '',
+      progress: normalizeProgress(newArticle.progress),
+      site: getSiteIdForUrl(normalizeUrl(newArticle.url)),
+      metadata: normalizeArticleMetadata(newArticle.metadata),
+      series: null,
+      schemaVersion: CONFIG.schema.version
     };
   }
   
   return {
     url: existing.url || normalizeUrl(newArticle.url),
     title: newArticle.title || existing.title || '',
-    publishedDate: newArticle.publishedDate || existing.publishedDate || '',
+    publishedDate: getPublishedDate(newArticle) || getPublishedDate(existing),
     dateText: newArticle.dateText || newArticle.publishedDate || existing.dateText || '',
-    isRead: existing.isRead || false,
-    readDate: existing.readDate || null
+    isRead: getArticleStatus(existing) === CONFIG.statuses.read,
+    readDate: existing.readDate || null,
+    status: getArticleStatus(existing),
+    tags: normalizeTags(existing.tags),
+    notes: existing.notes || '',
+    progress: normalizeProgress(existing.progress),
+    site: getArticleSite(existing),
+    metadata: normalizeArticleMetadata(newArticle.metadata) || normalizeArticleMetadata(existing.metadata),
+    series: normalizeArticleSeries(existing.series),
+    schemaVersion: CONFIG.schema.version
   };
 }
 
@@ -81,10 +333,12 @@ function mergeArticleState(existing, newArticle) {
  * Merge article data keeping most recent read date (for import)
  * 
  * Import strategy:
- * - Only imports articles marked as read (isRead=true)
+ * - Read state is imported from articles marked as read (status read / isRead=true)
  * - If existing article is not read: accept imported read status
  * - If both are read: keep the one with the most recent readDate
  * - If imported article has no readDate: skip it (existing is more reliable)
+ * - In progress / skipped are only imported onto articles that are still unread
+ * - Progress keeps the furthest point reached on either side
  * 
  * @param {Object} existing - Existing article from storage
  * @param {Object} imported - Imported article from file
@@ -102,20 +356,49 @@ function mergeArticleDataForImport(existing, imported) {
     return null;
   }
 
-  // Only import articles that are marked as read
-  if (!imported.isRead) {
-    return null;
+  const importedStatus = getArticleStatus(imported);
+  const existingStatus = getArticleStatus(existing);
+
+  // Non-read states never override a state the user already chose
+  if (importedStatus !== CONFIG.statuses.read) {
+    if (importedStatus === CONFIG.statuses.unread || existingStatus !== CONFIG.statuses.unread) {
+      return null;
+    }
+    return {
+      url: imported.url,
+      title: imported.title || existing.title,
+      publishedDate: getPublishedDate(imported) || getPublishedDate(existing),
+      dateText: imported.dateText || existing.dateText,
+      isRead: false,
+      readDate: null,
+      status: importedStatus,
+      tags: mergeTags(existing.tags, imported.tags),
+      notes: mergeNotes(existing.notes, imported.notes),
+      progress: Math.max(normalizeProgress(existing.progress), normalizeProgress(imported.progress)),
+      site: getArticleSite(existing),
+      metadata: normalizeArticleMetadata(imported.metadata) || normalizeArticleMetadata(existing.metadata),
+      series: normalizeArticleSeries(existing.series),
+      schemaVersion: CONFIG.schema.version
+    };
   }
 
   // If existing article is not read, accept imported read status
-  if (!existing.isRead) {
+  if (existingStatus !== CONFIG.statuses.read) {
     return {
       url: imported.url,
       title: imported.title || existing.title,
-      publishedDate: imported.publishedDate || existing.publishedDate,
+      publishedDate: getPublishedDate(imported) || getPublishedDate(existing),
       dateText: imported.dateText || existing.dateText,
       isRead: true,
-      readDate: imported.readDate
+      readDate: imported.readDate,
+      status: CONFIG.statuses.read,
+      tags: mergeTags(existing.tags, imported.tags),
+      notes: mergeNotes(existing.notes, imported.notes),
+      progress: Math.max(normalizeProgress(existing.progress), normalizeProgress(imported.progress)),
+      site: getArticleSite(existing),
+      metadata: normalizeArticleMetadata(imported.metadata) || normalizeArticleMetadata(existing.metadata),
+      series: normalizeArticleSeries(existing.series),
+      schemaVersion: CONFIG.schema.version
     };
   }
 
@@ -133,10 +416,18 @@ function mergeArticleDataForImport(existing, imported) {
     return {
       url: imported.url,
       title: imported.title || existing.title,
-      publishedDate: imported.publishedDate || existing.publishedDate,
+      publishedDate: getPublishedDate(imported) || getPublishedDate(existing),
       dateText: imported.dateText || existing.dateText,
       isRead: true,
-      readDate: imported.readDate
+      readDate: imported.readDate,
+      status: CONFIG.statuses.read,
+      tags: mergeTags(existing.tags, imported.tags),
+      notes: mergeNotes(existing.notes, imported.notes),
+      progress: Math.max(normalizeProgress(existing.progress), normalizeProgress(imported.progress)),
+      site: getArticleSite(existing),
+      metadata: normalizeArticleMetadata(imported.metadata) || normalizeArticleMetadata(existing.metadata),
+      series: normalizeArticleSeries(existing.series),
+      schemaVersion: CONFIG.schema.version
     };
   }
 
@@ -144,8 +435,47 @@ function mergeArticleDataForImport(existing, imported) {
   return null;
 }
 
+/**
+ * Merge two records of the same article (import, duplicate repair)
+ * Read state follows mergeArticleDataForImport; tags, notes and progress are always combined
+ * @param {Object} existing - Existing article record
+ * @param {Object} incoming - Incoming article record
+ * @returns {{article: Object, readStateChanged: boolean}} Merged record (with existing's url) and
+ *                                                       whether the incoming read state won
+ */
+function mergeArticleRecords(existing, incoming) {
+  const merged = mergeArticleDataForImport(existing, incoming);
+  
+  // Read state may be skipped (existing readDate is more recent), but notes and tags still merge
+  const base = merged || existing;
+  return {
+    article: {
+      ...base,
+      url: existing.url,
+      tags: mergeTags(base.tags, incoming.tags),
+      notes: mergeNotes(base.notes, incoming.notes),
+      progress: Math.max(normalizeProgress(base.progress), normalizeProgress(incoming.progress))
+    },
+    readStateChanged: merged !== null
+  };
+}
+
 /**
  * Validate article object structure
+ * 
+ * Schema awareness:
+ * - Records without schemaVersion are treated as v1 (legacy bare records)
+ * - schemaVersion, when present, must be a known version (1..CONFIG.schema.version)
+ * - v2+ records must carry a boolean isRead
+ * - v3+ records must carry a tags array
+ * - v4+ records must carry a notes string
+ * - v5+ records must carry a valid status
+ * - v6+ records must carry a numeric progress
+ * - v7+ records may only carry an ISO date (or nothing) in publishedDate
+ * - v8+ records must carry a site string (site adapter id, empty for untracked sites)
+ * - v9+ records must carry metadata (object, or null until the post page is visited)
+ * - v10+ records must carry series (object, or null outside a series)
+ * 
  * @param {*} article - Article to validate
  * @returns {boolean} True if article is valid
  */
@@ -154,6 +484,52 @@ function validateArticleStructure(article) {
     return false;
   }
   
+  if (article.schemaVersion !== undefined) {
+    if (!Number.isInteger(article.schemaVersion) ||
+        article.schemaVersion < 1 ||
+        article.schemaVersion > CONFIG.schema.version) {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 2 && typeof article.isRead !== 'boolean') {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 3 && !Array.isArray(article.tags)) {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 4 && typeof article.notes !== 'string') {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 5 && !isValidStatus(article.status)) {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 6 && typeof article.progress !== 'number') {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 7 && article.publishedDate && !isISODate(article.publishedDate)) {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 8 && typeof article.site !== 'string') {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 9 && (article.metadata === undefined ||
+        typeof article.metadata !== 'object' || Array.isArray(article.metadata))) {
+      return false;
+    }
+    
+    if (article.schemaVersion >= 10 && (article.series === undefined ||
+        typeof article.series !== 'object' || Array.isArray(article.series))) {
+      return false;
+    }
+  }
+  
   if (!article.url || typeof article.url !== 'string') {
     return false;
   }
@@ -179,6 +555,22 @@ function validateArticleStructure(article) {
     return false;
   }
   
+  if (article.tags !== undefined && (!Array.isArray(article.tags) || article.tags.some(tag => typeof tag !== 'string'))) {
+    return false;
+  }
+  
+  if (article.notes !== undefined && typeof article.notes !== 'string') {
+    return false;
+  }
+  
+  if (article.status !== undefined && !isValidStatus(article.status)) {
+    return false;
+  }
+  
+  if (article.progress !== undefined && typeof article.progress !== 'number') {
+    return false;
+  }
+  
   return true;
 }
 
@@ -0,0 +1,274 @@
+// Full-archive backfill from a site's sitemap.xml
+// Lists every post URL of the sitemap, then reads the title and date of each post not stored yet.
+// The job state lives in chrome.storage.local (CONFIG.storage.backfillKey), so a service worker
+// restart resumes where it stopped, and the popup reads it to show how much of the archive is known.
+
+/**
+ * Backfill job state
+ *
+ * {
+ *   site: string,         // Site adapter id
+ *   status: string,       // 'running' | 'done' | 'cancelled'
+ *   posts: Array<string>, // Canonical post URLs listed by the sitemap
+ *   next: number,         // Index of the next post to visit
+ *   added: number,        // Articles added by this job
+ *   failed: number,       // Posts that couldn't be read
+ *   startedAt: string,    // ISO timestamp, identifies the job
+ *   updatedAt: string     // ISO timestamp of the last progress write
+ * }
+ */
+
+// Whether this context is currently working through a job (one loop per service worker)
+let backfillRunning = false;
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML text
+ * @returns {{urls: Array<string>, sitemaps: Array<string>}} Page URLs (<urlset>) and child sitemaps (<sitemapindex>)
+ * @throws {Error} If the text isn't a sitemap
+ */
+function parseSitemap(xml) {
+  if (typeof xml !== 'string') {
+    throw new Error('parseSitemap: xml must be a string');
+  }
+
+  const flattened = flattenXml(xml);
+  const isIndex = /<sitemapindex[\s>]/.test(flattened);
+  if (!isIndex && !/<urlset[\s>]/.test(flattened)) {
+    throw new Error('Not a sitemap');
+  }
+
+  const entries = findXmlElements(flattened, isIndex ? 'sitemap' : 'url');
+  const locations = [];
+  for (let i = 0; i < entries.length; i++) {
+    const loc = getXmlText(entries[i].content, 'loc');
+    if (loc) {
+      locations.push(loc);
+    }
+  }
+
+  return isIndex ? { urls: [], sitemaps: locations } : { urls: locations, sitemaps: [] };
+}
+
+/**
+ * Read the content attribute of the first <meta> with one of the given names
+ * @param {string} html - Page HTML
+ * @param {Array<string>} names - property/name/itemprop values, in order of preference
+ * @returns {string} Decoded content, or empty string if none matches
+ */
+function getMetaContent(html, names) {
+  const metas = html.match(/<meta\s[^>]*>/gi) || [];
+  for (let i = 0; i < names.length; i++) {
+    for (let j = 0; j < metas.length; j++) {
+      const attributes = metas[j].slice(5);
+      const name = getXmlAttribute(attributes, 'property') || getXmlAttribute(attributes, 'name') ||
+                   getXmlAttribute(attributes, 'itemprop');
+      if (name === names[i]) {
+        return (getXmlAttribute(attributes, 'content') || '').trim();
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Read the title and publication date of a post page
+ * Works on the HTML text (the service worker has no DOMParser): Open Graph and article
+ * meta tags first, then the first <h1> / <title> and <time> of the page
+ * @param {string} html - Post page HTML
+ * @returns {{title: string, publishedDate: string, dateText: string}} Post metadata (fields empty if not found)
+ */
+function extractPostMetadata(html) {
+  const page = flattenXml(html)
+    .replace(/<script[\s>][\s\S]*?<\/script\s*>/gi, '')
+    .replace(/<style[\s>][\s\S]*?<\/style\s*>/gi, '');
+
+  const title = getMetaContent(page, ['og:title', 'twitter:title']) ||
+                getXmlText(page, 'h1') ||
+                getXmlText(page, 'title');
+
+  let dateValue = getMetaContent(page, ['article:published_time', 'datePublished', 'date']);
+  if (!dateValue) {
+    const times = findXmlElements(page, 'time');
+    if (times.length > 0) {
+      dateValue = getXmlAttribute(times[0].attributes, 'datetime') || getXmlText(page, 'time');
+    }
+  }
+
+  return {
+    title: title,
+    publishedDate: parseLethainDate(dateValue),
+    dateText: dateValue
+  };
+}
+
+/**
+ * Wait before the next request
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function backfillDelay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const Backfill = {
+  /**
+   * Get the current (or last) backfill job
+   * @returns {Promise<Object|null>} Job state, or null if no backfill ever ran
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getState() {
+    const result = await storageGet([CONFIG.storage.backfillKey]);
+    return result[CONFIG.storage.backfillKey] || null;
+  },
+
+  /**
+   * Collect the post URLs of a site's sitemap
+   * Sitemap indexes are followed one level deep (up to CONFIG.backfill.maxSitemaps children)
+   * @param {Object} adapter - Site adapter
+   * @param {string|null} sitemapXml - Sitemap text (a locally supplied file), or null to fetch adapter.sitemapUrl
+   * @returns {Promise<Array<string>>} Canonical post URLs, in sitemap order
+   * @throws {Error} If the sitemap can't be fetched or parsed
+   */
+  async listPosts(adapter, sitemapXml) {
+    if (!sitemapXml && !adapter.sitemapUrl) {
+      throw new Error(`${adapter.name} has no sitemap`);
+    }
+
+    const sitemap = parseSitemap(sitemapXml || await fetchText(adapter.sitemapUrl));
+    const locations = sitemap.urls.slice();
+    const children = sitemap.sitemaps.slice(0, CONFIG.backfill.maxSitemaps);
+    for (let i = 0; i < children.length; i++) {
+      const child = parseSitemap(await fetchText(children[i]));
+      locations.push(...child.urls);
+    }
+
+    const posts = [];
+    const seen = new Set();
+    for (let i = 0; i < locations.length; i++) {
+      const url = normalizeUrl(locations[i], adapter.baseUrl);
+      if (!seen.has(url) && adapter.isPostUrl(url)) {
+        seen.add(url);
+        posts.push(url);
+      }
+    }
+    return posts;
+  },
+
+  /**
+   * Start a backfill job, replacing any previous one, and work through it in the background
+   * @param {string} siteId - Site adapter id
+   * @param {string|null} [sitemapXml=null] - Sitemap text (a locally supplied file), or null to fetch the site's sitemap
+   * @returns {Promise<Object>} Initial job state
+   * @throws {Error} If the site is unknown or the sitemap can't be fetched or parsed
+   */
+  async start(siteId, sitemapXml = null) {
+    const adapter = getSiteAdapter(siteId);
+    if (!adapter) {
+      throw new Error(`Unknown site: ${siteId}`);
+    }
+
+    const posts = await this.listPosts(adapter, sitemapXml);
+    const now = new Date().toISOString();
+    const state = {
+      site: adapter.id,
+      status: posts.length > 0 ? 'running' : 'done',
+      posts: posts,
+      next: 0,
+      added: 0,
+      failed: 0,
+      startedAt: now,
+      updatedAt: now
+    };
+    await storageSet({ [CONFIG.storage.backfillKey]: state });
+    Logger.info(`Backfill started: ${posts.length} posts listed for ${adapter.name}`);
+
+    this.resume();
+    return state;
+  },
+
+  /**
+   * Stop the running job (the post being read is still saved)
+   * @returns {Promise<void>}
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async cancel() {
+    const state = await this.getState();
+    if (state && state.status === 'running') {
+      await storageSet({ [CONFIG.storage.backfillKey]: { ...state, status: 'cancelled', updatedAt: new Date().toISOString() } });
+    }
+  },
+
+  /**
+   * Continue a running job (called on service worker start, so jobs survive restarts)
+   *
+   * Posts already stored are skipped without a request; the others are fetched one at a
+   * time, at most one every CONFIG.backfill.requestInterval, and added through
+   * Storage.syncArticles. Progress is written after every post.
+   *
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (backfillRunning) return;
+    backfillRunning = true;
+
+    try {
+      let state = await this.getState();
+      while (state && state.status === 'running' && state.next < state.posts.length) {
+        const url = state.posts[state.next];
+        let added = 0;
+        let failed = 0;
+        let requested = false;
+
+        try {
+          if (!await Storage.getArticle(url)) {
+            requested = true;
+            const metadata = extractPostMetadata(await fetchText(url));
+            if (metadata.title) {
+              added = await Storage.syncArticles([{ url, ...metadata }]);
+            } else {
+              failed = 1;
+              Logger.warn('Backfill: no title found', url);
+            }
+          }
+        } catch (error) {
+          failed = 1;
+          Logger.warn(`Backfill: error reading ${url}:`, error);
+        }
+
+        // The job may have been cancelled or replaced while the post was read
+        const latest = await this.getState();
+        if (!latest || latest.status !== 'running') {
+          return;
+        }
+        if (latest.startedAt !== state.startedAt) {
+          state = latest;
+          continue;
+        }
+
+        const next = latest.next + 1;
+        state = {
+          ...latest,
+          next: next,
+          added: latest.added + added,
+          failed: latest.failed + failed,
+          status: next < latest.posts.length ? 'running' : 'done',
+          updatedAt: new Date().toISOString()
+        };
+        await storageSet({ [CONFIG.storage.backfillKey]: state });
+
+        if (requested && state.status === 'running') {
+          await backfillDelay(CONFIG.backfill.requestInterval);
+        }
+      }
+
+      if (state && state.status === 'done') {
+        Logger.info(`Backfill finished: ${state.added} added, ${state.failed} failed`);
+      }
+    } catch (error) {
+      Logger.error('Backfill stopped:', error);
+    } finally {
+      backfillRunning = false;
+    }
+  }
+};
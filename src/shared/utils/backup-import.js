@@ -0,0 +1,156 @@
+// Backup import (runs in the service worker)
+// The popup reads and parses the backup file and sends it here, so the merge reads and
+// writes of the whole import happen in one storage transaction (see Storage.transaction)
+
+/**
+ * Process import batch - validates, merges, and categorizes articles
+ * 
+ * Import logic:
+ * - Articles are first upgraded to the current schema (backups from older versions still import)
+ * - Read state is only imported from articles marked as read; in progress / skipped only fill unread articles
+ * - For existing articles: keeps the most recent readDate
+ * - Tags are merged (union), notes are merged with mergeNotes and the furthest progress is kept, regardless of read state
+ * - For new articles: imports them if they have a status other than unread or carry notes/tags
+ * - Invalid articles are skipped
+ * 
+ * @param {Object} importData - Import data object with structure: { schemaVersion?: number, articles: Array<Object> }
+ * @param {Function} getArticles - Reads stored articles by normalized URL (e.g. a transaction's getArticles)
+ * @returns {Promise<Object>} Result object with:
+ *   - articlesToSave: Array<Object> - Articles to save to storage
+ *   - historyEntries: Array<Object> - Import events to append to article history
+ *   - imported: number - Count of new articles imported
+ *   - updated: number - Count of existing articles updated
+ *   - skipped: number - Count of articles skipped (invalid or not read)
+ * @throws {Error} If processing fails
+ */
+async function processImportBatch(importData, getArticles) {
+  // Runtime type validation
+  if (!importData || typeof importData !== 'object') {
+    throw new Error('processImportBatch: importData must be an object');
+  }
+  
+  if (!Array.isArray(importData.articles)) {
+    throw new Error('processImportBatch: importData.articles must be an array');
+  }
+
+  // Backups without a schemaVersion were exported before versioning existed (v1)
+  const fileSchemaVersion = importData.schemaVersion || 1;
+
+  // Upgrade and filter valid articles (must have valid structure and URL)
+  const validArticles = [];
+  for (let i = 0; i < importData.articles.length; i++) {
+    const article = importData.articles[i];
+    if (!validateArticle(article)) continue;
+
+    const upgraded = migrateArticle(article, fileSchemaVersion);
+    if (upgraded && validateArticleStructure(upgraded) && validateUrl(upgraded.url)) {
+      validArticles.push(upgraded);
+    }
+  }
+
+  // Read every existing record at once
+  const urls = validArticles.map(article => normalizeUrl(article.url));
+  const stored = urls.length > 0 ? await getArticles(urls) : {};
+
+  const results = validArticles.map((article, index) => {
+    const existing = stored[urls[index]] || null;
+    
+    if (existing) {
+      // Merge with existing article (keeps most recent readDate, combines notes and tags)
+      const { article: annotated, readStateChanged } = mergeArticleRecords(existing, article);
+      const annotationsChanged = annotated.notes !== (existing.notes || '') ||
+                                 annotated.tags.length !== (existing.tags || []).length ||
+                                 annotated.progress !== normalizeProgress(existing.progress);
+      
+      if (readStateChanged || annotationsChanged) {
+        return { type: 'updated', article: annotated, previous: existing };
+      }
+      return { type: 'skipped', article: null };
+    } else {
+      // New article - only import if marked as read or annotated
+      const tags = normalizeTags(article.tags);
+      const notes = mergeNotes('', article.notes);
+      const status = getArticleStatus(article);
+      if (status === CONFIG.statuses.unread && tags.length === 0 && !notes) {
+        return { type: 'skipped', article: null };
+      }
+      
+      return {
+        type: 'imported',
+        article: {
+          url: article.url,
+          title: article.title || '',
+          publishedDate: getPublishedDate(article),
+          dateText: article.dateText || article.publishedDate || '',
+          isRead: status === CONFIG.statuses.read,
+          readDate: status === CONFIG.statuses.read ? (article.readDate || null) : null,
+          status: status,
+          tags: tags,
+          notes: notes,
+          progress: normalizeProgress(article.progress),
+          site: getSiteIdForUrl(article.url),
+          metadata: normalizeArticleMetadata(article.metadata),
+          series: normalizeArticleSeries(article.series),
+          schemaVersion: CONFIG.schema.version
+        },
+        previous: null
+      };
+    }
+  });
+
+  // Extract articles to save (exclude skipped)
+  const saved = results.filter(r => r.type !== 'skipped');
+  const articlesToSave = saved.map(r => r.article);
+
+  // One import event per written article, keeping the state it replaces
+  const historyEntries = saved.map(r => ({
+    url: r.article.url,
+    event: createHistoryEvent(CONFIG.history.types.import, CONFIG.history.sources.import, r.previous, r.article)
+  }));
+
+  // Count results by type
+  const imported = results.filter(r => r.type === 'imported').length;
+  const updated = results.filter(r => r.type === 'updated').length;
+  // Skipped = invalid articles + articles skipped during merge
+  const skipped = importData.articles.length - validArticles.length + 
+                  results.filter(r => r.type === 'skipped').length;
+
+  return { articlesToSave, historyEntries, imported, updated, skipped };
+}
+
+/**
+ * Import a parsed backup
+ * 
+ * Process:
+ * 1. Validate structure
+ * 2. Process and merge articles
+ * 3. Save to storage and record import events in article history
+ * 
+ * @param {Object} importData - Parsed backup file
+ * @returns {Promise<Object>} Import result with:
+ *   - imported: number - Count of new articles imported
+ *   - updated: number - Count of existing articles updated
+ *   - skipped: number - Count of articles skipped
+ * @throws {Error} If validation, processing or the storage backend fails
+ */
+async function importBackupData(importData) {
+  const validation = validateImportData(importData);
+  if (!validation.valid) {
+    throw new Error(validation.error || 'Invalid import data');
+  }
+
+  // Merge and write in one transaction so changes made meanwhile in open tabs aren't overwritten
+  return Storage.transaction(async (tx) => {
+    const { articlesToSave, historyEntries, imported, updated, skipped } = await processImportBatch(importData, tx.getArticles);
+
+    // Save articles to storage if any (records are already merged, so write them as-is)
+    if (articlesToSave.length > 0) {
+      await tx.writeArticles(articlesToSave);
+      await tx.appendHistory(historyEntries);
+      await tx.rebuildTagIndex();
+      await tx.refreshSeries();
+    }
+
+    return { imported, updated, skipped };
+  });
+}
@@ -0,0 +1,108 @@
+// Date parsing for article publication dates
+// Turns every date format seen on lethain.com into an ISO calendar date (YYYY-MM-DD)
+
+/**
+ * Month numbers by lowercase name and abbreviation
+ * @type {Object<string, number>}
+ */
+const MONTHS = {
+  january: 1, jan: 1,
+  february: 2, feb: 2,
+  march: 3, mar: 3,
+  april: 4, apr: 4,
+  may: 5,
+  june: 6, jun: 6,
+  july: 7, jul: 7,
+  august: 8, aug: 8,
+  september: 9, sep: 9, sept: 9,
+  october: 10, oct: 10,
+  november: 11, nov: 11,
+  december: 12, dec: 12
+};
+
+/**
+ * Known date formats, tried in order
+ * Each pattern captures year, month and day; the numbers are capture group indexes (day 0: not captured).
+ * @type {Array<{pattern: RegExp, year: number, month: number, day: number}>}
+ */
+const DATE_FORMATS = [
+  // 2023-05-05, 2023-05-05T10:00:00Z, 2023-05-05 10:00 (datetime attributes)
+  { pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})(?=$|[T\s])/g, year: 1, month: 2, day: 3 },
+  // 2023/05/05, 2023.05.05
+  { pattern: /\b(\d{4})[/.](\d{1,2})[/.](\d{1,2})\b/g, year: 1, month: 2, day: 3 },
+  // May 5, 2023 / Sept. 5th 2023 (list pages)
+  { pattern: /\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/g, year: 3, month: 1, day: 2 },
+  // 5 May 2023 / 5th of May, 2023
+  { pattern: /\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/g, year: 3, month: 2, day: 1 },
+  // May 2023 (month archives; the day is assumed to be the 1st)
+  { pattern: /\b([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/g, year: 2, month: 1, day: 0 }
+];
+
+/**
+ * Build an ISO calendar date, rejecting impossible dates (e.g. February 30)
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} YYYY-MM-DD, or empty string if invalid
+ */
+function toISODate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return '';
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a month given as number or name
+ * @param {string} value - Captured month
+ * @returns {number} Month (1-12), or 0 if unknown
+ */
+function parseMonth(value) {
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return MONTHS[value.toLowerCase()] || 0;
+}
+
+/**
+ * Find the first known date format in a text
+ * @param {string} text - Text to search
+ * @returns {{text: string, isoDate: string}|null} Matched text and its ISO date, or null if none
+ */
+function findDate(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  for (let i = 0; i < DATE_FORMATS.length; i++) {
+    const format = DATE_FORMATS[i];
+    // Words next to a year ("Posted 2023") match the patterns too, so try every occurrence
+    for (const match of text.matchAll(format.pattern)) {
+      const month = parseMonth(match[format.month]);
+      const day = format.day ? parseInt(match[format.day], 10) : 1;
+      const isoDate = month ? toISODate(parseInt(match[format.year], 10), month, day) : '';
+      if (isoDate) {
+        return { text: match[0], isoDate };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a publication date in any known lethain.com format
+ * Timestamps keep the calendar date they were written with (no timezone conversion)
+ * @param {string} value - datetime attribute, list date text or stored publishedDate
+ * @returns {string} ISO date (YYYY-MM-DD), or empty string if the value isn't a known date
+ */
+function parseLethainDate(value) {
+  const found = findDate(value);
+  return found ? found.isoDate : '';
+}
+
+/**
+ * Check whether a value is a canonical publishedDate (ISO calendar date)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for YYYY-MM-DD strings of real dates
+ */
+function isISODate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseLethainDate(value) === value;
+}
@@ -13,6 +13,20 @@ function formatDateFull(isoString, locale = 'en-US') {
   return date.toLocaleDateString(locale, CONFIG.dateFormats.full);
 }
 
+/**
+ * Format an estimated reading time
+ * @param {number} minutes - Reading time in minutes
+ * @returns {string} "7 min" or "1 h 20 min" (empty string if unknown)
+ */
+function formatReadingTime(minutes) {
+  if (!minutes || minutes <= 0) return '';
+  
+  const hours = Math.floor(minutes / 60);
+  const rest = Math.round(minutes % 60);
+  if (hours === 0) return `${rest} min`;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
 /**
  * Get current date as ISO string
  * @returns {string} Current date in ISO format
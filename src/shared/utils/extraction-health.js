@@ -0,0 +1,163 @@
+// Extraction health monitoring
+// Content scripts record one report per list page visit (which lookup tier found the list, how
+// many entries yielded articles, what looked wrong); the popup reads them to warn when the
+// site's markup no longer matches the adapter's selectors.
+
+/**
+ * Extraction health report
+ *
+ * {
+ *   site: string,            // Site adapter id
+ *   pageUrl: string,         // Canonical URL of the list page
+ *   checkedAt: string,       // ISO timestamp of the visit
+ *   tier: string,            // Lookup tier that found the list (see ARTICLE_LOOKUP_TIERS)
+ *   found: number,           // List entries found
+ *   extracted: number,       // Entries that yielded an article (link and title)
+ *   undated: number,         // Extracted articles without a parsed publication date
+ *   anomalies: Array<{type: string, message: string}>
+ * }
+ */
+
+/**
+ * Anomaly types
+ * @type {Object<string, string>}
+ */
+const HEALTH_ANOMALIES = {
+  noArticles: 'no_articles',
+  primaryFailed: 'primary_selector_failed',
+  missingLinks: 'missing_links',
+  missingDates: 'missing_dates',
+  countDrop: 'count_drop'
+};
+
+/**
+ * Build the report of a list page visit
+ * @param {Object} visit - { site, pageUrl, tier, found, articles } (articles as returned by extractArticles)
+ * @param {Object|null} previous - Last report of the same page, used to spot a drop in articles
+ * @returns {Object} Report
+ */
+function createExtractionReport(visit, previous) {
+  const articles = Array.isArray(visit.articles) ? visit.articles : [];
+  let undated = 0;
+  for (let i = 0; i < articles.length; i++) {
+    if (!articles[i].publishedDate) {
+      undated++;
+    }
+  }
+
+  const anomalies = [];
+  if (visit.found === 0) {
+    anomalies.push({ type: HEALTH_ANOMALIES.noArticles, message: 'No article list found on the page' });
+  } else if (visit.tier !== ARTICLE_LOOKUP_TIERS.primary) {
+    anomalies.push({
+      type: HEALTH_ANOMALIES.primaryFailed,
+      message: `selectors.article matched nothing; the list was found by the ${visit.tier} lookup`
+    });
+  }
+
+  if (articles.length < visit.found) {
+    anomalies.push({
+      type: HEALTH_ANOMALIES.missingLinks,
+      message: `${visit.found - articles.length} of ${visit.found} entries have no link or title`
+    });
+  }
+
+  if (articles.length > 0 && undated / articles.length > CONFIG.health.missingDateRatio) {
+    anomalies.push({
+      type: HEALTH_ANOMALIES.missingDates,
+      message: `${undated} of ${articles.length} articles have no readable date`
+    });
+  }
+
+  if (previous && previous.extracted > 0 && articles.length < previous.extracted * CONFIG.health.countDropRatio) {
+    anomalies.push({
+      type: HEALTH_ANOMALIES.countDrop,
+      message: `${articles.length} articles found, ${previous.extracted} on the previous visit`
+    });
+  }
+
+  return {
+    site: visit.site,
+    pageUrl: visit.pageUrl,
+    checkedAt: getCurrentDateISO(),
+    tier: visit.tier,
+    found: visit.found,
+    extracted: articles.length,
+    undated: undated,
+    anomalies: anomalies
+  };
+}
+
+const ExtractionHealth = {
+  /**
+   * Get stored reports
+   * @returns {Promise<Array<Object>>} Reports, newest first
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getReports() {
+    const result = await storageGet([CONFIG.storage.healthKey]);
+    const reports = result[CONFIG.storage.healthKey];
+    return Array.isArray(reports) ? reports : [];
+  },
+
+  /**
+   * Record a list page visit
+   * Keeps the newest CONFIG.health.reportLimit reports
+   * @param {Object} visit - { site, pageUrl, tier, found, articles }, see createExtractionReport
+   * @returns {Promise<Object|null>} Stored report, or null if the visit is invalid
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async recordVisit(visit) {
+    if (!visit || typeof visit.site !== 'string' || typeof visit.pageUrl !== 'string' ||
+        !Number.isInteger(visit.found)) {
+      Logger.warn('recordVisit: visit must have site, pageUrl and found', visit);
+      return null;
+    }
+
+    const reports = await this.getReports();
+    let previous = null;
+    for (let i = 0; i < reports.length; i++) {
+      if (reports[i].site === visit.site && reports[i].pageUrl === visit.pageUrl) {
+        previous = reports[i];
+        break;
+      }
+    }
+
+    const report = createExtractionReport(visit, previous);
+    if (report.anomalies.length > 0) {
+      Logger.warn(`Extraction health: ${report.anomalies.map(anomaly => anomaly.message).join('; ')}`);
+    }
+
+    await storageSet({
+      [CONFIG.storage.healthKey]: [report].concat(reports).slice(0, CONFIG.health.reportLimit)
+    });
+    return report;
+  },
+
+  /**
+   * Get the newest report of each site
+   * @returns {Promise<Array<Object>>} One report per site that was visited
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getLatestReports() {
+    const reports = await this.getReports();
+    const latest = [];
+    const sites = new Set();
+    for (let i = 0; i < reports.length; i++) {
+      if (!sites.has(reports[i].site)) {
+        sites.add(reports[i].site);
+        latest.push(reports[i]);
+      }
+    }
+    return latest;
+  },
+
+  /**
+   * Remove all reports
+   * @returns {Promise<void>}
+   * @throws {Error} If chrome.storage.local.remove fails
+   */
+  async clear() {
+    await storageRemove([CONFIG.storage.healthKey]);
+  }
+};
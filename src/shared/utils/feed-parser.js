@@ -0,0 +1,242 @@
+// RSS 2.0 / Atom feed parsing and ingestion
+// Works on the raw XML text (no DOMParser, which the service worker doesn't have), so saved
+// feed files parse exactly like fetched ones
+
+/**
+ * Named XML entities (numeric references are decoded separately)
+ * @type {Object<string, string>}
+ */
+const XML_ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Decode XML entities and character references
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    const named = XML_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+/**
+ * Remove comments and turn CDATA sections into escaped text
+ * Afterwards every "<" in the document starts a real tag, so markup inside
+ * CDATA (e.g. post bodies in <description>) can't be mistaken for feed elements
+ * @param {string} xml - Feed XML
+ * @returns {string} Flattened XML
+ */
+function flattenXml(xml) {
+  return xml
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+}
+
+/**
+ * Find elements by tag name (prefixed names like "dc:date" are matched literally)
+ * @param {string} xml - Flattened XML to search
+ * @param {string} name - Tag name
+ * @returns {Array<{attributes: string, content: string}>} Raw attribute string and inner XML of each element
+ */
+function findXmlElements(xml, name) {
+  const pattern = new RegExp(`<${name}(\\s[^>]*?)?(?:\\/>|>([\\s\\S]*?)<\\/${name}\\s*>)`, 'g');
+  const elements = [];
+  for (const match of xml.matchAll(pattern)) {
+    elements.push({ attributes: match[1] || '', content: match[2] || '' });
+  }
+  return elements;
+}
+
+/**
+ * Read an attribute from a raw attribute string
+ * @param {string} attributes - Attribute string from findXmlElements
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value or null if absent
+ */
+function getXmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  if (!match) return null;
+  return decodeXmlEntities(match[1] !== undefined ? match[1] : match[2]);
+}
+
+/**
+ * Get the text of the first element with a tag name
+ * Markup in the text (Atom type="html" titles) is removed and whitespace collapsed
+ * @param {string} xml - Flattened XML to search
+ * @param {string} name - Tag name
+ * @returns {string} Text, or empty string if the element is missing
+ */
+function getXmlText(xml, name) {
+  const elements = findXmlElements(xml, name);
+  if (elements.length === 0) return '';
+
+  // Decode twice: escaped HTML decodes to markup, which is stripped before its own entities are decoded
+  const text = decodeXmlEntities(elements[0].content.replace(/<[^>]*>/g, ''));
+  return decodeXmlEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a feed link to an absolute URL
+ * @param {string} link - Link as written in the feed
+ * @param {string} baseUrl - URL relative links resolve against
+ * @returns {string} Absolute URL, or empty string if invalid
+ */
+function resolveFeedLink(link, baseUrl) {
+  if (!link) return '';
+  try {
+    return new URL(link.trim(), baseUrl || undefined).href;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Pick the post link of an Atom entry or feed (rel="alternate" or no rel)
+ * @param {string} xml - Flattened entry or feed header XML
+ * @returns {string} href, or empty string if none
+ */
+function getAtomLink(xml) {
+  const links = findXmlElements(xml, 'link');
+  for (let i = 0; i < links.length; i++) {
+    const rel = getXmlAttribute(links[i].attributes, 'rel');
+    const href = getXmlAttribute(links[i].attributes, 'href');
+    if (href && (rel === null || rel === 'alternate')) {
+      return href;
+    }
+  }
+  return '';
+}
+
+/**
+ * Build an article from a feed entry's fields, in the shape extractArticles produces
+ * @param {string} link - Entry link
+ * @param {string} title - Entry title
+ * @param {string} dateValue - Entry date as written in the feed
+ * @param {string} baseUrl - URL relative links resolve against
+ * @returns {Object|null} Article, or null without URL or title
+ */
+function createFeedArticle(link, title, dateValue, baseUrl) {
+  const url = resolveFeedLink(link, baseUrl);
+  if (!url || !title || !validateUrl(url)) return null;
+
+  return {
+    url: url,
+    title: title,
+    publishedDate: parseLethainDate(dateValue),
+    dateText: dateValue
+  };
+}
+
+/**
+ * Parse the items of an RSS 2.0 (or RSS 1.0/RDF) feed
+ * @param {string} xml - Flattened feed XML
+ * @param {string} baseUrl - URL relative links resolve against ('' to use the channel link)
+ * @returns {Array<Object>} Articles
+ */
+function parseRssItems(xml, baseUrl) {
+  const firstItem = xml.search(/<item[\s>]/);
+  const channel = firstItem === -1 ? xml : xml.slice(0, firstItem);
+  const base = baseUrl || resolveFeedLink(getXmlText(channel, 'link'), getSiteBaseUrl()) || getSiteBaseUrl();
+
+  const items = findXmlElements(xml, 'item');
+  const articles = [];
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i].content;
+
+    let link = getXmlText(item, 'link');
+    if (!link) {
+      // <guid> is the post URL unless marked isPermaLink="false"
+      const guids = findXmlElements(item, 'guid');
+      if (guids.length > 0 && getXmlAttribute(guids[0].attributes, 'isPermaLink') !== 'false') {
+        link = getXmlText(item, 'guid');
+      }
+    }
+
+    const article = createFeedArticle(link, getXmlText(item, 'title'),
+      getXmlText(item, 'pubDate') || getXmlText(item, 'dc:date'), base);
+    if (article) {
+      articles.push(article);
+    }
+  }
+  return articles;
+}
+
+/**
+ * Parse the entries of an Atom feed
+ * @param {string} xml - Flattened feed XML
+ * @param {string} baseUrl - URL relative links resolve against ('' to use the feed link)
+ * @returns {Array<Object>} Articles
+ */
+function parseAtomEntries(xml, baseUrl) {
+  const firstEntry = xml.search(/<entry[\s>]/);
+  const header = firstEntry === -1 ? xml : xml.slice(0, firstEntry);
+  const base = baseUrl || resolveFeedLink(getAtomLink(header), getSiteBaseUrl()) || getSiteBaseUrl();
+
+  const entries = findXmlElements(xml, 'entry');
+  const articles = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i].content;
+    const article = createFeedArticle(getAtomLink(entry), getXmlText(entry, 'title'),
+      getXmlText(entry, 'published') || getXmlText(entry, 'updated'), base);
+    if (article) {
+      articles.push(article);
+    }
+  }
+  return articles;
+}
+
+/**
+ * Parse an RSS 2.0 or Atom feed into articles
+ * Entries without link or title are skipped; dates go through parseLethainDate like list dates
+ * @param {string} xml - Feed XML text
+ * @param {string} [baseUrl=''] - URL relative links resolve against (default: the feed's own link)
+ * @returns {{format: string, articles: Array<Object>}} Feed format ('rss' or 'atom') and articles
+ *                                                     ({url, title, publishedDate, dateText}, like extractArticles)
+ * @throws {Error} If the text isn't an RSS or Atom feed
+ */
+function parseFeed(xml, baseUrl = '') {
+  if (typeof xml !== 'string') {
+    throw new Error('parseFeed: xml must be a string');
+  }
+
+  const flattened = flattenXml(xml);
+  if (/<(?:rss|rdf:RDF)[\s>]/.test(flattened)) {
+    return { format: 'rss', articles: parseRssItems(flattened, baseUrl) };
+  }
+  if (/<feed[\s>]/.test(flattened)) {
+    return { format: 'atom', articles: parseAtomEntries(flattened, baseUrl) };
+  }
+
+  throw new Error('Not an RSS or Atom feed');
+}
+
+/**
+ * Parse a feed and add its new articles to storage (existing articles are left untouched)
+ * @param {string} xml - Feed XML text
+ * @param {string} [baseUrl=''] - URL relative links resolve against (default: the feed's own link)
+ * @returns {Promise<{format: string, found: number, added: number}>} Entries found and articles added
+ * @throws {Error} If the text isn't a feed or the storage backend fails
+ */
+async function ingestFeed(xml, baseUrl = '') {
+  const { format, articles } = parseFeed(xml, baseUrl);
+  const added = articles.length > 0 ? await Storage.syncArticles(articles) : 0;
+  return { format, found: articles.length, added };
+}
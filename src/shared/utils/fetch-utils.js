@@ -0,0 +1,21 @@
+// Network helpers for the service worker (feeds, sitemaps, post pages)
+
+/**
+ * Fetch a URL as text
+ * @param {string} url - URL to fetch (must be covered by host_permissions)
+ * @returns {Promise<string>} Response body
+ * @throws {Error} If the request fails, times out (CONFIG.timeouts.fetch) or returns an error status
+ */
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), CONFIG.timeouts.fetch);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${url}`);
+    }
+    return await response.text();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
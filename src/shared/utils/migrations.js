@@ -0,0 +1,352 @@
+// Article record schema migrations
+// Upgrades stored article records (and imported backups) to CONFIG.schema.version
+// and moves them to the preferred storage backend
+
+/**
+ * Migration registry, ordered by target version
+ *
+ * Schema history:
+ * - v1: original bare record { url, title, publishedDate, dateText, isRead, readDate }
+ * - v2: adds schemaVersion marker and normalizes field types
+ * - v3: adds tags array
+ * - v4: adds notes string
+ * - v5: adds reading status (unread, in_progress, read, skipped) derived from isRead
+ * - v6: adds reading progress percentage
+ * - v7: parses publishedDate into an ISO date (original text kept in dateText)
+ * - v8: adds the site namespace (site adapter id derived from the URL)
+ * - v9: adds post metadata (word count, reading time, categories, series; null until the post is visited)
+ * - v10: adds the series assignment (null until Storage.refreshSeries groups the articles)
+ *
+ * Each entry upgrades a record from (version - 1) to version.
+ * Migrations must preserve fields they don't know about.
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add schemaVersion marker and normalize field types',
+    migrate(article) {
+      const isRead = article.isRead === true;
+      return {
+        ...article,
+        url: normalizeUrl(article.url),
+        title: typeof article.title === 'string' ? article.title : '',
+        publishedDate: typeof article.publishedDate === 'string' ? article.publishedDate : '',
+        dateText: typeof article.dateText === 'string' ? article.dateText : '',
+        isRead: isRead,
+        readDate: isRead && typeof article.readDate === 'string' ? article.readDate : null
+      };
+    }
+  },
+  {
+    version: 3,
+    description: 'Add tags array',
+    migrate(article) {
+      return {
+        ...article,
+        tags: normalizeTags(article.tags)
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Add notes string',
+    migrate(article) {
+      return {
+        ...article,
+        notes: typeof article.notes === 'string' ? article.notes : ''
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Add reading status derived from isRead',
+    migrate(article) {
+      return {
+        ...article,
+        status: getArticleStatus(article)
+      };
+    }
+  },
+  {
+    version: 6,
+    description: 'Add reading progress percentage',
+    migrate(article) {
+      return {
+        ...article,
+        progress: normalizeProgress(article.progress)
+      };
+    }
+  },
+  {
+    version: 7,
+    description: 'Parse publishedDate into an ISO date, keeping the original text in dateText',
+    migrate(article) {
+      return {
+        ...article,
+        publishedDate: getPublishedDate(article),
+        dateText: article.dateText || article.publishedDate || ''
+      };
+    }
+  },
+  {
+    version: 8,
+    description: 'Add site namespace derived from the URL',
+    migrate(article) {
+      return {
+        ...article,
+        site: getSiteIdForUrl(article.url)
+      };
+    }
+  },
+  {
+    version: 9,
+    description: 'Add post metadata',
+    migrate(article) {
+      return {
+        ...article,
+        metadata: normalizeArticleMetadata(article.metadata)
+      };
+    }
+  },
+  {
+    version: 10,
+    description: 'Add series assignment',
+    migrate(article) {
+      return {
+        ...article,
+        series: normalizeArticleSeries(article.series)
+      };
+    }
+  }
+];
+
+/**
+ * Get schema version of an article record
+ * Records without a marker were written before versioning existed (v1)
+ * @param {Object} article - Article record
+ * @returns {number} Schema version
+ */
+function getArticleSchemaVersion(article) {
+  if (article && Number.isInteger(article.schemaVersion)) {
+    return article.schemaVersion;
+  }
+  return 1;
+}
+
+/**
+ * Upgrade a single article record to the current schema version
+ * @param {Object} article - Article record
+ * @param {number} [fromVersion=1] - Version to assume when the record has no marker (e.g. backup file version)
+ * @returns {Object|null} Upgraded record, or null if the record is newer than this extension supports
+ */
+function migrateArticle(article, fromVersion = 1) {
+  if (!article || typeof article !== 'object' || Array.isArray(article)) {
+    Logger.warn('migrateArticle: article must be an object', article);
+    return null;
+  }
+
+  const startVersion = Number.isInteger(article.schemaVersion) ? article.schemaVersion : fromVersion;
+
+  if (startVersion > CONFIG.schema.version) {
+    Logger.warn(`migrateArticle: schema v${startVersion} is newer than supported v${CONFIG.schema.version}`, article);
+    return null;
+  }
+
+  let migrated = article;
+  for (let i = 0; i < MIGRATIONS.length; i++) {
+    const migration = MIGRATIONS[i];
+    if (migration.version > startVersion) {
+      migrated = migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    }
+  }
+
+  return migrated;
+}
+
+const Migrations = {
+  /**
+   * Get schema version marker stored in chrome.storage.local
+   * @returns {Promise<number>} Stored schema version (1 if no marker exists)
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getStoredVersion() {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.get([CONFIG.storage.schemaVersionKey], (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(result[CONFIG.storage.schemaVersionKey] || 1);
+        }
+      });
+    });
+  },
+
+  /**
+   * Set schema version marker in chrome.storage.local
+   * @param {number} version - Schema version
+   * @returns {Promise<void>}
+   * @throws {Error} If chrome.storage.local.set fails
+   */
+  async setStoredVersion(version) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ [CONFIG.storage.schemaVersionKey]: version }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  },
+
+  /**
+   * Rewrite every outdated article record to the current schema version
+   *
+   * Records are written in batches of CONFIG.schema.migrationBatchSize so a
+   * large library doesn't produce a single oversized storage write. The version
+   * marker is only updated after all batches succeed, so an interrupted run is
+   * resumed on the next onInstalled event.
+   *
+   * @returns {Promise<{fromVersion: number, toVersion: number, migrated: number, failed: number}>} Migration summary
+   * @throws {Error} If the storage backend fails
+   */
+  async run() {
+    // Writes from other contexts queue behind the upgrade
+    return runExclusive(async () => {
+      const fromVersion = await this.getStoredVersion();
+      const toVersion = CONFIG.schema.version;
+
+      if (fromVersion >= toVersion) {
+        Logger.debug(`Schema is up to date (v${fromVersion})`);
+        return { fromVersion, toVersion, migrated: 0, failed: 0 };
+      }
+
+      const adapter = await getStorageAdapter();
+      const articles = await adapter.getAllArticles();
+
+      const outdated = [];
+      for (let i = 0; i < articles.length; i++) {
+        if (getArticleSchemaVersion(articles[i]) < toVersion) {
+          outdated.push(articles[i]);
+        }
+      }
+
+      let migrated = 0;
+      let failed = 0;
+      const batchSize = CONFIG.schema.migrationBatchSize;
+
+      for (let start = 0; start < outdated.length; start += batchSize) {
+        const batch = [];
+        const end = Math.min(start + batchSize, outdated.length);
+
+        for (let i = start; i < end; i++) {
+          const upgraded = migrateArticle(outdated[i]);
+
+          if (upgraded && validateArticleStructure(upgraded)) {
+            batch.push(upgraded);
+            migrated++;
+          } else {
+            Logger.warn(`Skipping article that could not be migrated: ${outdated[i] && outdated[i].url}`, outdated[i]);
+            failed++;
+          }
+        }
+
+        if (batch.length > 0) {
+          await adapter.putArticles(batch);
+        }
+      }
+
+      await this.setStoredVersion(toVersion);
+      Logger.info(`Migrated ${migrated} articles from schema v${fromVersion} to v${toVersion} (${failed} failed)`);
+
+      return { fromVersion, toVersion, migrated, failed };
+    });
+  },
+
+  /**
+   * Rewrite a page filter stored as a status string (before filters had ranges) as a filter object
+   * @returns {Promise<boolean>} True if the stored filter was rewritten
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async migratePageFilter() {
+    const result = await storageGet([CONFIG.storage.filterKey]);
+    const stored = result[CONFIG.storage.filterKey];
+    if (typeof stored !== 'string') {
+      return false;
+    }
+
+    await Storage.setPageFilter(normalizePageFilter(stored));
+    Logger.info(`Migrated page filter "${stored}" to a filter object`);
+    return true;
+  },
+
+  /**
+   * Move articles and history to the preferred backend (CONFIG.storage.backend)
+   *
+   * Runs once per backend change, in the storage write queue so storage operations
+   * (which all run in the service worker) wait for it. Records are copied in batches of CONFIG.storage.migrationBatchSize,
+   * then the backend marker is switched (other contexts follow it through onChanged).
+   * Records written to the old backend while copying are copied again before the old
+   * backend is cleared. An interrupted run leaves the marker untouched and starts over.
+   *
+   * @returns {Promise<{from: string, to: string, articles: number, history: number}>} Migration summary
+   * @throws {Error} If either backend fails
+   */
+  async migrateBackend() {
+    return runExclusive(async () => {
+      const sourceAdapter = await getStorageAdapter();
+      const from = sourceAdapter.name;
+      const to = CONFIG.storage.backend;
+
+      if (from === to) {
+        Logger.debug(`Storage backend is up to date (${from})`);
+        return { from, to, articles: 0, history: 0 };
+      }
+
+      const targetAdapter = getAdapterForBackend(to);
+      const articles = await sourceAdapter.getAllArticles();
+      const logs = await sourceAdapter.getAllHistory();
+      const historyUrls = Object.keys(logs);
+      const batchSize = CONFIG.storage.migrationBatchSize;
+
+      for (let start = 0; start < articles.length; start += batchSize) {
+        await targetAdapter.bulkLoad(articles.slice(start, start + batchSize), {});
+      }
+
+      for (let start = 0; start < historyUrls.length; start += batchSize) {
+        const batch = {};
+        const end = Math.min(start + batchSize, historyUrls.length);
+        for (let i = start; i < end; i++) {
+          batch[historyUrls[i]] = logs[historyUrls[i]];
+        }
+        await targetAdapter.bulkLoad([], batch);
+      }
+
+      await storageSet({ [CONFIG.storage.backendKey]: to });
+      setActiveBackend(to);
+
+      // Catch up on writes other contexts made to the old backend while copying
+      const copied = new Map();
+      for (let i = 0; i < articles.length; i++) {
+        copied.set(articles[i].url, JSON.stringify(articles[i]));
+      }
+      const latest = await sourceAdapter.getAllArticles();
+      const late = [];
+      for (let i = 0; i < latest.length; i++) {
+        if (copied.get(latest[i].url) !== JSON.stringify(latest[i])) {
+          late.push(latest[i]);
+        }
+      }
+      if (late.length > 0) {
+        await targetAdapter.putArticles(late);
+      }
+
+      await sourceAdapter.clearAll();
+      Logger.info(`Moved ${articles.length} articles and ${historyUrls.length} history logs from ${from} to ${to}`);
+
+      return { from, to, articles: articles.length, history: historyUrls.length };
+    });
+  }
+};
@@ -0,0 +1,268 @@
+// Page filter object: reading status plus optional published-year and read-date ranges
+// Stored under CONFIG.storage.filterKey (see Storage.getPageFilter); older versions stored
+// only the status string, which normalizePageFilter still accepts.
+//
+// {
+//   status: string,                                    // CONFIG.filters value
+//   publishedYears: { from: number|null, to: number|null }, // inclusive, by publishedDate
+//   readDates: { from: string|null, to: string|null }      // inclusive YYYY-MM-DD, local dates of readDate
+// }
+
+/**
+ * Create a page filter showing everything, with optional fields set
+ * @param {Object} [fields={}] - Filter fields to set (normalized)
+ * @returns {Object} Page filter
+ */
+function createPageFilter(fields = {}) {
+  return normalizePageFilter({
+    status: CONFIG.filters.all,
+    publishedYears: { from: null, to: null },
+    readDates: { from: null, to: null },
+    ...fields
+  });
+}
+
+/**
+ * Normalize a year bound
+ * @param {*} value - Year (number or numeric string)
+ * @returns {number|null} Four-digit year, or null if empty or invalid
+ */
+function normalizeFilterYear(value) {
+  const year = typeof value === 'string' ? parseInt(value, 10) : value;
+  return Number.isInteger(year) && year >= 1000 && year <= 9999 ? year : null;
+}
+
+/**
+ * Normalize a date bound
+ * @param {*} value - Date string
+ * @returns {string|null} YYYY-MM-DD date, or null if empty or invalid
+ */
+function normalizeFilterDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+}
+
+/**
+ * Normalize a range, swapping bounds given in the wrong order
+ * @param {Object|null} range - Range with from/to
+ * @param {Function} normalizeBound - Bound normalizer
+ * @returns {{from: *, to: *}} Normalized range (missing bounds are null)
+ */
+function normalizeFilterRange(range, normalizeBound) {
+  let from = normalizeBound(range && range.from);
+  let to = normalizeBound(range && range.to);
+  if (from !== null && to !== null && from > to) {
+    [from, to] = [to, from];
+  }
+  return { from, to };
+}
+
+/**
+ * Normalize a stored or requested page filter
+ * Accepts the legacy status string stored by older versions
+ * @param {Object|string|null} filter - Page filter
+ * @returns {Object} Page filter with every field set
+ */
+function normalizePageFilter(filter) {
+  if (typeof filter === 'string') {
+    filter = { status: filter };
+  }
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    filter = {};
+  }
+
+  const statuses = Object.values(CONFIG.filters);
+  return {
+    status: statuses.includes(filter.status) ? filter.status : CONFIG.filters.all,
+    publishedYears: normalizeFilterRange(filter.publishedYears, normalizeFilterYear),
+    readDates: normalizeFilterRange(filter.readDates, normalizeFilterDate)
+  };
+}
+
+/**
+ * Check whether a page filter shows every article
+ * @param {Object} filter - Normalized page filter
+ * @returns {boolean} True if no status or range applies
+ */
+function isDefaultPageFilter(filter) {
+  return filter.status === CONFIG.filters.all &&
+    filter.publishedYears.from === null && filter.publishedYears.to === null &&
+    filter.readDates.from === null && filter.readDates.to === null;
+}
+
+/**
+ * Format a timestamp as a local YYYY-MM-DD date
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string|null} Local date, or null if the timestamp is invalid
+ */
+function toLocalIsoDate(timestamp) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return null;
+
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check whether a value is inside an inclusive range (open bounds are null)
+ * @param {*} value - Value to check (null never matches a bounded range)
+ * @param {{from: *, to: *}} range - Range
+ * @returns {boolean} True if inside the range
+ */
+function isInFilterRange(value, range) {
+  if (range.from === null && range.to === null) return true;
+  if (value === null) return false;
+  return (range.from === null || value >= range.from) && (range.to === null || value <= range.to);
+}
+
+/**
+ * Check whether an article passes a page filter
+ * Undated articles fail a published-year range; articles never read fail a read-date range
+ * @param {Object|null} article - Article object (null for articles not stored yet)
+ * @param {Object} filter - Normalized page filter
+ * @returns {boolean} True if the article should be shown
+ */
+function matchesPageFilter(article, filter) {
+  // Status filters share their values with CONFIG.statuses
+  if (filter.status !== CONFIG.filters.all && getArticleStatus(article) !== filter.status) {
+    return false;
+  }
+
+  const publishedDate = article ? getPublishedDate(article) : null;
+  const year = publishedDate ? parseInt(publishedDate.slice(0, 4), 10) : null;
+  if (!isInFilterRange(year, filter.publishedYears)) {
+    return false;
+  }
+
+  const readDate = article && article.readDate ? toLocalIsoDate(article.readDate) : null;
+  return isInFilterRange(readDate, filter.readDates);
+}
+
+// A filter view is everything the filter control shows: the page filter plus the tag,
+// series and search filters. Presets and filter links (#lethain-filter=...) store views.
+//
+// { filter: Object, tags: Array<string>, series: string, searchQuery: string }
+
+/**
+ * Hash parameter that marks a filter link (holds the status; see formatFilterHash)
+ * @type {string}
+ */
+const FILTER_HASH_KEY = 'lethain-filter';
+
+/**
+ * Normalize a filter view
+ * @param {Object|null} view - Filter view (missing fields show everything)
+ * @returns {Object} Filter view with every field set
+ */
+function normalizeFilterView(view) {
+  if (!view || typeof view !== 'object') {
+    view = {};
+  }
+  return {
+    filter: normalizePageFilter(view.filter),
+    tags: normalizeTags(view.tags),
+    series: typeof view.series === 'string' ? view.series : '',
+    searchQuery: typeof view.searchQuery === 'string' ? view.searchQuery : ''
+  };
+}
+
+/**
+ * Check whether a filter view shows every article
+ * @param {Object} view - Filter view
+ * @returns {boolean} True if no filter applies
+ */
+function isDefaultFilterView(view) {
+  const normalized = normalizeFilterView(view);
+  return isDefaultPageFilter(normalized.filter) && normalized.tags.length === 0 &&
+    !normalized.series && !normalized.searchQuery.trim();
+}
+
+/**
+ * Check whether two filter views show the same articles (preset names are ignored)
+ * @param {Object} a - Filter view
+ * @param {Object} b - Filter view
+ * @returns {boolean} True if equal once normalized
+ */
+function isSameFilterView(a, b) {
+  return JSON.stringify(normalizeFilterView(a)) === JSON.stringify(normalizeFilterView(b));
+}
+
+/**
+ * Normalize a filter preset (a named filter view)
+ * @param {Object} preset - Preset with name and view fields
+ * @returns {Object|null} Preset ({ name, filter, tags, series, searchQuery }), or null without a name
+ */
+function normalizeFilterPreset(preset) {
+  const name = preset && typeof preset.name === 'string' ? preset.name.trim() : '';
+  if (!name) return null;
+  return { name: name, ...normalizeFilterView(preset) };
+}
+
+/**
+ * Format a range for a filter link: "2020" for a single value, "2019..2021", "2019.." or "..2021"
+ * @param {{from: *, to: *}} range - Normalized range
+ * @returns {string} Range text, or empty string for an open range
+ */
+function formatFilterRange(range) {
+  if (range.from === null && range.to === null) return '';
+  if (range.from === range.to) return String(range.from);
+  return `${range.from === null ? '' : range.from}..${range.to === null ? '' : range.to}`;
+}
+
+/**
+ * Parse a range written by formatFilterRange
+ * @param {string|null} text - Range text
+ * @returns {{from: string|null, to: string|null}} Raw range (normalized by normalizePageFilter)
+ */
+function parseFilterRange(text) {
+  if (!text) return { from: null, to: null };
+  const bounds = text.split('..');
+  if (bounds.length === 1) return { from: text, to: text };
+  return { from: bounds[0] || null, to: bounds[1] || null };
+}
+
+/**
+ * Format a filter view as a URL hash
+ * e.g. "#lethain-filter=unread&year=2020&read=2024-01-01..&tags=strategy&series=...&q=..."
+ * @param {Object} view - Filter view
+ * @returns {string} Hash, including the leading "#"
+ */
+function formatFilterHash(view) {
+  const normalized = normalizeFilterView(view);
+  const params = new URLSearchParams();
+  params.set(FILTER_HASH_KEY, normalized.filter.status);
+
+  const years = formatFilterRange(normalized.filter.publishedYears);
+  if (years) params.set('year', years);
+  const readDates = formatFilterRange(normalized.filter.readDates);
+  if (readDates) params.set('read', readDates);
+  if (normalized.tags.length > 0) params.set('tags', normalized.tags.join(','));
+  if (normalized.series) params.set('series', normalized.series);
+  if (normalized.searchQuery.trim()) params.set('q', normalized.searchQuery.trim());
+
+  return `#${params.toString()}`;
+}
+
+/**
+ * Parse a filter link hash (see formatFilterHash)
+ * Parameters left out show everything, so a link always describes the whole view
+ * @param {string} hash - URL hash (with or without "#")
+ * @returns {Object|null} Filter view, or null if the hash isn't a filter link
+ */
+function parseFilterHash(hash) {
+  if (typeof hash !== 'string') return null;
+
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has(FILTER_HASH_KEY)) return null;
+
+  return normalizeFilterView({
+    filter: {
+      status: params.get(FILTER_HASH_KEY),
+      publishedYears: parseFilterRange(params.get('year')),
+      readDates: parseFilterRange(params.get('read'))
+    },
+    tags: (params.get('tags') || '').split(','),
+    series: params.get('series') || '',
+    searchQuery: params.get('q') || ''
+  });
+}
@@ -0,0 +1,117 @@
+// User selector overrides, edited on the options page
+// Stored in chrome.storage.local (CONFIG.storage.selectorOverridesKey) as adapter id -> selector
+// name -> selector, and applied over the adapters' built-in selectors by getActiveSiteAdapter.
+
+// Load of the stored overrides (see loadSelectorOverrides)
+let selectorOverridesPromise = null;
+
+/**
+ * Check whether a string is a valid CSS selector
+ * Needs a DOM (content scripts, options page); elsewhere only emptiness is checked
+ * @param {string} selector - Selector to check
+ * @returns {boolean} True if the selector parses
+ */
+function isValidSelector(selector) {
+  if (typeof selector !== 'string' || !selector.trim()) return false;
+  if (typeof document === 'undefined') return true;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Load the stored overrides into the adapter registry (once per context)
+ * Content scripts wait for this before their first DOM lookup
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local.get fails
+ */
+function loadSelectorOverrides() {
+  if (!selectorOverridesPromise) {
+    selectorOverridesPromise = SelectorOverrides.getAll()
+      .then((overrides) => {
+        setSiteSelectorOverrides(overrides);
+      })
+      .catch((error) => {
+        selectorOverridesPromise = null;
+        throw error;
+      });
+  }
+  return selectorOverridesPromise;
+}
+
+const SelectorOverrides = {
+  /**
+   * Get the stored overrides of every site
+   * @returns {Promise<Object<string, Object<string, string>>>} Adapter id -> selector name -> selector
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getAll() {
+    const result = await storageGet([CONFIG.storage.selectorOverridesKey]);
+    return result[CONFIG.storage.selectorOverridesKey] || {};
+  },
+
+  /**
+   * Replace the overrides of a site
+   * Empty selectors are dropped, so the built-in selector applies again
+   * @param {string} siteId - Adapter id
+   * @param {Object<string, string>} selectors - Selector name (CONFIG.sites.editableSelectors) -> selector
+   * @returns {Promise<Object<string, string>|null>} Stored overrides, or null if the site or a selector is invalid
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async set(siteId, selectors) {
+    if (!getSiteAdapter(siteId)) {
+      Logger.warn('SelectorOverrides.set: unknown site', siteId);
+      return null;
+    }
+
+    if (!selectors || typeof selectors !== 'object') {
+      Logger.warn('SelectorOverrides.set: selectors must be an object', selectors);
+      return null;
+    }
+
+    const valid = {};
+    for (let i = 0; i < CONFIG.sites.editableSelectors.length; i++) {
+      const name = CONFIG.sites.editableSelectors[i];
+      const selector = typeof selectors[name] === 'string' ? selectors[name].trim() : '';
+      if (!selector) continue;
+
+      if (!isValidSelector(selector)) {
+        Logger.warn(`SelectorOverrides.set: invalid selector for ${name}`, selector);
+        return null;
+      }
+      valid[name] = selector;
+    }
+
+    const overrides = await this.getAll();
+    if (Object.keys(valid).length > 0) {
+      overrides[siteId] = valid;
+    } else {
+      delete overrides[siteId];
+    }
+    await storageSet({ [CONFIG.storage.selectorOverridesKey]: overrides });
+    // Apply right away; other contexts pick the change up through onChanged
+    setSiteSelectorOverrides(overrides);
+    return valid;
+  },
+
+  /**
+   * Remove the overrides of a site (back to the built-in selectors)
+   * @param {string} siteId - Adapter id
+   * @returns {Promise<void>}
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async reset(siteId) {
+    await this.set(siteId, {});
+  }
+};
+
+// Follow overrides saved from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[CONFIG.storage.selectorOverridesKey]) {
+    setSiteSelectorOverrides(changes[CONFIG.storage.selectorOverridesKey].newValue);
+  }
+});
@@ -0,0 +1,193 @@
+// Series detection - groups multi-part posts and orders them for reading
+// Sources, most trusted first: the series link of the post page (article.metadata.series),
+// "Part N" / "(N of M)" in the title, and a "Prefix: ..." title shared by several posts.
+
+/**
+ * Part numbers written as words
+ * @type {Object<string, number>}
+ */
+const SERIES_PART_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8, ix: 9, x: 10
+};
+
+/**
+ * "Name, part 2", "Name (part 2 of 3)", "Name - Part two: subtitle"
+ * @type {RegExp}
+ */
+const SERIES_PART_PATTERN = /^(.*?)[\s,:;(–—-]*\bpart\s+(\d+|[a-z]+)\b(?:\s+of\s+\d+)?\)?(?:\s*[:,–—-].*)?$/i;
+
+/**
+ * "Name (2 of 5)"
+ * @type {RegExp}
+ */
+const SERIES_OF_PATTERN = /^(.*?)\s*\((\d+)\s+of\s+\d+\)/i;
+
+/**
+ * Turn a series name into a stable id
+ * @param {string} name - Series name
+ * @returns {string} Lowercase slug, e.g. "staff-engineer-archetypes"
+ */
+function getSeriesId(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Parse a numbered series title
+ * @param {string} title - Article title
+ * @returns {{name: string, part: number}|null} Series name and part, or null if the title isn't numbered
+ */
+function parseSeriesTitle(title) {
+  if (typeof title !== 'string') return null;
+
+  const patterns = [SERIES_PART_PATTERN, SERIES_OF_PATTERN];
+  for (let i = 0; i < patterns.length; i++) {
+    const match = title.match(patterns[i]);
+    if (!match) continue;
+
+    const part = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : SERIES_PART_WORDS[match[2].toLowerCase()];
+    const name = match[1].replace(/[\s,:;(–—-]+$/, '').trim();
+    if (part && name) {
+      return { name: name, part: part };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the "Prefix" of a "Prefix: subtitle" title
+ * @param {string} title - Article title
+ * @returns {string} Prefix (2-60 characters, at most 6 words), or empty string
+ */
+function getTitlePrefix(title) {
+  const match = typeof title === 'string' ? title.match(/^([^:]{2,60}):\s+\S/) : null;
+  if (!match) return '';
+
+  const prefix = match[1].trim();
+  return prefix.split(/\s+/).length <= 6 ? prefix : '';
+}
+
+/**
+ * Get the series an article would belong to, from the most trusted source it has
+ * An article can only ever join the series of this id, so detectArticleSeries results for
+ * one id depend only on the articles whose candidate has that id.
+ * @param {Object} article - Article
+ * @returns {{id: string, name: string, part: number|null, prefix: boolean}|null} Candidate series
+ *   (prefix: only a shared title prefix, see CONFIG.series.minPrefixPosts), or null
+ */
+function getSeriesCandidate(article) {
+  const linked = article.metadata && article.metadata.series;
+  const numbered = parseSeriesTitle(article.title);
+  let candidate = null;
+
+  if (linked && linked.name) {
+    candidate = { name: linked.name, part: linked.part || (numbered && numbered.part) || null, prefix: false };
+  } else if (numbered) {
+    candidate = { name: numbered.name, part: numbered.part, prefix: false };
+  } else {
+    const prefix = getTitlePrefix(article.title);
+    if (prefix) {
+      candidate = { name: prefix, part: null, prefix: true };
+    }
+  }
+
+  const id = candidate ? getSeriesId(candidate.name) : '';
+  return id ? { id: id, ...candidate } : null;
+}
+
+/**
+ * Compare series members for reading order: part number, then publication date (oldest first)
+ * @param {{article: Object, part: number|null}} a - Member
+ * @param {{article: Object, part: number|null}} b - Member
+ * @returns {number} Sort order for Array.prototype.sort
+ */
+function compareSeriesMembers(a, b) {
+  const partA = a.part || Infinity;
+  const partB = b.part || Infinity;
+  if (partA !== partB) return partA < partB ? -1 : 1;
+
+  // compareArticlesByDate sorts newest first; reading order is oldest first (undated still last)
+  const dateA = getPublishedDate(a.article);
+  const dateB = getPublishedDate(b.article);
+  if (dateA && dateB && dateA !== dateB) return dateA < dateB ? -1 : 1;
+  return compareArticlesByDate(a.article, b.article);
+}
+
+/**
+ * Group the articles of one site into series
+ *
+ * Numbered titles and post page series links always form a series; articles sharing a
+ * title prefix only when at least CONFIG.series.minPrefixPosts of them do (or the prefix
+ * names a series found otherwise). Members are ordered by part number, then date.
+ *
+ * @param {Array<Object>} articles - Articles of one site
+ * @returns {Map<string, Object|null>} Article URL -> { id, name, order } (null outside any series)
+ */
+function detectArticleSeries(articles) {
+  const groups = new Map();
+  const prefixGroups = new Map();
+
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    const candidate = getSeriesCandidate(article);
+    if (!candidate) continue;
+
+    const map = candidate.prefix ? prefixGroups : groups;
+    if (!map.has(candidate.id)) {
+      map.set(candidate.id, { name: candidate.name, members: [] });
+    }
+    map.get(candidate.id).members.push({ article: article, part: candidate.part });
+  }
+
+  for (const [id, group] of prefixGroups) {
+    if (groups.has(id)) {
+      groups.get(id).members.push(...group.members);
+    } else if (group.members.length >= CONFIG.series.minPrefixPosts) {
+      groups.set(id, group);
+    }
+  }
+
+  const assignments = new Map();
+  for (let i = 0; i < articles.length; i++) {
+    assignments.set(articles[i].url, null);
+  }
+  for (const [id, group] of groups) {
+    group.members.sort(compareSeriesMembers);
+    for (let i = 0; i < group.members.length; i++) {
+      assignments.set(group.members[i].article.url, { id: id, name: group.name, order: i + 1 });
+    }
+  }
+  return assignments;
+}
+
+/**
+ * Summarize a series from the articles that belong to it
+ * @param {Array<Object>} articles - Articles to look through (e.g. a site's cached articles)
+ * @param {string} seriesId - Series id
+ * @returns {{name: string, members: Array<Object>, read: number, total: number}} Members in reading order and read count
+ */
+function getSeriesProgress(articles, seriesId) {
+  const members = [];
+  let read = 0;
+  for (let i = 0; i < articles.length; i++) {
+    const series = articles[i] && articles[i].series;
+    if (series && series.id === seriesId) {
+      members.push(articles[i]);
+      if (getArticleStatus(articles[i]) === CONFIG.statuses.read) {
+        read++;
+      }
+    }
+  }
+  members.sort((a, b) => a.series.order - b.series.order);
+
+  return {
+    name: members.length > 0 ? members[0].series.name : seriesId,
+    members: members,
+    read: read,
+    total: members.length
+  };
+}
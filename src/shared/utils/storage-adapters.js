@@ -0,0 +1,865 @@
+// Storage backends for article records and history
+// Storage (storage.js) talks to one of these adapters; settings keys always stay in chrome.storage.local
+//
+// Adapter interface (all methods async; URLs are used as given, callers normalize them):
+// - getArticles(urls) -> { [url]: article } (missing articles are omitted)
+// - getAllArticles() -> Array<article> (unsorted)
+// - getArticlesByStatus(status) -> Array<article>
+// - getArticlesBySite(site) -> Array<article> (records of one site adapter, see getArticleSite)
+// - putArticles(articles) / removeArticles(urls)
+// - getHistory(urls) -> { [url]: events }, getAllHistory() -> { [url]: events }, putHistory(logs),
+//   removeHistory(urls)
+// - bulkLoad(articles, logs): write records copied from another backend without change notices
+// - clearAll(): remove every article and history record of this backend
+
+/**
+ * Get storage key for an article URL
+ * Not normalized: records written before canonicalization rules changed keep their old key
+ * @param {string} url - Article URL (as stored in the record)
+ * @returns {string} Storage key
+ */
+function getStorageKey(url) {
+  if (!url) return '';
+  return `${CONFIG.storage.prefix}${url}`;
+}
+
+/**
+ * Get storage key for an article's history log
+ * @param {string} url - Article URL (as stored in the record)
+ * @returns {string} Storage key
+ */
+function getHistoryKey(url) {
+  if (!url) return '';
+  return `${CONFIG.storage.historyPrefix}${url}`;
+}
+
+/**
+ * Read keys from chrome.storage.local
+ * @param {string|Array<string>|null} keys - Keys to read (null reads everything)
+ * @returns {Promise<Object>} Stored items
+ * @throws {Error} If chrome.storage.local.get fails (chrome.runtime.lastError message)
+ */
+function storageGet(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get(keys, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Write items to chrome.storage.local
+ * @param {Object} items - Key/value pairs to write
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local.set fails (chrome.runtime.lastError message)
+ */
+function storageSet(items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Remove keys from chrome.storage.local
+ * @param {Array<string>} keys - Keys to remove
+ * @returns {Promise<void>}
+ * @throws {Error} If chrome.storage.local.remove fails (chrome.runtime.lastError message)
+ */
+function storageRemove(keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Backend that stores every record as its own chrome.storage.local key (article_<url>, history_<url>)
+ * Other contexts learn about changes from chrome.storage.onChanged directly.
+ */
+const ChromeStorageAdapter = {
+  name: CONFIG.storage.backends.chrome,
+
+  async getArticles(urls) {
+    const keys = [];
+    for (let i = 0; i < urls.length; i++) {
+      keys.push(getStorageKey(urls[i]));
+    }
+
+    const items = await storageGet(keys);
+    const articles = {};
+    for (let i = 0; i < urls.length; i++) {
+      const article = items[keys[i]];
+      if (article) {
+        articles[urls[i]] = article;
+      }
+    }
+    return articles;
+  },
+
+  async getAllArticles() {
+    const items = await storageGet(null);
+
+    // Optimize: filter early and avoid creating intermediate arrays
+    const articles = [];
+    const prefix = CONFIG.storage.prefix;
+    const prefixLength = prefix.length;
+
+    // Use for...in loop and early filtering to avoid processing non-article keys
+    for (const key in items) {
+      // Fast prefix check using string comparison
+      if (key.length >= prefixLength && key.substring(0, prefixLength) === prefix) {
+        articles.push(items[key]);
+      }
+    }
+    return articles;
+  },
+
+  async getArticlesByStatus(status) {
+    const articles = await this.getAllArticles();
+    const matching = [];
+    for (let i = 0; i < articles.length; i++) {
+      if (getArticleStatus(articles[i]) === status) {
+        matching.push(articles[i]);
+      }
+    }
+    return matching;
+  },
+
+  async getArticlesBySite(site) {
+    const articles = await this.getAllArticles();
+    const matching = [];
+    for (let i = 0; i < articles.length; i++) {
+      if (getArticleSite(articles[i]) === site) {
+        matching.push(articles[i]);
+      }
+    }
+    return matching;
+  },
+
+  async putArticles(articles) {
+    const items = {};
+    for (let i = 0; i < articles.length; i++) {
+      items[getStorageKey(articles[i].url)] = articles[i];
+    }
+    if (Object.keys(items).length > 0) {
+      await storageSet(items);
+    }
+  },
+
+  async removeArticles(urls) {
+    const keys = [];
+    for (let i = 0; i < urls.length; i++) {
+      keys.push(getStorageKey(urls[i]));
+    }
+    if (keys.length > 0) {
+      await storageRemove(keys);
+    }
+  },
+
+  async getHistory(urls) {
+    const keys = [];
+    for (let i = 0; i < urls.length; i++) {
+      keys.push(getHistoryKey(urls[i]));
+    }
+
+    const items = await storageGet(keys);
+    const logs = {};
+    for (let i = 0; i < urls.length; i++) {
+      if (Array.isArray(items[keys[i]])) {
+        logs[urls[i]] = items[keys[i]];
+      }
+    }
+    return logs;
+  },
+
+  async getAllHistory() {
+    const items = await storageGet(null);
+    const prefix = CONFIG.storage.historyPrefix;
+    const logs = {};
+    for (const key in items) {
+      if (key.startsWith(prefix) && Array.isArray(items[key])) {
+        logs[key.substring(prefix.length)] = items[key];
+      }
+    }
+    return logs;
+  },
+
+  async putHistory(logs) {
+    const items = {};
+    for (const url in logs) {
+      items[getHistoryKey(url)] = logs[url];
+    }
+    if (Object.keys(items).length > 0) {
+      await storageSet(items);
+    }
+  },
+
+  async removeHistory(urls) {
+    const keys = [];
+    for (let i = 0; i < urls.length; i++) {
+      keys.push(getHistoryKey(urls[i]));
+    }
+    if (keys.length > 0) {
+      await storageRemove(keys);
+    }
+  },
+
+  async bulkLoad(articles, logs) {
+    await this.putArticles(articles);
+    await this.putHistory(logs);
+  },
+
+  async clearAll() {
+    const items = await storageGet(null);
+    const keys = [];
+    for (const key in items) {
+      if (key.startsWith(CONFIG.storage.prefix) || key.startsWith(CONFIG.storage.historyPrefix)) {
+        keys.push(key);
+      }
+    }
+    if (keys.length > 0) {
+      await storageRemove(keys);
+    }
+  }
+};
+
+let articleDatabasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function idbTransactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error || new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) the article database
+ *
+ * Stores:
+ * - articles: keyed by url, with indexes on publishedDate, readDate, status and site (v2)
+ * - history: { url, events } keyed by url
+ *
+ * @returns {Promise<IDBDatabase>} Open database (shared by all callers in this context)
+ */
+function openArticleDatabase() {
+  if (articleDatabasePromise) return articleDatabasePromise;
+
+  const { name, version, articleStore, historyStore } = CONFIG.storage.indexedDB;
+  const request = indexedDB.open(name, version);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(articleStore)) {
+      const store = db.createObjectStore(articleStore, { keyPath: 'url' });
+      store.createIndex('publishedDate', 'publishedDate');
+      store.createIndex('readDate', 'readDate');
+      store.createIndex('status', 'status');
+    }
+    const store = request.transaction.objectStore(articleStore);
+    if (!store.indexNames.contains('site')) {
+      store.createIndex('site', 'site');
+    }
+    if (!db.objectStoreNames.contains(historyStore)) {
+      db.createObjectStore(historyStore, { keyPath: 'url' });
+    }
+  };
+
+  articleDatabasePromise = idbRequest(request).then((db) => {
+    // Let a newer extension version upgrade the schema; reopen on next use
+    db.onversionchange = () => {
+      db.close();
+      articleDatabasePromise = null;
+    };
+    return db;
+  }).catch((error) => {
+    articleDatabasePromise = null;
+    throw error;
+  });
+
+  return articleDatabasePromise;
+}
+
+/**
+ * Summarize an article change as its reading status before and after
+ * @param {Object|undefined} oldValue - Record before the change (undefined if created)
+ * @param {Object|undefined} newValue - Record after the change (undefined if removed)
+ * @returns {{previousStatus: string|null, status: string|null}} Statuses (null when there is no record)
+ */
+function summarizeArticleChange(oldValue, newValue) {
+  return {
+    previousStatus: oldValue ? getArticleStatus(oldValue) : null,
+    status: newValue ? getArticleStatus(newValue) : null
+  };
+}
+
+/**
+ * Publish article changes so other contexts can follow them (see getArticleChanges)
+ *
+ * IndexedDB has no cross-context change events, so notices go through chrome.storage.onChanged.
+ * A notice only carries URLs and statuses, never records: an import can change thousands of
+ * articles and chrome.storage.local is limited to its default quota. Listeners read the records.
+ *
+ * Never rejects: the records are already committed, so a lost notice is logged instead of
+ * failing the write (other contexts catch up when they next read storage).
+ *
+ * @param {Object<string, {oldValue: Object|undefined, newValue: Object|undefined}>} changes - Changes by URL
+ * @returns {Promise<void>}
+ */
+async function publishArticleChanges(changes) {
+  const urls = Object.keys(changes);
+  if (urls.length === 0) return;
+
+  const summary = {};
+  for (let i = 0; i < urls.length; i++) {
+    summary[urls[i]] = summarizeArticleChange(changes[urls[i]].oldValue, changes[urls[i]].newValue);
+  }
+
+  try {
+    await storageSet({
+      [CONFIG.storage.changesKey]: {
+        // Unique per notice so identical consecutive changes still fire onChanged
+        id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+        changes: summary
+      }
+    });
+  } catch (error) {
+    Logger.error(`Error publishing changes of ${urls.length} articles:`, error);
+  }
+}
+
+/**
+ * Write article records in one IndexedDB transaction
+ * @param {Array<Object>} articles - Article records (later duplicates win)
+ * @returns {Promise<Object>} Changes by URL with the replaced and written records
+ */
+async function writeIndexedDBArticles(articles) {
+  const byUrl = new Map();
+  for (let i = 0; i < articles.length; i++) {
+    byUrl.set(articles[i].url, articles[i]);
+  }
+
+  const changes = {};
+  if (byUrl.size === 0) return changes;
+
+  const db = await openArticleDatabase();
+  const transaction = db.transaction(CONFIG.storage.indexedDB.articleStore, 'readwrite');
+  const store = transaction.objectStore(CONFIG.storage.indexedDB.articleStore);
+
+  byUrl.forEach((article, url) => {
+    const request = store.get(url);
+    request.onsuccess = () => {
+      changes[url] = { oldValue: request.result, newValue: article };
+      store.put(article);
+    };
+  });
+
+  await idbTransactionDone(transaction);
+  return changes;
+}
+
+/**
+ * Write history logs in one IndexedDB transaction
+ * @param {Object<string, Array<Object>>} logs - Events by URL
+ * @returns {Promise<void>}
+ */
+async function writeIndexedDBHistory(logs) {
+  const urls = Object.keys(logs);
+  if (urls.length === 0) return;
+
+  const db = await openArticleDatabase();
+  const transaction = db.transaction(CONFIG.storage.indexedDB.historyStore, 'readwrite');
+  const store = transaction.objectStore(CONFIG.storage.indexedDB.historyStore);
+  for (let i = 0; i < urls.length; i++) {
+    store.put({ url: urls[i], events: logs[urls[i]] });
+  }
+  await idbTransactionDone(transaction);
+}
+
+/**
+ * Read records by key from one IndexedDB store
+ * @param {string} storeName - Object store name
+ * @param {Array<string>} urls - Record keys
+ * @returns {Promise<Array<Object|undefined>>} Records in the order of urls
+ */
+async function readIndexedDBRecords(storeName, urls) {
+  if (urls.length === 0) return [];
+
+  const db = await openArticleDatabase();
+  const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+  const requests = [];
+  for (let i = 0; i < urls.length; i++) {
+    requests.push(idbRequest(store.get(urls[i])));
+  }
+  return Promise.all(requests);
+}
+
+/**
+ * Backend that stores articles and history in IndexedDB
+ * Only usable from extension pages and the service worker: in content scripts
+ * indexedDB belongs to the web page's origin, so they go through MessageStorageAdapter.
+ */
+const IndexedDBAdapter = {
+  name: CONFIG.storage.backends.indexedDB,
+
+  async getArticles(urls) {
+    const records = await readIndexedDBRecords(CONFIG.storage.indexedDB.articleStore, urls);
+    const articles = {};
+    for (let i = 0; i < records.length; i++) {
+      if (records[i]) {
+        articles[records[i].url] = records[i];
+      }
+    }
+    return articles;
+  },
+
+  async getAllArticles() {
+    const db = await openArticleDatabase();
+    const store = db.transaction(CONFIG.storage.indexedDB.articleStore, 'readonly')
+      .objectStore(CONFIG.storage.indexedDB.articleStore);
+    return idbRequest(store.getAll());
+  },
+
+  async getArticlesByStatus(status) {
+    const db = await openArticleDatabase();
+    const store = db.transaction(CONFIG.storage.indexedDB.articleStore, 'readonly')
+      .objectStore(CONFIG.storage.indexedDB.articleStore);
+    return idbRequest(store.index('status').getAll(status));
+  },
+
+  async getArticlesBySite(site) {
+    const db = await openArticleDatabase();
+    const store = db.transaction(CONFIG.storage.indexedDB.articleStore, 'readonly')
+      .objectStore(CONFIG.storage.indexedDB.articleStore);
+    return idbRequest(store.index('site').getAll(site));
+  },
+
+  async putArticles(articles) {
+    const changes = await writeIndexedDBArticles(articles);
+    await publishArticleChanges(changes);
+  },
+
+  async removeArticles(urls) {
+    if (urls.length === 0) return;
+
+    const existing = await this.getArticles(urls);
+    const db = await openArticleDatabase();
+    const transaction = db.transaction(CONFIG.storage.indexedDB.articleStore, 'readwrite');
+    const store = transaction.objectStore(CONFIG.storage.indexedDB.articleStore);
+    const changes = {};
+    for (let i = 0; i < urls.length; i++) {
+      store.delete(urls[i]);
+      if (existing[urls[i]]) {
+        changes[urls[i]] = { oldValue: existing[urls[i]], newValue: undefined };
+      }
+    }
+    await idbTransactionDone(transaction);
+    await publishArticleChanges(changes);
+  },
+
+  async getHistory(urls) {
+    const records = await readIndexedDBRecords(CONFIG.storage.indexedDB.historyStore, urls);
+    const logs = {};
+    for (let i = 0; i < records.length; i++) {
+      if (records[i] && Array.isArray(records[i].events)) {
+        logs[records[i].url] = records[i].events;
+      }
+    }
+    return logs;
+  },
+
+  async getAllHistory() {
+    const db = await openArticleDatabase();
+    const store = db.transaction(CONFIG.storage.indexedDB.historyStore, 'readonly')
+      .objectStore(CONFIG.storage.indexedDB.historyStore);
+    const records = await idbRequest(store.getAll());
+    const logs = {};
+    for (let i = 0; i < records.length; i++) {
+      logs[records[i].url] = records[i].events;
+    }
+    return logs;
+  },
+
+  async putHistory(logs) {
+    await writeIndexedDBHistory(logs);
+  },
+
+  async removeHistory(urls) {
+    if (urls.length === 0) return;
+
+    const db = await openArticleDatabase();
+    const transaction = db.transaction(CONFIG.storage.indexedDB.historyStore, 'readwrite');
+    const store = transaction.objectStore(CONFIG.storage.indexedDB.historyStore);
+    for (let i = 0; i < urls.length; i++) {
+      store.delete(urls[i]);
+    }
+    await idbTransactionDone(transaction);
+  },
+
+  async bulkLoad(articles, logs) {
+    await writeIndexedDBArticles(articles);
+    await writeIndexedDBHistory(logs);
+  },
+
+  async clearAll() {
+    const { articleStore, historyStore } = CONFIG.storage.indexedDB;
+    const db = await openArticleDatabase();
+    const transaction = db.transaction([articleStore, historyStore], 'readwrite');
+    transaction.objectStore(articleStore).clear();
+    transaction.objectStore(historyStore).clear();
+    await idbTransactionDone(transaction);
+  }
+};
+
+/**
+ * Create an adapter bound to one IndexedDB readwrite transaction over the article and history stores
+ * Same interface as IndexedDBAdapter (without bulkLoad and clearAll); article writes are
+ * recorded in changes instead of being published right away.
+ * @param {IDBTransaction} transaction - Readwrite transaction over both stores
+ * @param {Object<string, {oldValue: Object|undefined, newValue: Object|undefined}>} changes - Receives the article changes by URL
+ * @returns {Object} Transaction adapter
+ */
+function createIndexedDBTransactionAdapter(transaction, changes) {
+  const articles = transaction.objectStore(CONFIG.storage.indexedDB.articleStore);
+  const history = transaction.objectStore(CONFIG.storage.indexedDB.historyStore);
+
+  // Keep the state before the transaction when a record changes twice
+  const recordChange = (url, oldValue, newValue) => {
+    changes[url] = { oldValue: url in changes ? changes[url].oldValue : oldValue, newValue: newValue };
+  };
+
+  return {
+    name: CONFIG.storage.backends.indexedDB,
+
+    async getArticles(urls) {
+      const records = await Promise.all(urls.map(url => idbRequest(articles.get(url))));
+      const result = {};
+      for (let i = 0; i < records.length; i++) {
+        if (records[i]) {
+          result[records[i].url] = records[i];
+        }
+      }
+      return result;
+    },
+
+    async getAllArticles() {
+      return idbRequest(articles.getAll());
+    },
+
+    async getArticlesByStatus(status) {
+      return idbRequest(articles.index('status').getAll(status));
+    },
+
+    async getArticlesBySite(site) {
+      return idbRequest(articles.index('site').getAll(site));
+    },
+
+    async putArticles(records) {
+      const byUrl = new Map();
+      for (let i = 0; i < records.length; i++) {
+        byUrl.set(records[i].url, records[i]);
+      }
+      await Promise.all(Array.from(byUrl, async ([url, article]) => {
+        const previous = await idbRequest(articles.get(url));
+        await idbRequest(articles.put(article));
+        recordChange(url, previous, article);
+      }));
+    },
+
+    async removeArticles(urls) {
+      await Promise.all(urls.map(async (url) => {
+        const previous = await idbRequest(articles.get(url));
+        if (!previous) return;
+        await idbRequest(articles.delete(url));
+        recordChange(url, previous, undefined);
+      }));
+    },
+
+    async getHistory(urls) {
+      const records = await Promise.all(urls.map(url => idbRequest(history.get(url))));
+      const logs = {};
+      for (let i = 0; i < records.length; i++) {
+        if (records[i] && Array.isArray(records[i].events)) {
+          logs[records[i].url] = records[i].events;
+        }
+      }
+      return logs;
+    },
+
+    async getAllHistory() {
+      const records = await idbRequest(history.getAll());
+      const logs = {};
+      for (let i = 0; i < records.length; i++) {
+        logs[records[i].url] = records[i].events;
+      }
+      return logs;
+    },
+
+    async putHistory(logs) {
+      await Promise.all(Object.keys(logs).map(url => idbRequest(history.put({ url: url, events: logs[url] }))));
+    },
+
+    async removeHistory(urls) {
+      await Promise.all(urls.map(url => idbRequest(history.delete(url))));
+    }
+  };
+}
+
+/**
+ * Run a function inside one IndexedDB readwrite transaction over the article and history stores
+ *
+ * Every read and write made through the adapter passed to run commits together, or not at
+ * all if run throws. IndexedDB commits a transaction once it has no pending request at the
+ * end of a task, so run may only await the adapter (and promises that settle within the
+ * same task): awaiting chrome.storage or a timer ends the transaction and the next request
+ * fails with TransactionInactiveError. Change notices are published after the commit.
+ *
+ * @param {Function} run - Async function receiving the transaction adapter
+ * @returns {Promise<*>} Result of run
+ * @throws {Error} If run throws or the transaction fails
+ */
+async function runIndexedDBTransaction(run) {
+  const { articleStore, historyStore } = CONFIG.storage.indexedDB;
+  const db = await openArticleDatabase();
+  const transaction = db.transaction([articleStore, historyStore], 'readwrite');
+  const done = idbTransactionDone(transaction);
+  // Awaited below; don't report an abort as unhandled while run is still going
+  done.catch(() => {});
+
+  const changes = {};
+  let result;
+  try {
+    result = await run(createIndexedDBTransactionAdapter(transaction, changes));
+  } catch (error) {
+    try {
+      transaction.abort();
+    } catch (abortError) {
+      // Already committed or aborted
+    }
+    throw error;
+  }
+
+  await done;
+  await publishArticleChanges(changes);
+  return result;
+}
+
+/**
+ * Adapter methods content scripts may call through the service worker
+ * Only reads: writes are storage operations that run in the service worker (see runStorageOperation)
+ * @type {Array<string>}
+ */
+const REMOTE_ADAPTER_METHODS = [
+  'getArticles',
+  'getAllArticles',
+  'getArticlesByStatus',
+  'getArticlesBySite',
+  'getHistory'
+];
+
+/**
+ * Call an IndexedDBAdapter method in the service worker
+ * @param {string} method - Adapter method name
+ * @param {Array} args - Method arguments (must be JSON-serializable)
+ * @returns {Promise<*>} Method result
+ * @throws {Error} If the service worker can't be reached or the method fails
+ */
+function callRemoteAdapter(method, args) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'storageAdapter', method, args }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || response.error) {
+        reject(new Error((response && response.error) || `storageAdapter.${method}: no response`));
+      } else {
+        resolve(response.result);
+      }
+    });
+  });
+}
+
+/**
+ * Read-only proxy to IndexedDBAdapter in the service worker (for content scripts)
+ * @type {Object}
+ */
+const MessageStorageAdapter = { name: CONFIG.storage.backends.indexedDB };
+for (let i = 0; i < REMOTE_ADAPTER_METHODS.length; i++) {
+  const method = REMOTE_ADAPTER_METHODS[i];
+  MessageStorageAdapter[method] = (...args) => callRemoteAdapter(method, args);
+}
+
+/**
+ * Handle a storageAdapter message in the service worker
+ * @param {Object} request - Message with method and args
+ * @returns {Promise<{result: *}|{error: string}>} Response for sendResponse
+ */
+async function handleStorageAdapterMessage(request) {
+  if (!REMOTE_ADAPTER_METHODS.includes(request.method) || !Array.isArray(request.args)) {
+    return { error: `Unsupported storage method: ${request.method}` };
+  }
+
+  try {
+    const adapter = await getStorageAdapter();
+    return { result: await adapter[request.method](...request.args) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+// Backend holding articles in this context (null until first resolved)
+let activeBackend = null;
+let storageAdapterPromise = null;
+
+/**
+ * Check whether this script runs with the extension's origin (popup, service worker)
+ * @returns {boolean} True outside content scripts
+ */
+function isExtensionContext() {
+  return typeof location !== 'undefined' && location.protocol === 'chrome-extension:';
+}
+
+/**
+ * Check whether this script runs in the service worker, the only context that writes records
+ * @returns {boolean} True in the service worker
+ */
+function isServiceWorkerContext() {
+  return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+}
+
+/**
+ * Get the adapter implementing a backend in this context
+ * @param {string} backend - CONFIG.storage.backends value
+ * @returns {Object} Storage adapter
+ */
+function getAdapterForBackend(backend) {
+  if (backend === CONFIG.storage.backends.indexedDB) {
+    return isExtensionContext() ? IndexedDBAdapter : MessageStorageAdapter;
+  }
+  return ChromeStorageAdapter;
+}
+
+/**
+ * Switch this context to a backend
+ * @param {string} backend - CONFIG.storage.backends value
+ * @returns {Object} Storage adapter
+ */
+function setActiveBackend(backend) {
+  activeBackend = backend || CONFIG.storage.backends.chrome;
+  const adapter = getAdapterForBackend(activeBackend);
+  storageAdapterPromise = Promise.resolve(adapter);
+  return adapter;
+}
+
+/**
+ * Get the adapter for the backend currently holding the data
+ * Data written before backends existed lives in chrome.storage.local, so that's the default.
+ * Also loads the URL alias map, so normalizeUrl resolves aliases once any storage call returned.
+ * @returns {Promise<Object>} Storage adapter
+ * @throws {Error} If chrome.storage.local.get fails
+ */
+function getStorageAdapter() {
+  if (!storageAdapterPromise) {
+    storageAdapterPromise = storageGet([CONFIG.storage.backendKey, CONFIG.storage.urlAliasesKey])
+      .then((result) => {
+        setUrlAliases(result[CONFIG.storage.urlAliasesKey]);
+        return setActiveBackend(result[CONFIG.storage.backendKey]);
+      })
+      .catch((error) => {
+        storageAdapterPromise = null;
+        throw error;
+      });
+  }
+  return storageAdapterPromise;
+}
+
+/**
+ * Extract article changes from a chrome.storage.onChanged event, whatever the backend
+ *
+ * chrome.storage backend: article_ keys. Other backends: change notices under
+ * CONFIG.storage.changesKey. Only the active backend's changes are reported, so
+ * records copied or cleared while moving between backends don't look like edits.
+ * Removals of records stored under a non-canonical URL are skipped: those are
+ * duplicates merged into the canonical record (see Storage.repairDuplicateArticles).
+ * Changes carry statuses only (see publishArticleChanges); read the records with
+ * Storage.getArticles when needed.
+ *
+ * @param {Object} changes - onChanged changes object
+ * @param {string} areaName - Storage area name
+ * @returns {Object<string, {previousStatus: string|null, status: string|null}>} Changes by normalized URL
+ *          (null status: no record before / after the change)
+ */
+function getArticleChanges(changes, areaName) {
+  const articleChanges = {};
+  if (areaName !== 'local') return articleChanges;
+
+  const chromeBackend = CONFIG.storage.backends.chrome;
+  const rawChanges = {};
+
+  if (activeBackend == null || activeBackend === chromeBackend) {
+    const prefix = CONFIG.storage.prefix;
+    for (const key in changes) {
+      if (key.startsWith(prefix)) {
+        rawChanges[key.substring(prefix.length)] = summarizeArticleChange(changes[key].oldValue, changes[key].newValue);
+      }
+    }
+  }
+
+  const notice = changes[CONFIG.storage.changesKey];
+  if (notice && notice.newValue && activeBackend !== chromeBackend) {
+    Object.assign(rawChanges, notice.newValue.changes);
+  }
+
+  for (const rawUrl in rawChanges) {
+    const { previousStatus, status } = rawChanges[rawUrl];
+    const url = normalizeUrl(rawUrl);
+    if (status === null && url !== rawUrl) continue;
+
+    articleChanges[url] = { previousStatus, status };
+  }
+
+  return articleChanges;
+}
+
+// Follow backend switches made by the service worker migration and alias changes from any context
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes[CONFIG.storage.urlAliasesKey]) {
+    setUrlAliases(changes[CONFIG.storage.urlAliasesKey].newValue);
+  }
+  if (changes[CONFIG.storage.backendKey]) {
+    setActiveBackend(changes[CONFIG.storage.backendKey].newValue);
+  }
+});
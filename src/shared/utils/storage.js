@@ -1,104 +1,1039 @@
-// Storage management using chrome.storage.local
+// Storage management: article records go through the active storage adapter (storage-adapters.js),
+// settings (filters, tag index) stay in chrome.storage.local
 
 /**
- * Get storage key for an article URL
- * @param {string} url - Article URL
- * @returns {string} Storage key
+ * Create a history event describing a read state change
+ * @param {string} type - Event type (CONFIG.history.types)
+ * @param {string} source - Event source (CONFIG.history.sources)
+ * @param {Object|null} previous - Article state before the change
+ * @param {Object} current - Article state after the change
+ * @returns {Object} History event
  */
-function getStorageKey(url) {
-  if (!url) return '';
-  const normalizedUrl = normalizeUrl(url);
-  return `${CONFIG.storage.prefix}${normalizedUrl}`;
+function createHistoryEvent(type, source, previous, current) {
+  return {
+    type: type,
+    source: source,
+    date: new Date().toISOString(),
+    status: getArticleStatus(current),
+    isRead: current.isRead || false,
+    readDate: current.readDate || null,
+    previous: {
+      status: getArticleStatus(previous),
+      isRead: (previous && previous.isRead) || false,
+      readDate: (previous && previous.readDate) || null
+    }
+  };
+}
+
+/**
+ * Serialized write queue
+ * 
+ * Every mutating Storage call is queued here and runs only after the previous
+ * one settled, so read-modify-write sequences (getArticle -> merge -> set) in
+ * this context can't interleave and lose updates. Two kinds of operations:
+ * - transactions ({ run }) run alone, in order
+ * - plain writes ({ items, result }) need no read; consecutive ones are
+ *   coalesced into a single chrome.storage.local.set
+ * 
+ * Each operation settles its own promise: a failing operation rejects only its
+ * caller (a failed coalesced set rejects every write in that set) and the
+ * queue keeps going. The queue is per JavaScript context, so record writes
+ * only happen in one: tabs, the popup and the options page send their storage
+ * operations to the service worker (see runStorageOperation), where they run
+ * in this queue, each in one IndexedDB transaction (see runInTransaction).
+ * Plain settings writes (page filters) stay in the calling context.
+ * @type {Array<Object>}
+ */
+const storageQueue = [];
+let storageQueueRunning = false;
+
+/**
+ * Add an operation to the write queue
+ * @param {Object} operation - { run: Function } or { items: Object, result: * }
+ * @returns {Promise<*>} Operation result
+ */
+function enqueueStorageOperation(operation) {
+  return new Promise((resolve, reject) => {
+    storageQueue.push({ ...operation, resolve, reject });
+    drainStorageQueue();
+  });
 }
 
 /**
- * Get existing articles as a Map for efficient lookup
- * Optimized to avoid creating duplicate Map when cache is available
- * @returns {Promise<Map>} Map of normalized URL to article
+ * Run queued operations one at a time until the queue is empty
+ * @returns {Promise<void>}
  */
-async function getExistingArticlesMap() {
-  if (typeof getArticlesCache === 'function') {
+async function drainStorageQueue() {
+  if (storageQueueRunning) return;
+  storageQueueRunning = true;
+  
+  while (storageQueue.length > 0) {
+    const operation = storageQueue.shift();
+    
+    if (!operation.items) {
+      try {
+        operation.resolve(await operation.run());
+      } catch (error) {
+        operation.reject(error);
+      }
+      continue;
+    }
+    
+    // Coalesce consecutive plain writes (later writes win on the same key)
+    const batch = [operation];
+    while (storageQueue.length > 0 && storageQueue[0].items) {
+      batch.push(storageQueue.shift());
+    }
+    
+    const items = {};
+    for (let i = 0; i < batch.length; i++) {
+      Object.assign(items, batch[i].items);
+    }
+    
     try {
-      const cache = await getArticlesCache();
-      // Optimize: If cache is already an object, convert directly without intermediate Map
-      // Only create Map if we need to return it (since cache is already an object with URL keys)
-      // However, we still need to return a Map for compatibility, but we can optimize the conversion
-      const map = new Map();
-      // Use for...in loop for better performance than Object.keys()
-      for (const url in cache) {
-        if (cache.hasOwnProperty(url)) {
-          map.set(url, cache[url]);
-        }
+      await storageSet(items);
+      for (let i = 0; i < batch.length; i++) {
+        batch[i].resolve(batch[i].result);
       }
-      return map;
-    } catch (e) {
-      // Fallback to getAllArticles if cache fails
+    } catch (error) {
+      for (let i = 0; i < batch.length; i++) {
+        batch[i].reject(error);
+      }
+    }
+  }
+  
+  storageQueueRunning = false;
+}
+
+/**
+ * Run a read-modify-write function exclusively
+ * The function must only use the unqueued helpers below, never queued Storage methods
+ * (those would wait for this transaction to finish)
+ * @param {Function} run - Async function
+ * @returns {Promise<*>} Result of run
+ */
+function runExclusive(run) {
+  return enqueueStorageOperation({ run });
+}
+
+/**
+ * Queue a plain write (coalesced with adjacent plain writes)
+ * @param {Object} items - Key/value pairs to write
+ * @param {*} [result] - Value the returned promise resolves with
+ * @returns {Promise<*>} Resolves with result once written
+ */
+function queueWrite(items, result) {
+  return enqueueStorageOperation({ items, result });
+}
+
+// Adapter of the running storage operation (see runInTransaction); null between operations
+let operationAdapter = null;
+
+// chrome.storage writes of the running operation, made once its records are committed
+let operationCommitTasks = null;
+
+/**
+ * Get the adapter of the running storage operation
+ * The unqueued record helpers below read and write through it, so everything one
+ * operation does shares its transaction
+ * @returns {Object} Storage adapter (bound to the operation's transaction on IndexedDB)
+ * @throws {Error} If no storage operation is running
+ */
+function getOperationAdapter() {
+  if (!operationAdapter) {
+    throw new Error('Storage record helpers must run inside a storage operation');
+  }
+  return operationAdapter;
+}
+
+/**
+ * Run a chrome.storage write once the running operation's records are committed
+ * (awaiting chrome.storage inside an IndexedDB transaction would end the transaction)
+ * @param {Function} task - Async function
+ */
+function afterOperationCommit(task) {
+  getOperationAdapter();
+  operationCommitTasks.push(task);
+}
+
+/**
+ * Run a function as one storage operation (unqueued; see runAtomic)
+ * On IndexedDB, all its record reads and writes share one readwrite transaction, so it
+ * applies completely or not at all (see runIndexedDBTransaction). chrome.storage.local has
+ * no transactions; there the write queue alone keeps operations apart.
+ * @param {Function} run - Async function using the unqueued record helpers
+ * @returns {Promise<*>} Result of run
+ */
+async function runInTransaction(run) {
+  const adapter = await getStorageAdapter();
+  const commitTasks = [];
+  
+  const execute = async (boundAdapter) => {
+    operationAdapter = boundAdapter;
+    operationCommitTasks = commitTasks;
+    try {
+      return await run();
+    } finally {
+      operationAdapter = null;
+      operationCommitTasks = null;
     }
+  };
+  
+  const result = adapter === IndexedDBAdapter ? await runIndexedDBTransaction(execute) : await execute(adapter);
+  for (let i = 0; i < commitTasks.length; i++) {
+    await commitTasks[i]();
+  }
+  return result;
+}
+
+/**
+ * Run a read-modify-write function exclusively, as one storage operation
+ * @param {Function} run - Async function using the unqueued record helpers
+ * @returns {Promise<*>} Result of run
+ */
+function runAtomic(run) {
+  return runExclusive(() => runInTransaction(run));
+}
+
+/**
+ * Run a storage operation (see StorageOperations) in the service worker
+ * Other contexts send it there and wait for the result, so operations from every
+ * tab, the popup and the worker itself run one at a time in a single queue
+ * @param {string} name - StorageOperations method name
+ * @param {Array} args - Arguments (must be JSON-serializable)
+ * @returns {Promise<*>} Operation result
+ * @throws {Error} If the service worker can't be reached or the operation fails
+ */
+function runStorageOperation(name, args) {
+  if (isServiceWorkerContext()) {
+    return StorageOperations[name](...args);
   }
   
-  const existingArticles = await Storage.getAllArticles(false);
-  const map = new Map();
-  for (let i = 0; i < existingArticles.length; i++) {
-    const article = existingArticles[i];
-    if (article && article.url) {
-      map.set(article.url, article);
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage({ action: 'storageOperation', operation: name, args }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response || response.error) {
+        reject(new Error((response && response.error) || `storageOperation.${name}: no response`));
+      } else {
+        resolve(response.result);
+      }
+    });
+  });
+}
+
+/**
+ * Handle a storageOperation message in the service worker
+ * @param {Object} request - Message with operation and args
+ * @returns {Promise<{result: *}|{error: string}>} Response for sendResponse
+ */
+async function handleStorageOperationMessage(request) {
+  if (!Object.prototype.hasOwnProperty.call(StorageOperations, request.operation) || !Array.isArray(request.args)) {
+    return { error: `Unsupported storage operation: ${request.operation}` };
+  }
+  
+  try {
+    return { result: await StorageOperations[request.operation](...request.args) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Describe an article from its page elements, for records created by a status, tag, notes
+ * or progress change (elements can't be sent to the service worker)
+ * @param {string} url - Article URL
+ * @param {HTMLElement|null} linkElement - Link element (title)
+ * @param {HTMLElement|null} articleElement - Article element (publication date)
+ * @returns {{title: string, publishedDate: string, dateText: string}} Article fields
+ */
+function describeArticleElements(url, linkElement, articleElement) {
+  const seed = { title: '', publishedDate: '', dateText: '' };
+  
+  if (linkElement) {
+    seed.title = linkElement.textContent.trim() || '';
+  }
+  
+  const siteAdapter = typeof url === 'string' && validateUrl(url) ? getSiteAdapterForUrl(normalizeUrl(url)) : null;
+  if (articleElement && siteAdapter) {
+    const time = siteAdapter.extractTime(articleElement);
+    if (time) {
+      seed.publishedDate = parseLethainDate(time.getAttribute('datetime')) || parseLethainDate(time.textContent);
+      seed.dateText = time.textContent.trim() || '';
     }
   }
-  return map;
+  
+  return seed;
+}
+
+/**
+ * Read one article record (unqueued)
+ * @param {string} url - Normalized article URL
+ * @returns {Promise<Object|null>} Stored article or null
+ */
+async function getArticleRecord(url) {
+  const result = await getOperationAdapter().getArticles([url]);
+  return result[url] || null;
 }
 
 /**
- * Get or create article (helper for markAsRead/markAsUnread)
+ * Save or update an article (unqueued; see Storage.saveArticle)
+ * @param {Object} article - Article object
+ * @returns {Promise<Object|null>} Saved article data with normalized URL or null if invalid
+ */
+async function saveArticleRecord(article) {
+  // Runtime type validation
+  if (!article || typeof article !== 'object') {
+    Logger.warn('saveArticle: article must be an object', article);
+    return null;
+  }
+  
+  if (!article.url) {
+    Logger.warn('saveArticle: article.url is required', article);
+    return null;
+  }
+  
+  // Validate article structure
+  if (!validateArticleStructure(article)) {
+    Logger.warn('Invalid article structure in saveArticle:', article);
+    return null;
+  }
+  
+  if (!validateUrl(article.url)) return null;
+  
+  const normalizedUrl = normalizeUrl(article.url);
+  const existing = await getArticleRecord(normalizedUrl);
+  
+  // Use centralized function to determine reading status
+  const { status, isRead, readDate } = determineReadStatus(existing, article);
+  
+  const articleData = {
+    url: normalizedUrl,
+    title: article.title || (existing && existing.title) || '',
+    publishedDate: getPublishedDate(article) || getPublishedDate(existing),
+    dateText: article.dateText || article.publishedDate || (existing && existing.dateText) || '',
+    isRead: isRead,
+    readDate: readDate,
+    status: status,
+    tags: Array.isArray(article.tags) ? normalizeTags(article.tags) : normalizeTags(existing && existing.tags),
+    notes: typeof article.notes === 'string' ? article.notes : ((existing && existing.notes) || ''),
+    progress: typeof article.progress === 'number'
+      ? normalizeProgress(article.progress)
+      : normalizeProgress(existing && existing.progress),
+    site: getSiteIdForUrl(normalizedUrl),
+    metadata: article.metadata !== undefined
+      ? normalizeArticleMetadata(article.metadata)
+      : normalizeArticleMetadata(existing && existing.metadata),
+    series: normalizeArticleSeries(existing && existing.series),
+    schemaVersion: CONFIG.schema.version
+  };
+  
+  await getOperationAdapter().putArticles([articleData]);
+  return articleData;
+}
+
+/**
+ * Merge and save multiple articles (unqueued; see Storage.saveArticles)
+ * @param {Array<Object>} articles - Array of article objects to save
+ * @param {Map<string, Object>|null} existingArticlesMap - Existing articles map; read fresh from storage if null
+ * @param {string} [source=CONFIG.history.sources.page] - Recorded in history for explicit status changes
+ * @returns {Promise<number>} Number of articles written
+ */
+async function saveArticleRecords(articles, existingArticlesMap, source = CONFIG.history.sources.page) {
+  const urls = [];
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    if (article && article.url && validateUrl(article.url)) {
+      urls.push(normalizeUrl(article.url));
+    }
+  }
+  
+  if (urls.length === 0) return 0;
+  
+  const adapter = getOperationAdapter();
+  const stored = existingArticlesMap ? null : await adapter.getArticles(urls);
+  
+  const merged = new Map();
+  const historyEntries = [];
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    if (!article || !article.url || !validateUrl(article.url)) continue;
+    
+    const normalizedUrl = normalizeUrl(article.url);
+    const existing = existingArticlesMap ? existingArticlesMap.get(normalizedUrl) : stored[normalizedUrl];
+    let record = mergeArticleState(existing, article);
+    
+    // An explicit status is a read state change (bulk actions), unlike the extracted data merged above
+    if (isValidStatus(article.status) && article.status !== getArticleStatus(existing)) {
+      record = { ...record, ...determineReadStatus(existing, article) };
+      historyEntries.push({ url: normalizedUrl, event: createHistoryEvent(record.status, source, existing || null, record) });
+    }
+    
+    merged.set(normalizedUrl, record);
+  }
+  
+  await adapter.putArticles(Array.from(merged.values()));
+  if (historyEntries.length > 0) {
+    await appendHistoryEntries(historyEntries);
+  }
+  return merged.size;
+}
+
+/**
+ * Write complete article records as-is (unqueued; see Storage.writeArticles)
+ * Invalid records are dropped; URLs are normalized since they key the record
+ * @param {Array<Object>} articles - Complete article records
+ * @returns {Promise<number>} Number of articles written
+ */
+async function writeArticleRecords(articles) {
+  const records = [];
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    if (!validateArticleStructure(article) || !validateUrl(article.url)) continue;
+    
+    const normalizedUrl = normalizeUrl(article.url);
+    records.push(article.url === normalizedUrl ? article : { ...article, url: normalizedUrl });
+  }
+  
+  if (records.length === 0) return 0;
+  
+  await getOperationAdapter().putArticles(records);
+  return records.length;
+}
+
+/**
+ * Append events to article history logs (unqueued; see Storage.appendHistory)
+ * @param {Array<{url: string, event: Object}>} entries - Events to append
+ * @returns {Promise<void>}
+ */
+async function appendHistoryEntries(entries) {
+  const urls = [];
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (entry && entry.event && validateUrl(entry.url)) {
+      urls.push(normalizeUrl(entry.url));
+    }
+  }
+  
+  if (urls.length === 0) return;
+  
+  const adapter = getOperationAdapter();
+  const stored = await adapter.getHistory(urls);
+  const logs = {};
+  
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry || !entry.event || !validateUrl(entry.url)) continue;
+    
+    const url = normalizeUrl(entry.url);
+    if (!logs[url]) {
+      logs[url] = Array.isArray(stored[url]) ? stored[url] : [];
+    }
+    logs[url].push(entry.event);
+  }
+  
+  await adapter.putHistory(logs);
+}
+
+/**
+ * Get or create article (helper for status, tag, notes and progress changes; unqueued)
  * @param {string} url - Article URL (will be normalized)
- * @param {HTMLElement} linkElement - Link element (optional)
- * @param {HTMLElement} articleElement - Article element (optional)
+ * @param {Object|null} [seed=null] - Title and date for a new record (see describeArticleElements)
  * @returns {Promise<Object|null>} Article or null
  */
-async function getOrCreateArticle(url, linkElement = null, articleElement = null) {
+async function getOrCreateArticle(url, seed = null) {
   if (!url || !validateUrl(url)) return null;
   
   const normalizedUrl = normalizeUrl(url);
-  let article = await Storage.getArticle(normalizedUrl);
+  const article = await getArticleRecord(normalizedUrl);
   
   if (article) return article;
   
   // Create article if it doesn't exist
-  let title = '';
-  let publishedDate = '';
-  let dateText = '';
+  const newArticle = {
+    url: normalizedUrl,
+    title: (seed && seed.title) || '',
+    publishedDate: (seed && seed.publishedDate) || '',
+    dateText: (seed && seed.dateText) || '',
+    isRead: false,
+    readDate: null,
+    status: CONFIG.statuses.unread,
+    tags: [],
+    notes: '',
+    progress: 0,
+    metadata: null
+  };
   
-  if (linkElement) {
-    title = linkElement.textContent.trim() || '';
+  return saveArticleRecord(newArticle);
+}
+
+/**
+ * Build a tag index
+ * @param {Array<Object>} articles - All stored articles
+ * @returns {Object<string, Array<string>>} Map of tag to article URLs
+ */
+function buildTagIndex(articles) {
+  const index = {};
+  
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    const tags = normalizeTags(article && article.tags);
+    for (let j = 0; j < tags.length; j++) {
+      if (!index[tags[j]]) {
+        index[tags[j]] = [];
+      }
+      index[tags[j]].push(article.url);
+    }
+  }
+  return index;
+}
+
+/**
+ * Build the tag index from all stored articles and write it once the operation commits
+ * (unqueued; see Storage.rebuildTagIndex)
+ * @returns {Promise<Object<string, Array<string>>>} Rebuilt index
+ */
+async function rebuildTagIndexRecord() {
+  const index = buildTagIndex(await getOperationAdapter().getAllArticles());
+  afterOperationCommit(() => storageSet({ [CONFIG.storage.tagIndexKey]: index }));
+  return index;
+}
+
+/**
+ * Re-detect series and store changed assignments (unqueued; see Storage.refreshSeries)
+ * Series are detected per site (see detectArticleSeries). Given the records a write just
+ * saved, only their sites are read and only the series they join or leave re-detected.
+ * @param {Array<Object>} [savedArticles] - Saved records (with their stored series); all articles if omitted
+ * @returns {Promise<Map<string, Object>>} Rewritten records by URL
+ */
+async function refreshSeriesRecords(savedArticles) {
+  const adapter = getOperationAdapter();
+  const bySite = new Map();
+  
+  if (savedArticles) {
+    // Series ids per site the saved records could join or were in
+    const affected = new Map();
+    for (let i = 0; i < savedArticles.length; i++) {
+      const article = savedArticles[i];
+      const candidate = getSeriesCandidate(article);
+      const previous = normalizeArticleSeries(article.series);
+      if (!candidate && !previous) continue;
+      
+      const site = getArticleSite(article);
+      if (!affected.has(site)) {
+        affected.set(site, new Set());
+      }
+      if (candidate) affected.get(site).add(candidate.id);
+      if (previous) affected.get(site).add(previous.id);
+    }
+    
+    for (const [site, ids] of affected) {
+      const siteArticles = await adapter.getArticlesBySite(site);
+      bySite.set(site, siteArticles.filter((article) => {
+        const candidate = getSeriesCandidate(article);
+        const current = normalizeArticleSeries(article.series);
+        return (candidate && ids.has(candidate.id)) || (current && ids.has(current.id));
+      }));
+    }
+  } else {
+    const articles = await adapter.getAllArticles();
+    for (let i = 0; i < articles.length; i++) {
+      const site = getArticleSite(articles[i]);
+      if (!bySite.has(site)) {
+        bySite.set(site, []);
+      }
+      bySite.get(site).push(articles[i]);
+    }
   }
   
-  if (articleElement) {
-    const time = articleElement.querySelector(CONFIG.selectors.time);
-    if (time) {
-      publishedDate = time.getAttribute('datetime') || time.textContent.trim() || '';
-      dateText = time.textContent.trim() || '';
+  const changed = new Map();
+  for (const siteArticles of bySite.values()) {
+    const assignments = detectArticleSeries(siteArticles);
+    for (let i = 0; i < siteArticles.length; i++) {
+      const article = siteArticles[i];
+      const current = normalizeArticleSeries(article.series);
+      const next = assignments.get(article.url) || null;
+      if (JSON.stringify(current) !== JSON.stringify(next)) {
+        changed.set(article.url, { ...article, series: next });
+      }
     }
   }
   
-  const newArticle = {
-    url: normalizedUrl,
-    title: title,
-    publishedDate: publishedDate,
-    dateText: dateText,
-    isRead: false,
-    readDate: null
-  };
+  if (changed.size > 0) {
+    await adapter.putArticles(Array.from(changed.values()));
+  }
+  return changed;
+}
+
+/**
+ * Incrementally update the tag index once the operation commits, after an article's tags changed (unqueued)
+ * @param {string} url - Article URL (normalized)
+ * @param {Array<string>} previousTags - Tags before the change
+ * @param {Array<string>} nextTags - Tags after the change
+ */
+function updateTagIndex(url, previousTags, nextTags) {
+  afterOperationCommit(() => writeTagIndexUpdate(url, previousTags, nextTags));
+}
+
+/**
+ * Apply a tag change to the stored tag index (see updateTagIndex)
+ * @param {string} url - Article URL (normalized)
+ * @param {Array<string>} previousTags - Tags before the change
+ * @param {Array<string>} nextTags - Tags after the change
+ * @returns {Promise<void>}
+ */
+async function writeTagIndexUpdate(url, previousTags, nextTags) {
+  const stored = await storageGet([CONFIG.storage.tagIndexKey]);
+  let index = stored[CONFIG.storage.tagIndexKey];
+  
+  // No index yet: build it from the (already saved) articles instead
+  if (!index) {
+    const adapter = await getStorageAdapter();
+    await storageSet({ [CONFIG.storage.tagIndexKey]: buildTagIndex(await adapter.getAllArticles()) });
+    return;
+  }
+  
+  for (let i = 0; i < previousTags.length; i++) {
+    const tag = previousTags[i];
+    if (nextTags.includes(tag) || !index[tag]) continue;
+    
+    index[tag] = index[tag].filter(taggedUrl => taggedUrl !== url);
+    if (index[tag].length === 0) {
+      delete index[tag];
+    }
+  }
+  
+  for (let i = 0; i < nextTags.length; i++) {
+    const tag = nextTags[i];
+    if (!index[tag]) {
+      index[tag] = [];
+    }
+    if (!index[tag].includes(url)) {
+      index[tag].push(url);
+    }
+  }
+  
+  await storageSet({ [CONFIG.storage.tagIndexKey]: index });
+}
+
+/**
+ * Replace the tags of an article (unqueued; see Storage.setTags)
+ * @param {string} url - Article URL (will be normalized)
+ * @param {Function} getTags - Receives the current article, returns its new tags
+ * @param {Object|null} seed - Title and date for a new record (see describeArticleElements)
+ * @returns {Promise<Object|null>} Updated article, or null if invalid
+ */
+async function saveArticleTags(url, getTags, seed) {
+  const article = await getOrCreateArticle(url, seed);
+  if (!article) return null;
+  
+  const previousTags = normalizeTags(article.tags);
+  const saved = await saveArticleRecord({ ...article, tags: normalizeTags(getTags(article)) });
+  
+  if (saved) {
+    updateTagIndex(saved.url, previousTags, saved.tags);
+  }
+  return saved;
+}
+
+/**
+ * Merge article records that canonicalize to the same URL (unqueued; see Storage.repairDuplicateArticles)
+ *
+ * Records stored under an outdated URL (http://, www., tracking params, aliased
+ * posts) are merged into the canonical record with mergeArticleRecords, their
+ * history is appended to the canonical log and the outdated records are removed.
+ *
+ * @returns {Promise<number>} Number of duplicate records merged away
+ */
+async function repairDuplicateRecords() {
+  const adapter = getOperationAdapter();
+  const articles = await adapter.getAllArticles();
+  
+  const groups = new Map();
+  for (let i = 0; i < articles.length; i++) {
+    const article = articles[i];
+    if (!article || !validateUrl(article.url)) continue;
+    
+    const canonicalUrl = normalizeUrl(article.url);
+    if (!groups.has(canonicalUrl)) {
+      groups.set(canonicalUrl, []);
+    }
+    groups.get(canonicalUrl).push(article);
+  }
+  
+  const merged = [];
+  const duplicates = new Map();
+  groups.forEach((records, canonicalUrl) => {
+    if (records.length === 1 && records[0].url === canonicalUrl) return;
+    
+    // Start from the record already stored under the canonical URL, if any
+    records.sort((a, b) => (b.url === canonicalUrl) - (a.url === canonicalUrl));
+    let result = { ...records[0], url: canonicalUrl };
+    for (let i = 1; i < records.length; i++) {
+      result = mergeArticleRecords(result, records[i]).article;
+    }
+    merged.push(result);
+    
+    const outdatedUrls = [];
+    for (let i = 0; i < records.length; i++) {
+      if (records[i].url !== canonicalUrl) {
+        outdatedUrls.push(records[i].url);
+      }
+    }
+    duplicates.set(canonicalUrl, outdatedUrls);
+  });
+  
+  if (merged.length === 0) return 0;
+  
+  const historyUrls = [];
+  const removedUrls = [];
+  duplicates.forEach((outdatedUrls, canonicalUrl) => {
+    historyUrls.push(canonicalUrl, ...outdatedUrls);
+    removedUrls.push(...outdatedUrls);
+  });
+  
+  const logs = await adapter.getHistory(historyUrls);
+  const mergedLogs = {};
+  duplicates.forEach((outdatedUrls, canonicalUrl) => {
+    const combined = Array.isArray(logs[canonicalUrl]) ? logs[canonicalUrl].slice() : [];
+    for (let i = 0; i < outdatedUrls.length; i++) {
+      const events = logs[outdatedUrls[i]] || [];
+      // Revert events point at an index in their own log
+      const offset = combined.length;
+      for (let j = 0; j < events.length; j++) {
+        const event = events[j];
+        combined.push(typeof event.reverts === 'number' ? { ...event, reverts: event.reverts + offset } : event);
+      }
+    }
+    if (combined.length > 0) {
+      mergedLogs[canonicalUrl] = combined;
+    }
+  });
   
-  return Storage.saveArticle(newArticle);
+  // Write merged records before removing the outdated ones, so an interruption never loses data
+  await adapter.putArticles(merged);
+  await adapter.putHistory(mergedLogs);
+  await adapter.removeArticles(removedUrls);
+  await adapter.removeHistory(removedUrls);
+  await rebuildTagIndexRecord();
+  
+  Logger.info(`Merged ${removedUrls.length} duplicate articles into ${merged.length} canonical records`);
+  return removedUrls.length;
 }
 
+/**
+ * Read-modify-write storage operations
+ * Run in the service worker only (see runStorageOperation): each runs exclusively in the
+ * write queue, with its record reads and writes in one transaction (see runAtomic).
+ * Arguments come from the Storage methods below, already validated and serializable.
+ */
+const StorageOperations = {
+  async saveArticle(article) {
+    return runAtomic(async () => {
+      const saved = await saveArticleRecord(article);
+      if (!saved || (!article.title && article.metadata === undefined)) {
+        return saved;
+      }
+      
+      const changed = await refreshSeriesRecords([saved]);
+      return changed.get(saved.url) || saved;
+    });
+  },
+
+  async saveArticles(articles) {
+    return runAtomic(() => saveArticleRecords(articles, null));
+  },
+
+  async setStatus(url, status, seed, source) {
+    return runAtomic(async () => {
+      const article = await getOrCreateArticle(url, seed);
+      if (!article) return null;
+      
+      const previous = { ...article };
+      const saved = await saveArticleRecord({
+        ...article,
+        status: status,
+        readDate: status === CONFIG.statuses.read ? new Date().toISOString() : null
+      });
+      
+      if (saved) {
+        await appendHistoryEntries([{ url: saved.url, event: createHistoryEvent(status, source, previous, saved) }]);
+      }
+      return saved;
+    });
+  },
+
+  async appendHistory(entries) {
+    return runAtomic(() => appendHistoryEntries(entries));
+  },
+
+  async undoLastChange(url) {
+    return runAtomic(async () => {
+      const normalizedUrl = normalizeUrl(url);
+      const adapter = getOperationAdapter();
+      const [logs, article] = await Promise.all([adapter.getHistory([normalizedUrl]), getArticleRecord(normalizedUrl)]);
+      if (!article) return null;
+      
+      const history = Array.isArray(logs[normalizedUrl]) ? logs[normalizedUrl] : [];
+      
+      // Collect events that were already reverted
+      const reverted = new Set();
+      for (let i = 0; i < history.length; i++) {
+        if (history[i].type === CONFIG.history.types.revert) {
+          reverted.add(history[i].reverts);
+        }
+      }
+      
+      let targetIndex = -1;
+      for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].type !== CONFIG.history.types.revert && !reverted.has(i)) {
+          targetIndex = i;
+          break;
+        }
+      }
+      
+      if (targetIndex === -1) return null;
+      
+      const target = history[targetIndex];
+      const previous = { ...article };
+      // Events recorded before reading statuses existed only carry isRead
+      const restoredStatus = isValidStatus(target.previous.status)
+        ? target.previous.status
+        : (target.previous.isRead ? CONFIG.statuses.read : CONFIG.statuses.unread);
+      const saved = await saveArticleRecord({
+        ...article,
+        status: restoredStatus,
+        readDate: restoredStatus === CONFIG.statuses.read ? target.previous.readDate : null
+      });
+      
+      if (saved) {
+        const event = createHistoryEvent(CONFIG.history.types.revert, CONFIG.history.sources.undo, previous, saved);
+        event.reverts = targetIndex;
+        await appendHistoryEntries([{ url: saved.url, event: event }]);
+      }
+      return saved;
+    });
+  },
+
+  async syncArticles(newArticles) {
+    return runAtomic(async () => {
+      const urls = [];
+      for (let i = 0; i < newArticles.length; i++) {
+        const newArticle = newArticles[i];
+        if (newArticle && newArticle.url && validateUrl(newArticle.url)) {
+          urls.push(normalizeUrl(newArticle.url));
+        }
+      }
+      
+      if (urls.length === 0) return 0;
+      
+      const stored = await getOperationAdapter().getArticles(urls);
+      const articlesToSave = [];
+      const seen = new Set();
+      
+      for (let i = 0; i < newArticles.length; i++) {
+        const newArticle = newArticles[i];
+        if (!newArticle || !newArticle.url || !validateUrl(newArticle.url)) continue;
+        
+        const normalizedUrl = normalizeUrl(newArticle.url);
+        if (stored[normalizedUrl] || seen.has(normalizedUrl)) {
+          continue;
+        }
+        seen.add(normalizedUrl);
+        
+        articlesToSave.push({
+          ...newArticle,
+          url: normalizedUrl
+        });
+      }
+      
+      if (articlesToSave.length === 0) return 0;
+      
+      const added = await saveArticleRecords(articlesToSave, new Map());
+      // New posts may start or extend a series
+      const saved = await getOperationAdapter().getArticles(Array.from(seen));
+      await refreshSeriesRecords(Object.values(saved));
+      return added;
+    });
+  },
+
+  async writeArticles(articles) {
+    return runAtomic(() => writeArticleRecords(articles));
+  },
+
+  async setProgress(url, progress, seed) {
+    return runAtomic(async () => {
+      const article = await getOrCreateArticle(url, seed);
+      if (!article) return null;
+
+      const nextProgress = normalizeProgress(progress);
+      if (nextProgress <= normalizeProgress(article.progress)) return article;
+
+      return saveArticleRecord({ ...article, progress: nextProgress });
+    });
+  },
+
+  async setNotes(url, notes, seed) {
+    return runAtomic(async () => {
+      const article = await getOrCreateArticle(url, seed);
+      if (!article) return null;
+      
+      return saveArticleRecord({ ...article, notes: notes.slice(0, CONFIG.notes.maxLength) });
+    });
+  },
+
+  async setTags(url, tags, seed) {
+    return runAtomic(() => saveArticleTags(url, () => tags, seed));
+  },
+
+  async addTag(url, tag, seed) {
+    return runAtomic(() => saveArticleTags(url, article => [...(article.tags || []), tag], seed));
+  },
+
+  async removeTag(url, tag) {
+    return runAtomic(async () => {
+      const article = await getArticleRecord(normalizeUrl(url));
+      if (!article) return null;
+      
+      return saveArticleTags(
+        url,
+        current => (current.tags || []).filter(existingTag => existingTag !== tag),
+        null
+      );
+    });
+  },
+
+  async renameTag(from, to) {
+    return runAtomic(async () => {
+      const articles = await getOperationAdapter().getAllArticles();
+      const updated = [];
+      for (let i = 0; i < articles.length; i++) {
+        const article = articles[i];
+        if (!article.tags || !article.tags.includes(from)) continue;
+        
+        updated.push({
+          ...article,
+          tags: normalizeTags(article.tags.map(tag => tag === from ? to : tag))
+        });
+      }
+      
+      if (updated.length > 0) {
+        await writeArticleRecords(updated);
+      }
+      await rebuildTagIndexRecord();
+      
+      return updated.length;
+    });
+  },
+
+  async rebuildTagIndex() {
+    return runAtomic(() => rebuildTagIndexRecord());
+  },
+
+  async refreshSeries() {
+    const changed = await runAtomic(() => refreshSeriesRecords());
+    return Object.fromEntries(changed);
+  },
+
+  async repairDuplicateArticles() {
+    return runAtomic(() => repairDuplicateRecords());
+  },
+
+  async setUrlAlias(from, to) {
+    return runExclusive(async () => {
+      const aliases = await Storage.getUrlAliases();
+      setUrlAliases(aliases);
+      
+      // normalizeUrl follows existing aliases: an alias back to from would create a cycle
+      if (from === to || normalizeUrl(to) === from) {
+        Logger.warn('setUrlAlias: alias would point to itself', { from, to });
+        return 0;
+      }
+      
+      aliases[from] = to;
+      await storageSet({ [CONFIG.storage.urlAliasesKey]: aliases });
+      // Apply right away; other contexts pick the change up through onChanged
+      setUrlAliases(aliases);
+      
+      return runInTransaction(repairDuplicateRecords);
+    });
+  },
+
+  async saveFilterPreset(preset) {
+    return runExclusive(async () => {
+      const presets = await Storage.getFilterPresets();
+      const index = presets.findIndex(existing => existing.name === preset.name);
+      if (index === -1) {
+        presets.push(preset);
+      } else {
+        presets[index] = preset;
+      }
+      await storageSet({ [CONFIG.storage.filterPresetsKey]: presets });
+      return presets;
+    });
+  },
+
+  async deleteFilterPreset(name) {
+    return runExclusive(async () => {
+      const presets = await Storage.getFilterPresets();
+      const remaining = presets.filter(preset => preset.name !== name);
+      if (remaining.length === presets.length) {
+        return false;
+      }
+      await storageSet({ [CONFIG.storage.filterPresetsKey]: remaining });
+      return true;
+    });
+  }
+};
+
 const Storage = {
+  /**
+   * Run a transaction through the write queue (service worker only)
+   * 
+   * fn receives unqueued helpers and must use them instead of Storage methods
+   * (writes are queued behind this transaction and would never run; reads would
+   * leave the transaction):
+   *   getArticles(urls), getAllArticles(),
+   *   saveArticle(article), writeArticles(articles), appendHistory(entries), rebuildTagIndex(),
+   *   refreshSeries()
+   * On IndexedDB everything fn does is one readwrite transaction, committed or rolled
+   * back as a whole, so fn must not await anything but these helpers.
+   * 
+   * @param {Function} fn - Async function receiving the transaction helpers
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} If fn throws, a storage operation fails or it runs outside the service worker
+   */
+  async transaction(fn) {
+    if (typeof fn !== 'function') {
+      Logger.warn('transaction: fn must be a function', fn);
+      return null;
+    }
+    
+    if (!isServiceWorkerContext()) {
+      throw new Error('Storage.transaction runs in the service worker only');
+    }
+    
+    return runAtomic(() => fn({
+      getArticles: urls => getOperationAdapter().getArticles(urls),
+      getAllArticles: () => getOperationAdapter().getAllArticles(),
+      saveArticle: saveArticleRecord,
+      writeArticles: writeArticleRecords,
+      appendHistory: appendHistoryEntries,
+      rebuildTagIndex: rebuildTagIndexRecord,
+      refreshSeries: () => refreshSeriesRecords()
+    }));
+  },
+
   /**
    * Save or update an article
    * @param {Object} article - Article object with properties: url (string, required), title (string, optional), 
    *                           publishedDate (string, optional), dateText (string, optional), 
-   *                           isRead (boolean, optional), readDate (string|null, optional)
+   *                           status (string, optional), isRead (boolean, optional, legacy),
+   *                           readDate (string|null, optional), metadata (Object|null, optional);
+   *                           omitted fields keep their stored values
+   * A new title or metadata re-runs series detection (see Storage.refreshSeries)
    * @returns {Promise<Object|null>} Saved article data with normalized URL or null if invalid
-   * @throws {Error} If chrome.storage.local.set fails
+   * @throws {Error} If the storage backend fails
    */
   async saveArticle(article) {
     // Runtime type validation
@@ -107,101 +1042,35 @@ const Storage = {
       return null;
     }
     
-    if (!article.url) {
-      Logger.warn('saveArticle: article.url is required', article);
-      return null;
-    }
-    
-    // Validate article structure
-    if (!validateArticleStructure(article)) {
-      Logger.warn('Invalid article structure in saveArticle:', article);
-      return null;
-    }
-    
-    if (!validateUrl(article.url)) return null;
-    
-    const normalizedUrl = normalizeUrl(article.url);
-    const key = getStorageKey(normalizedUrl);
-    const existing = await this.getArticle(normalizedUrl);
-    
-    // Use centralized function to determine read status
-    const { isRead, readDate } = determineReadStatus(existing, article);
-    
-    const articleData = {
-      url: normalizedUrl,
-      title: article.title || (existing && existing.title) || '',
-      publishedDate: article.publishedDate || (existing && existing.publishedDate) || '',
-      dateText: article.dateText || article.publishedDate || (existing && existing.dateText) || '',
-      isRead: isRead,
-      readDate: readDate
-    };
-    
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ [key]: articleData }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(articleData);
-        }
-      });
-    });
+    return runStorageOperation('saveArticle', [article]);
   },
 
   /**
    * Save multiple articles in a single batch operation
+   * Reading status of stored articles is preserved (see mergeArticleState) unless an article
+   * sets status explicitly; those changes are recorded in history like setStatus
    * @param {Array<Object>} articles - Array of article objects to save
-   * @param {Map<string, Object>|null} existingArticlesMap - Existing articles map for efficient lookup (optional)
-   * @returns {Promise<void>} Resolves when all articles are saved
-   * @throws {Error} If chrome.storage.local.set fails
+   * @returns {Promise<number>} Number of articles written
+   * @throws {Error} If the storage backend fails
    */
-  async saveArticles(articles, existingArticlesMap = null) {
+  async saveArticles(articles) {
     // Runtime type validation
     if (!Array.isArray(articles)) {
-      Logger.warn('saveArticles: articles must be an array', articles);
-      return;
-    }
-    
-    if (articles.length === 0) return;
-    
-    // Validate existingArticlesMap if provided
-    if (existingArticlesMap != null && !(existingArticlesMap instanceof Map)) {
-      Logger.warn('saveArticles: existingArticlesMap must be a Map or null', existingArticlesMap);
-      existingArticlesMap = null;
-    }
-    
-    const existingMap = existingArticlesMap || await getExistingArticlesMap();
-    
-    const data = {};
-    for (let i = 0; i < articles.length; i++) {
-      const article = articles[i];
-      if (!article || !article.url || !validateUrl(article.url)) continue;
-      
-      const normalizedUrl = normalizeUrl(article.url);
-      const key = getStorageKey(normalizedUrl);
-      const existing = existingMap.get(normalizedUrl);
-      
-      data[key] = mergeArticleState(existing, article);
+      Logger.warn('saveArticles: articles must be an array', articles);
+      return 0;
     }
     
-    if (Object.keys(data).length > 0) {
-      return new Promise((resolve, reject) => {
-        chrome.storage.local.set(data, () => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve();
-          }
-        });
-      });
-    }
+    if (articles.length === 0) return 0;
+    
+    return runStorageOperation('saveArticles', [articles]);
   },
 
   /**
    * Get a specific article by URL
    * @param {string} url - Article URL (will be normalized)
    * @returns {Promise<Object|null>} Article object with properties: url, title, publishedDate, 
-   *                                 dateText, isRead, readDate; or null if not found
-   * @throws {Error} If chrome.storage.local.get fails
+   *                                 dateText, status, isRead, readDate, tags, notes; or null if not found
+   * @throws {Error} If the storage backend fails
    */
   async getArticle(url) {
     // Runtime type validation
@@ -213,24 +1082,43 @@ const Storage = {
     if (!url || !validateUrl(url)) return null;
     
     const normalizedUrl = normalizeUrl(url);
-    const key = getStorageKey(normalizedUrl);
-    
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get([key], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result[key] || null);
-        }
-      });
-    });
+    const adapter = await getStorageAdapter();
+    const result = await adapter.getArticles([normalizedUrl]);
+    return result[normalizedUrl] || null;
+  },
+
+  /**
+   * Get several articles by URL in one read (e.g. the articles of a change notice, see getArticleChanges)
+   * @param {Array<string>} urls - Article URLs (will be normalized; invalid ones are skipped)
+   * @returns {Promise<Object<string, Object>>} Stored articles by normalized URL (missing articles are omitted)
+   * @throws {Error} If the storage backend fails
+   */
+  async getArticles(urls) {
+    // Runtime type validation
+    if (!Array.isArray(urls)) {
+      Logger.warn('getArticles: urls must be an array', urls);
+      return {};
+    }
+
+    const normalizedUrls = [];
+    for (let i = 0; i < urls.length; i++) {
+      if (typeof urls[i] === 'string' && validateUrl(urls[i])) {
+        normalizedUrls.push(normalizeUrl(urls[i]));
+      }
+    }
+
+    if (normalizedUrls.length === 0) return {};
+
+    const adapter = await getStorageAdapter();
+    return adapter.getArticles(normalizedUrls);
   },
 
   /**
    * Get all articles from storage
    * @param {boolean} [sorted=true] - Whether to sort by publication date (newest first)
-   * @returns {Promise<Array<Object>>} Array of article objects, sorted by publishedDate if sorted=true
-   * @throws {Error} If chrome.storage.local.get fails
+   * @returns {Promise<Array<Object>>} Array of article objects, newest first by publishedDate if sorted=true
+   *                                   (undated articles last, see compareArticlesByDate)
+   * @throws {Error} If the storage backend fails
    */
   async getAllArticles(sorted = true) {
     // Runtime type validation
@@ -238,61 +1126,94 @@ const Storage = {
       Logger.warn('getAllArticles: sorted must be a boolean, defaulting to true', sorted);
       sorted = true;
     }
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get(null, (items) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-          return;
-        }
-        
-        // Optimize: filter early and avoid creating intermediate arrays
-        const articles = [];
-        const prefix = CONFIG.storage.prefix;
-        const prefixLength = prefix.length;
-        
-        // Use for...in loop and early filtering to avoid processing non-article keys
-        for (const key in items) {
-          // Fast prefix check using string comparison
-          if (key.length >= prefixLength && key.substring(0, prefixLength) === prefix) {
-            articles.push(items[key]);
-          }
-        }
-        
-        if (sorted) {
-          articles.sort((a, b) => {
-            const dateA = new Date(a.publishedDate);
-            const dateB = new Date(b.publishedDate);
-            return dateB - dateA;
-          });
-        }
-        
-        resolve(articles);
-      });
-    });
+    
+    const adapter = await getStorageAdapter();
+    const articles = await adapter.getAllArticles();
+    
+    if (sorted) {
+      articles.sort(compareArticlesByDate);
+    }
+    
+    return articles;
   },
 
   /**
-   * Mark article as read and set readDate to current timestamp
+   * Get the articles of one tracked site (uses the site index on IndexedDB)
+   * @param {string} site - Site adapter id (article.site)
+   * @param {boolean} [sorted=true] - Whether to sort by publication date (newest first)
+   * @returns {Promise<Array<Object>>} The site's articles, sorted like getAllArticles if sorted=true
+   * @throws {Error} If the storage backend fails
+   */
+  async getSiteArticles(site, sorted = true) {
+    if (!getSiteAdapter(site)) {
+      Logger.warn('getSiteArticles: unknown site', site);
+      return [];
+    }
+    
+    const adapter = await getStorageAdapter();
+    const articles = await adapter.getArticlesBySite(site);
+    
+    if (sorted) {
+      articles.sort(compareArticlesByDate);
+    }
+    
+    return articles;
+  },
+
+  /**
+   * Get all articles with a reading status (uses the status index on IndexedDB)
+   * @param {string} status - CONFIG.statuses value
+   * @returns {Promise<Array<Object>>} Matching articles, unsorted
+   * @throws {Error} If the storage backend fails
+   */
+  async getArticlesByStatus(status) {
+    if (!isValidStatus(status)) {
+      Logger.warn('getArticlesByStatus: unknown status', status);
+      return [];
+    }
+    
+    const adapter = await getStorageAdapter();
+    return adapter.getArticlesByStatus(status);
+  },
+
+  /**
+   * Set reading status of an article and record the change in its history
+   * Becoming read sets readDate to the current timestamp; any other status clears it
    * @param {string} url - Article URL (will be normalized)
+   * @param {string} status - New status (CONFIG.statuses value)
    * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
    * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
-   * @returns {Promise<Object|null>} Updated article with isRead=true and readDate set, or null if invalid
+   * @param {string} [source=CONFIG.history.sources.page] - Where the change came from (recorded in history)
+   * @returns {Promise<Object|null>} Updated article, or null if invalid
    */
-  async markAsRead(url, linkElement = null, articleElement = null) {
+  async setStatus(url, status, linkElement = null, articleElement = null, source = CONFIG.history.sources.page) {
     // Runtime type validation
     if (typeof url !== 'string') {
-      Logger.warn('markAsRead: url must be a string', url);
+      Logger.warn('setStatus: url must be a string', url);
       return null;
     }
     
-    if (!url || !validateUrl(url)) return null;
+    if (!isValidStatus(status)) {
+      Logger.warn('setStatus: unknown status', status);
+      return null;
+    }
     
-    const article = await getOrCreateArticle(url, linkElement, articleElement);
-    if (!article) return null;
+    if (!url || !validateUrl(url)) return null;
     
-    article.isRead = true;
-    article.readDate = new Date().toISOString();
-    return this.saveArticle(article);
+    const seed = describeArticleElements(url, linkElement, articleElement);
+    return runStorageOperation('setStatus', [url, status, seed, source]);
+  },
+
+  /**
+   * Mark article as read and set readDate to current timestamp
+   * @param {string} url - Article URL (will be normalized)
+   * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
+   * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
+   * @param {string} [source=CONFIG.history.sources.page] - Where the change came from (recorded in history)
+   * @returns {Promise<Object|null>} Updated article with status read and readDate set, or null if invalid
+   */
+  async markAsRead(url, linkElement = null, articleElement = null, source = CONFIG.history.sources.page) {
+    return this.setStatus(url, CONFIG.statuses.read, linkElement, articleElement, source);
   },
 
   /**
@@ -300,27 +1221,78 @@ const Storage = {
    * @param {string} url - Article URL (will be normalized)
    * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
    * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
-   * @returns {Promise<Object|null>} Updated article with isRead=false and readDate=null, or null if invalid
+   * @param {string} [source=CONFIG.history.sources.page] - Where the change came from (recorded in history)
+   * @returns {Promise<Object|null>} Updated article with status unread and readDate=null, or null if invalid
    */
-  async markAsUnread(url, linkElement = null, articleElement = null) {
+  async markAsUnread(url, linkElement = null, articleElement = null, source = CONFIG.history.sources.page) {
+    return this.setStatus(url, CONFIG.statuses.unread, linkElement, articleElement, source);
+  },
+
+  /**
+   * Append events to article history logs (append-only)
+   * @param {Array<{url: string, event: Object}>} entries - Events to append, grouped by article URL
+   * @returns {Promise<void>} Resolves when all events are stored
+   * @throws {Error} If the storage backend fails
+   */
+  async appendHistory(entries) {
+    // Runtime type validation
+    if (!Array.isArray(entries)) {
+      Logger.warn('appendHistory: entries must be an array', entries);
+      return;
+    }
+    
+    return runStorageOperation('appendHistory', [entries]);
+  },
+
+  /**
+   * Get read history of an article
+   * @param {string} url - Article URL (will be normalized)
+   * @returns {Promise<Array<Object>>} History events, oldest first. Each event has:
+   *   type, source, date, status, isRead, readDate, previous: { status, isRead, readDate };
+   *   revert events also carry `reverts` (index of the reverted event)
+   * @throws {Error} If the storage backend fails
+   */
+  async getHistory(url) {
+    // Runtime type validation
+    if (typeof url !== 'string') {
+      Logger.warn('getHistory: url must be a string', url);
+      return [];
+    }
+    
+    if (!url || !validateUrl(url)) return [];
+    
+    const normalizedUrl = normalizeUrl(url);
+    const adapter = await getStorageAdapter();
+    const result = await adapter.getHistory([normalizedUrl]);
+    return Array.isArray(result[normalizedUrl]) ? result[normalizedUrl] : [];
+  },
+
+  /**
+   * Undo the most recent change that hasn't been reverted yet
+   * 
+   * History is append-only: the undo restores the previous read state of the
+   * latest non-reverted event and appends a revert event pointing to it.
+   * Calling it repeatedly walks further back through the history.
+   * 
+   * @param {string} url - Article URL (will be normalized)
+   * @returns {Promise<Object|null>} Restored article, or null if there is nothing to undo
+   */
+  async undoLastChange(url) {
     // Runtime type validation
     if (typeof url !== 'string') {
-      Logger.warn('markAsUnread: url must be a string', url);
+      Logger.warn('undoLastChange: url must be a string', url);
       return null;
     }
     
     if (!url || !validateUrl(url)) return null;
     
-    const article = await getOrCreateArticle(url, linkElement, articleElement);
-    if (!article) return null;
-    
-    article.isRead = false;
-    article.readDate = null;
-    return this.saveArticle(article);
+    return runStorageOperation('undoLastChange', [url]);
   },
 
   /**
    * Sync new articles (adds only those that don't exist in storage)
+   * Existence is checked against storage inside the write queue, not the page cache,
+   * so an article saved meanwhile (e.g. by an import) is never overwritten
    * @param {Array<Object>} newArticles - Array of new article objects to sync
    * @returns {Promise<number>} Number of new articles added (0 if none or all already exist)
    */
@@ -333,71 +1305,356 @@ const Storage = {
     
     if (newArticles.length === 0) return 0;
     
-    const existingMap = await getExistingArticlesMap();
-    const articlesToSave = [];
-    let newCount = 0;
+    return runStorageOperation('syncArticles', [newArticles]);
+  },
+
+  /**
+   * Write fully merged article records as-is (no merge with existing read state)
+   * Use when the caller has already resolved conflicts, e.g. with mergeArticleDataForImport
+   * @param {Array<Object>} articles - Complete article records to write
+   * @returns {Promise<number>} Number of articles written (invalid records are skipped)
+   * @throws {Error} If the storage backend fails
+   */
+  async writeArticles(articles) {
+    // Runtime type validation
+    if (!Array.isArray(articles)) {
+      Logger.warn('writeArticles: articles must be an array', articles);
+      return 0;
+    }
+    
+    if (articles.length === 0) return 0;
     
-    for (let i = 0; i < newArticles.length; i++) {
-      const newArticle = newArticles[i];
-      if (!newArticle || !newArticle.url || !validateUrl(newArticle.url)) continue;
-      
-      const normalizedUrl = normalizeUrl(newArticle.url);
-      if (existingMap.has(normalizedUrl)) {
-        continue;
-      }
-      
-      articlesToSave.push({
-        ...newArticle,
-        url: normalizedUrl
-      });
-      newCount++;
+    return runStorageOperation('writeArticles', [articles]);
+  },
+
+  /**
+   * Record reading progress of an article
+   * Progress only moves forward: lower values than the stored one are ignored
+   * @param {string} url - Article URL (will be normalized)
+   * @param {number} progress - Percentage of the article read (0-100)
+   * @param {HTMLElement|null} [linkElement=null] - Element for extracting title (optional)
+   * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
+   * @returns {Promise<Object|null>} Updated (or unchanged) article, or null if invalid
+   */
+  async setProgress(url, progress, linkElement = null, articleElement = null) {
+    // Runtime type validation
+    if (typeof url !== 'string' || typeof progress !== 'number') {
+      Logger.warn('setProgress: url must be a string and progress a number', { url, progress });
+      return null;
+    }
+
+    if (!url || !validateUrl(url)) return null;
+
+    const seed = describeArticleElements(url, linkElement, articleElement);
+    return runStorageOperation('setProgress', [url, progress, seed]);
+  },
+
+  /**
+   * Set private notes of an article
+   * @param {string} url - Article URL (will be normalized)
+   * @param {string} notes - Notes text (truncated to CONFIG.notes.maxLength)
+   * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
+   * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
+   * @returns {Promise<Object|null>} Updated article, or null if invalid
+   */
+  async setNotes(url, notes, linkElement = null, articleElement = null) {
+    // Runtime type validation
+    if (typeof url !== 'string' || typeof notes !== 'string') {
+      Logger.warn('setNotes: url and notes must be strings', { url, notes });
+      return null;
+    }
+    
+    if (!url || !validateUrl(url)) return null;
+    
+    const seed = describeArticleElements(url, linkElement, articleElement);
+    return runStorageOperation('setNotes', [url, notes, seed]);
+  },
+
+  /**
+   * Replace the tags of an article
+   * @param {string} url - Article URL (will be normalized)
+   * @param {Array<string>} tags - New tags (normalized before saving)
+   * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
+   * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
+   * @returns {Promise<Object|null>} Updated article, or null if invalid
+   */
+  async setTags(url, tags, linkElement = null, articleElement = null) {
+    // Runtime type validation
+    if (typeof url !== 'string' || !Array.isArray(tags)) {
+      Logger.warn('setTags: url must be a string and tags an array', { url, tags });
+      return null;
+    }
+    
+    if (!url || !validateUrl(url)) return null;
+    
+    const seed = describeArticleElements(url, linkElement, articleElement);
+    return runStorageOperation('setTags', [url, tags, seed]);
+  },
+
+  /**
+   * Add a tag to an article
+   * @param {string} url - Article URL (will be normalized)
+   * @param {string} tag - Tag to add (normalized before saving)
+   * @param {HTMLElement|null} [linkElement=null] - Link element for extracting title (optional)
+   * @param {HTMLElement|null} [articleElement=null] - Article element for extracting date (optional)
+   * @returns {Promise<Object|null>} Updated article, or null if invalid
+   */
+  async addTag(url, tag, linkElement = null, articleElement = null) {
+    const normalizedTag = normalizeTag(tag);
+    if (!normalizedTag) {
+      Logger.warn('addTag: tag must be a non-empty string', tag);
+      return null;
+    }
+    
+    if (typeof url !== 'string' || !validateUrl(url)) return null;
+    
+    const seed = describeArticleElements(url, linkElement, articleElement);
+    return runStorageOperation('addTag', [url, normalizedTag, seed]);
+  },
+
+  /**
+   * Remove a tag from an article
+   * @param {string} url - Article URL (will be normalized)
+   * @param {string} tag - Tag to remove
+   * @returns {Promise<Object|null>} Updated article, or null if article doesn't exist
+   */
+  async removeTag(url, tag) {
+    const normalizedTag = normalizeTag(tag);
+    if (!normalizedTag) return null;
+    
+    if (typeof url !== 'string' || !validateUrl(url)) return null;
+    
+    return runStorageOperation('removeTag', [url, normalizedTag]);
+  },
+
+  /**
+   * Rename a tag on every article that has it (merges into newTag if it already exists)
+   * @param {string} oldTag - Current tag name
+   * @param {string} newTag - New tag name
+   * @returns {Promise<number>} Number of articles updated
+   * @throws {Error} If the storage backend fails
+   */
+  async renameTag(oldTag, newTag) {
+    const from = normalizeTag(oldTag);
+    const to = normalizeTag(newTag);
+    if (!from || !to || from === to) {
+      Logger.warn('renameTag: tags must be different non-empty strings', { oldTag, newTag });
+      return 0;
     }
     
-    if (articlesToSave.length > 0) {
-      await this.saveArticles(articlesToSave, existingMap);
+    return runStorageOperation('renameTag', [from, to]);
+  },
+
+  /**
+   * Get the tag index (rebuilt from articles if it doesn't exist yet)
+   * @returns {Promise<Object<string, Array<string>>>} Map of tag to normalized article URLs
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getTagIndex() {
+    const result = await storageGet([CONFIG.storage.tagIndexKey]);
+    return result[CONFIG.storage.tagIndexKey] || this.rebuildTagIndex();
+  },
+
+  /**
+   * Rebuild the tag index from all stored articles
+   * Use after bulk writes that change tags (import, rename)
+   * @returns {Promise<Object<string, Array<string>>>} Rebuilt index
+   * @throws {Error} If chrome.storage.local operations fail
+   */
+  async rebuildTagIndex() {
+    return runStorageOperation('rebuildTagIndex', []);
+  },
+
+  /**
+   * Re-detect series membership (see detectArticleSeries) and store changed assignments
+   * Runs after syncs, imports and title/metadata saves, since a new post can change the
+   * order or membership of the others
+   * @returns {Promise<Object<string, Object>>} Rewritten records by URL
+   * @throws {Error} If the storage backend fails
+   */
+  async refreshSeries() {
+    return runStorageOperation('refreshSeries', []);
+  },
+
+  /**
+   * Merge article records stored under outdated URLs into their canonical record
+   * Run after canonicalization rules or aliases change (see repairDuplicateRecords)
+   * @returns {Promise<number>} Number of duplicate records merged away
+   * @throws {Error} If the storage backend fails
+   */
+  async repairDuplicateArticles() {
+    return runStorageOperation('repairDuplicateArticles', []);
+  },
+
+  /**
+   * Get the persisted URL alias map
+   * @returns {Promise<Object<string, string>>} Old URL to current URL (both canonical)
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getUrlAliases() {
+    const result = await storageGet([CONFIG.storage.urlAliasesKey]);
+    return result[CONFIG.storage.urlAliasesKey] || {};
+  },
+
+  /**
+   * Record that a post moved, then merge its records into the new URL
+   * @param {string} fromUrl - Old post URL
+   * @param {string} toUrl - Current post URL
+   * @returns {Promise<number>} Number of duplicate records merged away (0 if the alias is invalid)
+   * @throws {Error} If storage operations fail
+   */
+  async setUrlAlias(fromUrl, toUrl) {
+    // Runtime type validation
+    if (!validateUrl(fromUrl) || !validateUrl(toUrl)) {
+      Logger.warn('setUrlAlias: fromUrl and toUrl must be non-empty strings', { fromUrl, toUrl });
+      return 0;
     }
     
-    return newCount;
+    const from = canonicalizeUrl(fromUrl);
+    const to = canonicalizeUrl(toUrl);
+    
+    return runStorageOperation('setUrlAlias', [from, to]);
   },
 
   /**
-   * Get current page filter value from storage
-   * @returns {Promise<string>} Current filter value (CONFIG.filters.all, CONFIG.filters.read, or CONFIG.filters.unread)
+   * Get current page filter from storage
+   * A legacy status string is read as a filter with that status (see normalizePageFilter)
+   * @returns {Promise<Object>} Current page filter (status, publishedYears, readDates)
    * @throws {Error} If chrome.storage.local.get fails
    */
   async getPageFilter() {
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.get([CONFIG.storage.filterKey], (result) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(result[CONFIG.storage.filterKey] || CONFIG.filters.all);
-        }
-      });
-    });
+    const result = await storageGet([CONFIG.storage.filterKey]);
+    return normalizePageFilter(result[CONFIG.storage.filterKey]);
   },
 
   /**
-   * Set page filter value in storage
-   * @param {string} filter - Filter value (should be CONFIG.filters.all, CONFIG.filters.read, or CONFIG.filters.unread)
+   * Set page filter in storage
+   * @param {Object} filter - Page filter (normalized before saving)
    * @returns {Promise<void>} Resolves when filter is saved
    * @throws {Error} If chrome.storage.local.set fails
    */
   async setPageFilter(filter) {
     // Runtime type validation
-    if (typeof filter !== 'string') {
-      Logger.warn('setPageFilter: filter must be a string', filter);
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      Logger.warn('setPageFilter: filter must be an object', filter);
       return;
     }
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ [CONFIG.storage.filterKey]: filter }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
-    });
+    return queueWrite({ [CONFIG.storage.filterKey]: normalizePageFilter(filter) });
+  },
+
+  /**
+   * Get selected page tag filter from storage
+   * @returns {Promise<Array<string>>} Selected tags (empty array means no tag filter)
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getPageTagFilter() {
+    const result = await storageGet([CONFIG.storage.tagFilterKey]);
+    return normalizeTags(result[CONFIG.storage.tagFilterKey]);
+  },
+
+  /**
+   * Set selected page tag filter in storage
+   * @param {Array<string>} tags - Selected tags
+   * @returns {Promise<void>} Resolves when tag filter is saved
+   * @throws {Error} If chrome.storage.local.set fails
+   */
+  async setPageTagFilter(tags) {
+    // Runtime type validation
+    if (!Array.isArray(tags)) {
+      Logger.warn('setPageTagFilter: tags must be an array', tags);
+      return;
+    }
+    return queueWrite({ [CONFIG.storage.tagFilterKey]: normalizeTags(tags) });
+  },
+
+  /**
+   * Get selected page series filter from storage
+   * @returns {Promise<string>} Selected series id (empty string means no series filter)
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getPageSeriesFilter() {
+    const result = await storageGet([CONFIG.storage.seriesFilterKey]);
+    return typeof result[CONFIG.storage.seriesFilterKey] === 'string' ? result[CONFIG.storage.seriesFilterKey] : '';
+  },
+
+  /**
+   * Set selected page series filter in storage
+   * @param {string} seriesId - Selected series id ('' for all articles)
+   * @returns {Promise<void>} Resolves when series filter is saved
+   * @throws {Error} If chrome.storage.local.set fails
+   */
+  async setPageSeriesFilter(seriesId) {
+    // Runtime type validation
+    if (typeof seriesId !== 'string') {
+      Logger.warn('setPageSeriesFilter: seriesId must be a string', seriesId);
+      return;
+    }
+    return queueWrite({ [CONFIG.storage.seriesFilterKey]: seriesId });
+  },
+
+  /**
+   * Get the page title search query from storage
+   * @returns {Promise<string>} Search query (empty string means no search)
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getPageSearchQuery() {
+    const result = await storageGet([CONFIG.storage.searchQueryKey]);
+    return typeof result[CONFIG.storage.searchQueryKey] === 'string' ? result[CONFIG.storage.searchQueryKey] : '';
+  },
+
+  /**
+   * Set the page title search query in storage
+   * @param {string} query - Search query ('' for no search)
+   * @returns {Promise<void>} Resolves when the query is saved
+   * @throws {Error} If chrome.storage.local.set fails
+   */
+  async setPageSearchQuery(query) {
+    // Runtime type validation
+    if (typeof query !== 'string') {
+      Logger.warn('setPageSearchQuery: query must be a string', query);
+      return;
+    }
+    return queueWrite({ [CONFIG.storage.searchQueryKey]: query });
+  },
+
+  /**
+   * Get the saved filter presets
+   * @returns {Promise<Array<Object>>} Presets ({ name, filter, tags, series, searchQuery }) in the order they were saved
+   * @throws {Error} If chrome.storage.local.get fails
+   */
+  async getFilterPresets() {
+    const result = await storageGet([CONFIG.storage.filterPresetsKey]);
+    const stored = result[CONFIG.storage.filterPresetsKey];
+    if (!Array.isArray(stored)) {
+      return [];
+    }
+    return stored.map(normalizeFilterPreset).filter(Boolean);
+  },
+
+  /**
+   * Save a filter preset, replacing the preset with the same name
+   * @param {Object} preset - Preset name and filter view (see normalizeFilterPreset)
+   * @returns {Promise<Array<Object>|null>} Saved presets, or null if the preset has no name
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async saveFilterPreset(preset) {
+    // Runtime type validation
+    const normalized = normalizeFilterPreset(preset);
+    if (!normalized) {
+      Logger.warn('saveFilterPreset: preset must have a name', preset);
+      return null;
+    }
+    
+    return runStorageOperation('saveFilterPreset', [normalized]);
+  },
+
+  /**
+   * Delete a filter preset
+   * @param {string} name - Preset name
+   * @returns {Promise<boolean>} True if a preset was deleted
+   * @throws {Error} If chrome.storage.local fails
+   */
+  async deleteFilterPreset(name) {
+    return runStorageOperation('deleteFilterPreset', [name]);
   }
 };
-
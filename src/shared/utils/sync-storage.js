@@ -0,0 +1,319 @@
+// Cross-device read state sync using chrome.storage.sync
+// Mirrors compact read records into a fixed set of chunked keys to respect sync quotas
+
+/**
+ * Compact sync entry format
+ *
+ * Each entry is encoded as "<urlHash>.<isRead>.<time>" where:
+ * - urlHash: hashUrl() of the normalized article URL
+ * - isRead: 1 for read, 0 for unread
+ * - time: base36 epoch milliseconds of readDate (read) or of the moment it was marked unread
+ *
+ * Entries are distributed across CONFIG.sync.chunks keys by hash, so a single
+ * change only rewrites one chunk. Unread entries act as timestamped tombstones:
+ * a newer unread beats an older read, otherwise the most recent readDate wins.
+ */
+
+/**
+ * Get chunk index for a URL hash
+ * @param {string} hash - URL hash from hashUrl()
+ * @returns {number} Chunk index (0..CONFIG.sync.chunks - 1)
+ */
+function getSyncChunkIndex(hash) {
+  return parseInt(hash, 36) % CONFIG.sync.chunks;
+}
+
+/**
+ * Get chrome.storage.sync key for a chunk index
+ * @param {number} index - Chunk index
+ * @returns {string} Storage key
+ */
+function getSyncChunkKey(index) {
+  return `${CONFIG.sync.keyPrefix}${index}`;
+}
+
+/**
+ * Encode a sync entry
+ * @param {string} hash - URL hash
+ * @param {{isRead: boolean, time: number}} entry - Entry state
+ * @returns {string} Encoded entry
+ */
+function encodeSyncEntry(hash, entry) {
+  return `${hash}.${entry.isRead ? 1 : 0}.${entry.time.toString(36)}`;
+}
+
+/**
+ * Decode a chunk value into an entries map
+ * @param {string} value - Encoded chunk value (comma separated entries)
+ * @param {Map<string, Object>} entries - Map to fill (hash -> { isRead, time })
+ * @returns {void}
+ */
+function decodeSyncChunk(value, entries) {
+  if (!value || typeof value !== 'string') return;
+
+  const parts = value.split(',');
+  for (let i = 0; i < parts.length; i++) {
+    const fields = parts[i].split('.');
+    if (fields.length !== 3) continue;
+
+    const time = parseInt(fields[2], 36);
+    if (!fields[0] || isNaN(time)) continue;
+
+    entries.set(fields[0], { isRead: fields[1] === '1', time: time });
+  }
+}
+
+/**
+ * Get sync entry for a local article
+ * @param {Object} article - Article record
+ * @returns {{isRead: boolean, time: number}|null} Entry, or null if article has no syncable read state
+ */
+function getArticleSyncEntry(article) {
+  if (!article || !article.isRead || !article.readDate) return null;
+
+  const time = new Date(article.readDate).getTime();
+  return isNaN(time) ? null : { isRead: true, time: time };
+}
+
+/**
+ * Check if a local entry should replace the remote one
+ * @param {{isRead: boolean, time: number}} local - Local entry
+ * @param {{isRead: boolean, time: number}|undefined} remote - Remote entry
+ * @returns {boolean} True if local entry wins
+ */
+function shouldPushSyncEntry(local, remote) {
+  if (!remote) return local.isRead;
+  if (local.isRead !== remote.isRead) return local.time > remote.time;
+  // Same state: only a more recent readDate is worth a write
+  return local.isRead && local.time > remote.time;
+}
+
+const SyncStorage = {
+  /**
+   * Load all remote entries from chrome.storage.sync
+   * @returns {Promise<Map<string, Object>>} Map of URL hash to { isRead, time }
+   * @throws {Error} If chrome.storage.sync.get fails
+   */
+  async loadRemote() {
+    const keys = [];
+    for (let i = 0; i < CONFIG.sync.chunks; i++) {
+      keys.push(getSyncChunkKey(i));
+    }
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.get(keys, (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+
+        const entries = new Map();
+        for (let i = 0; i < keys.length; i++) {
+          decodeSyncChunk(result[keys[i]], entries);
+        }
+        resolve(entries);
+      });
+    });
+  },
+
+  /**
+   * Write the given chunks to chrome.storage.sync in a single operation
+   *
+   * If a chunk exceeds CONFIG.sync.maxBytesPerChunk, oldest unread tombstones
+   * are dropped first, then oldest read entries, until it fits.
+   *
+   * @param {Map<string, Object>} entries - Full entries map (dropped entries are removed from it)
+   * @param {Set<number>} chunkIndexes - Chunk indexes to write
+   * @returns {Promise<void>}
+   * @throws {Error} If chrome.storage.sync.set fails (e.g. quota exceeded)
+   */
+  async writeChunks(entries, chunkIndexes) {
+    if (chunkIndexes.size === 0) return;
+
+    const buckets = new Map();
+    chunkIndexes.forEach(index => buckets.set(index, []));
+
+    entries.forEach((entry, hash) => {
+      const bucket = buckets.get(getSyncChunkIndex(hash));
+      if (bucket) {
+        bucket.push({ hash, entry });
+      }
+    });
+
+    const data = {};
+    buckets.forEach((bucket, index) => {
+      const key = getSyncChunkKey(index);
+
+      // Drop order: tombstones before reads, oldest first
+      bucket.sort((a, b) => {
+        if (a.entry.isRead !== b.entry.isRead) return a.entry.isRead ? 1 : -1;
+        return a.entry.time - b.entry.time;
+      });
+
+      let encoded = bucket.map(item => encodeSyncEntry(item.hash, item.entry));
+      let value = encoded.join(',');
+      let dropped = 0;
+
+      while (encoded.length > 0 && key.length + JSON.stringify(value).length > CONFIG.sync.maxBytesPerChunk) {
+        entries.delete(bucket[dropped].hash);
+        encoded = encoded.slice(1);
+        value = encoded.join(',');
+        dropped++;
+      }
+
+      if (dropped > 0) {
+        Logger.warn(`Sync chunk ${index} is over quota, dropped ${dropped} oldest entries`);
+      }
+
+      data[key] = value;
+    });
+
+    return new Promise((resolve, reject) => {
+      chrome.storage.sync.set(data, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  },
+
+  /**
+   * Push local article changes to chrome.storage.sync
+   * Changes only carry statuses, so the current records are read first
+   * @param {Object<string, {previousStatus: string|null, status: string|null}>} changes - Article changes by URL (see getArticleChanges)
+   * @returns {Promise<number>} Number of entries written
+   */
+  async pushLocalChanges(changes) {
+    const localEntries = new Map();
+    const now = Date.now();
+    const articles = await Storage.getArticles(Object.keys(changes));
+
+    for (const url in changes) {
+      const article = articles[url];
+      if (!article) continue;
+
+      const readEntry = getArticleSyncEntry(article);
+      if (readEntry) {
+        localEntries.set(hashUrl(article.url), readEntry);
+      } else if (changes[url].previousStatus === CONFIG.statuses.read && getArticleStatus(article) !== CONFIG.statuses.read) {
+        // Marked as unread: record a tombstone so older reads on other devices don't win
+        localEntries.set(hashUrl(article.url), { isRead: false, time: now });
+      }
+    }
+
+    if (localEntries.size === 0) return 0;
+
+    const remoteEntries = await this.loadRemote();
+    const dirtyChunks = new Set();
+
+    localEntries.forEach((entry, hash) => {
+      if (shouldPushSyncEntry(entry, remoteEntries.get(hash))) {
+        remoteEntries.set(hash, entry);
+        dirtyChunks.add(getSyncChunkIndex(hash));
+      }
+    });
+
+    await this.writeChunks(remoteEntries, dirtyChunks);
+    return dirtyChunks.size > 0 ? localEntries.size : 0;
+  },
+
+  /**
+   * Merge remote entries into local storage
+   *
+   * Read entries are merged with mergeArticleDataForImport (most recent readDate wins).
+   * Unread tombstones only apply when newer than the local readDate.
+   * Remote entries for articles not yet stored locally are kept in sync and
+   * applied once the article is discovered (see reconcile).
+   *
+   * @returns {Promise<number>} Number of local articles updated
+   */
+  async applyRemoteState() {
+    const remoteEntries = await this.loadRemote();
+    if (remoteEntries.size === 0) return 0;
+
+    // Read, merge and write in one transaction so concurrent local changes aren't overwritten
+    return Storage.transaction(async (tx) => {
+      const articles = await tx.getAllArticles();
+      const updates = [];
+      const historyEntries = [];
+
+      for (let i = 0; i < articles.length; i++) {
+        const local = articles[i];
+        if (!local || !local.url) continue;
+
+        const remote = remoteEntries.get(hashUrl(local.url));
+        if (!remote) continue;
+
+        if (remote.isRead) {
+          const merged = mergeArticleDataForImport(local, {
+            url: local.url,
+            isRead: true,
+            readDate: new Date(remote.time).toISOString()
+          });
+          if (merged) {
+            updates.push(merged);
+            historyEntries.push({
+              url: local.url,
+              event: createHistoryEvent(CONFIG.history.types.read, CONFIG.history.sources.sync, local, merged)
+            });
+          }
+        } else if (local.isRead) {
+          const localEntry = getArticleSyncEntry(local);
+          if (!localEntry || remote.time > localEntry.time) {
+            const unread = {
+              ...local,
+              isRead: false,
+              readDate: null,
+              status: CONFIG.statuses.unread,
+              site: getArticleSite(local),
+              metadata: normalizeArticleMetadata(local.metadata),
+              series: normalizeArticleSeries(local.series),
+              schemaVersion: CONFIG.schema.version
+            };
+            updates.push(unread);
+            historyEntries.push({
+              url: local.url,
+              event: createHistoryEvent(CONFIG.history.types.unread, CONFIG.history.sources.sync, local, unread)
+            });
+          }
+        }
+      }
+
+      if (updates.length > 0) {
+        await tx.writeArticles(updates);
+        await tx.appendHistory(historyEntries);
+        Logger.info(`Applied ${updates.length} read state changes from sync`);
+      }
+
+      return updates.length;
+    });
+  },
+
+  /**
+   * Full two-way reconciliation (on install/startup)
+   * Pulls remote state first, then pushes local reads that are missing or newer remotely
+   * @returns {Promise<void>}
+   */
+  async reconcile() {
+    await this.applyRemoteState();
+
+    const articles = await Storage.getAllArticles(false);
+    const remoteEntries = await this.loadRemote();
+    const dirtyChunks = new Set();
+
+    for (let i = 0; i < articles.length; i++) {
+      const entry = getArticleSyncEntry(articles[i]);
+      if (!entry) continue;
+
+      const hash = hashUrl(articles[i].url);
+      if (shouldPushSyncEntry(entry, remoteEntries.get(hash))) {
+        remoteEntries.set(hash, entry);
+        dirtyChunks.add(getSyncChunkIndex(hash));
+      }
+    }
+
+    await this.writeChunks(remoteEntries, dirtyChunks);
+  }
+};
@@ -1,27 +1,80 @@
 // URL utility functions - shared across all contexts
 
+// Alias map (canonical old URL -> canonical current URL), see setUrlAliases
+let urlAliases = { ...CONFIG.urls.aliases };
+
 /**
- * Normalize URL to ensure consistent format (remove trailing slash, ensure absolute URL)
- * @param {string} url - URL to normalize
- * @param {string} baseUrl - Base URL (default: https://lethain.com)
- * @returns {string} Normalized URL
+ * Get the base URL relative links resolve against
+ * The current page's site in content scripts, the default site elsewhere
+ * @returns {string} Site root URL
+ */
+function getSiteBaseUrl() {
+  const adapter = getActiveSiteAdapter() || getDefaultSiteAdapter();
+  return adapter ? adapter.baseUrl : '';
+}
+
+/**
+ * Check whether a query parameter only tracks where a visit came from
+ * @param {string} name - Query parameter name
+ * @returns {boolean} True if the parameter should be dropped
  */
-function normalizeUrl(url, baseUrl = 'https://lethain.com') {
+function isTrackingParam(name) {
+  const lowerName = name.toLowerCase();
+  const params = CONFIG.urls.trackingParams;
+  for (let i = 0; i < params.length; i++) {
+    const param = params[i];
+    if (param.endsWith('*') ? lowerName.startsWith(param.slice(0, -1)) : lowerName === param) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Canonicalize a URL without consulting aliases
+ *
+ * Pipeline:
+ * 1. Resolve against baseUrl (relative links become absolute)
+ * 2. Drop the #fragment
+ * 3. Drop tracking query parameters (CONFIG.urls.trackingParams) and an empty "?"
+ * 4. For tracked sites: the site adapter's normalizeUrl (by default https and the canonical host)
+ * 5. Remove the trailing slash of the path (except for the root)
+ *
+ * @param {string} url - URL to canonicalize
+ * @param {string} [baseUrl] - Base URL (default: getSiteBaseUrl())
+ * @returns {string} Canonical URL
+ */
+function canonicalizeUrl(url, baseUrl = getSiteBaseUrl()) {
   if (!url) return '';
   
   try {
     const urlObj = new URL(url.trim(), baseUrl);
-    let normalized = urlObj.href;
+    urlObj.hash = '';
+    
+    const names = Array.from(urlObj.searchParams.keys());
+    for (let i = 0; i < names.length; i++) {
+      if (isTrackingParam(names[i])) {
+        urlObj.searchParams.delete(names[i]);
+      }
+    }
+    if (!urlObj.searchParams.toString()) {
+      urlObj.search = '';
+    }
+    
+    const siteAdapter = getSiteAdapterForHostname(urlObj.hostname);
+    if (siteAdapter) {
+      siteAdapter.normalizeUrl(urlObj);
+    }
     
     // Remove trailing slash (except for root)
-    if (normalized.endsWith('/') && normalized !== baseUrl + '/') {
-      normalized = normalized.slice(0, -1);
+    if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.slice(0, -1);
     }
     
-    return normalized;
+    return urlObj.href;
   } catch (e) {
     // Fallback to manual normalization if URL constructor fails
-    let normalized = url.trim();
+    let normalized = url.trim().split('#')[0];
     if (normalized.endsWith('/') && normalized !== baseUrl + '/') {
       normalized = normalized.slice(0, -1);
     }
@@ -34,6 +87,44 @@ function normalizeUrl(url, baseUrl = 'https://lethain.com') {
   }
 }
 
+/**
+ * Replace the persisted part of the alias map consulted by normalizeUrl (CONFIG.urls.aliases always apply)
+ * Loaded from storage by getStorageAdapter and kept current through chrome.storage.onChanged
+ * @param {Object<string, string>|null} aliases - Old URL to current URL (both canonical)
+ * @returns {void}
+ */
+function setUrlAliases(aliases) {
+  urlAliases = { ...CONFIG.urls.aliases, ...(aliases && typeof aliases === 'object' ? aliases : {}) };
+}
+
+/**
+ * Follow the alias map from a canonical URL to the URL the post lives at now
+ * @param {string} canonicalUrl - Canonical URL
+ * @returns {string} Current URL (canonicalUrl if it has no alias)
+ */
+function resolveUrlAlias(canonicalUrl) {
+  let current = canonicalUrl;
+  const visited = new Set([current]);
+  
+  // Aliases may chain (renamed twice); stop on cycles
+  while (urlAliases[current] && !visited.has(urlAliases[current])) {
+    current = urlAliases[current];
+    visited.add(current);
+  }
+  return current;
+}
+
+/**
+ * Normalize URL to the key an article is stored under (canonical form, then aliases)
+ * @param {string} url - URL to normalize
+ * @param {string} [baseUrl] - Base URL (default: getSiteBaseUrl())
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url, baseUrl = getSiteBaseUrl()) {
+  if (!url) return '';
+  return resolveUrlAlias(canonicalizeUrl(url, baseUrl));
+}
+
 /**
  * Validate article URL
  * @param {string} url - URL to validate
@@ -44,16 +135,19 @@ function validateUrl(url) {
 }
 
 /**
- * Check if current page is on lethain.com domain
- * Only works in contexts with window object (content scripts)
- * @returns {boolean} True if on lethain.com, false if window is not available
+ * Hash a URL into a short, stable identifier (32-bit FNV-1a, base36)
+ * Used where full URLs are too large to store, e.g. chrome.storage.sync records
+ * @param {string} url - URL to hash (will be normalized)
+ * @returns {string} Base36 hash string
  */
-function isLethainDomain() {
-  if (typeof window === 'undefined' || !window.location) {
-    return false;
+function hashUrl(url) {
+  const normalized = normalizeUrl(url);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
-  return window.location.hostname === CONFIG.urls.hostname || 
-         window.location.hostname.endsWith('.' + CONFIG.urls.hostname);
+  return (hash >>> 0).toString(36);
 }
 
 /**
@@ -23,5 +23,19 @@ function validateImportData(importData) {
     return { valid: false, error: 'Invalid file format. The file must contain an array of articles.' };
   }
 
+  // Backups without schemaVersion predate versioning and are treated as v1
+  if (importData.schemaVersion !== undefined) {
+    if (!Number.isInteger(importData.schemaVersion) || importData.schemaVersion < 1) {
+      return { valid: false, error: 'Invalid file format. Unknown schema version.' };
+    }
+
+    if (importData.schemaVersion > CONFIG.schema.version) {
+      return {
+        valid: false,
+        error: `This backup uses schema version ${importData.schemaVersion}, but this extension only supports up to version ${CONFIG.schema.version}. Please update the extension.`
+      };
+    }
+  }
+
   return { valid: true, error: null };
 }
\ No newline at end of file
@@ -0,0 +1,140 @@
+// Checks parseFeed (src/shared/utils/feed-parser.js) against the saved feeds in test/fixtures
+// Run with: node test/check-feed-parser.js (no dependencies, no network)
+// The extension scripts are plain globals, so they are loaded into one vm context in
+// the same order the service worker imports them
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Scripts parseFeed depends on, in load order
+ * @type {Array<string>}
+ */
+const SCRIPTS = [
+  'src/shared/config.js',
+  'src/shared/utils/logger.js',
+  'src/shared/utils/date-parser.js',
+  'src/shared/sites/site-adapters.js',
+  'src/shared/sites/lethain.js',
+  'src/shared/utils/url-utils.js',
+  'src/shared/utils/feed-parser.js'
+];
+
+/**
+ * Load the feed parser and its dependencies into a fresh context
+ * @returns {Object} vm context exposing the extension globals
+ */
+function loadFeedParser() {
+  const context = vm.createContext({ console, URL });
+  for (let i = 0; i < SCRIPTS.length; i++) {
+    const file = path.join(ROOT, SCRIPTS[i]);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * Read a fixture feed
+ * @param {string} name - File name in test/fixtures
+ * @returns {string} Feed XML
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Compare a parseFeed result with the expected one
+ * (values are copied out of the vm context, whose objects fail deepStrictEqual's prototype check)
+ * @param {Object} actual - parseFeed result
+ * @param {Object} expected - Expected result
+ */
+function assertFeed(actual, expected) {
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(actual)), expected);
+}
+
+const CHECKS = [
+  {
+    name: 'RSS 2.0: entities, CDATA, comments, guid links and entries without link or title',
+    run(context) {
+      assertFeed(context.parseFeed(readFixture('rss.xml')), {
+        format: 'rss',
+        articles: [
+          {
+            url: 'https://lethain.com/good-and-bad-strategy/',
+            title: 'Good & bad “strategy”',
+            publishedDate: '2024-06-05',
+            dateText: 'Wed, 05 Jun 2024 06:00:00 -0700'
+          },
+          {
+            url: 'https://lethain.com/writing-engineering-strategy/',
+            title: 'Writing engineering strategy',
+            publishedDate: '2023-01-02',
+            dateText: '2023-01-02T00:00:00Z'
+          }
+        ]
+      });
+    }
+  },
+  {
+    name: 'Atom: HTML titles, alternate links, relative links and updated dates',
+    run(context) {
+      assertFeed(context.parseFeed(readFixture('atom.xml')), {
+        format: 'atom',
+        articles: [
+          {
+            url: 'https://lethain.com/staff-engineer-and-manager/',
+            title: 'Staff engineer & manager',
+            publishedDate: '2022-03-01',
+            dateText: '2022-03-01T00:00:00Z'
+          },
+          {
+            url: 'https://lethain.com/only-updated/',
+            title: 'Only an updated date',
+            publishedDate: '2021-12-31',
+            dateText: '2021-12-31T23:00:00-05:00'
+          }
+        ]
+      });
+    }
+  },
+  {
+    name: 'baseUrl overrides the feed link for relative links',
+    run(context) {
+      const { articles } = context.parseFeed(readFixture('atom.xml'), 'https://mirror.lethain.com/');
+      assert.strictEqual(articles[0].url, 'https://mirror.lethain.com/staff-engineer-and-manager/');
+      assert.strictEqual(articles[1].url, 'https://lethain.com/only-updated/');
+    }
+  },
+  {
+    name: 'Other documents are rejected',
+    run(context) {
+      assert.throws(() => context.parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS or Atom feed/);
+      assert.throws(() => context.parseFeed(null), /xml must be a string/);
+    }
+  }
+];
+
+const context = loadFeedParser();
+let failed = 0;
+
+for (let i = 0; i < CHECKS.length; i++) {
+  const check = CHECKS[i];
+  try {
+    check.run(context);
+    console.log(`ok - ${check.name}`);
+  } catch (error) {
+    failed++;
+    console.log(`not ok - ${check.name}`);
+    console.log(error.message.replace(/^/gm, '    '));
+  }
+}
+
+if (failed > 0) {
+  console.log(`${failed} of ${CHECKS.length} checks failed`);
+  process.exit(1);
+}
+console.log(`All ${CHECKS.length} checks passed`);